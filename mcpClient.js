@@ -1,118 +1,343 @@
-const { spawn } = require('child_process');
 const EventEmitter = require('events');
+const StdioTransport = require('./services/transports/stdioTransport');
+const BlenderSocketTransport = require('./services/transports/blenderSocketTransport');
+const MockTransport = require('./services/transports/mockTransport');
+const RecordingTransport = require('./services/transports/recordingTransport');
+const ReplayTransport = require('./services/transports/replayTransport');
+const CircuitBreaker = require('./utils/circuitBreaker');
+const { computeBackoff } = require('./utils/backoff');
+const { MCPTimeoutError, MCPCancelledError, MCPUnavailableError, MCPUnsupportedError } = require('./utils/errors');
+
+const TRANSPORTS = {
+  stdio: StdioTransport,
+  socket: BlenderSocketTransport,
+  mock: MockTransport
+};
+
+const PROTOCOL_VERSION = '2024-11-05';
+const SUPPORTED_PROTOCOL_VERSIONS = ['2024-11-05', '2025-03-26', '2025-06-18'];
+
+const DEFAULT_CONNECT_TIMEOUT = 120000; // Cold uvx installs can take well over a minute
+const INITIALIZE_ATTEMPT_TIMEOUT = 5000;
+const INITIALIZE_RETRY_DELAY = 500;
+
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+const STATE_HISTORY_SIZE = 20;
+
+const DEFAULT_REQUEST_TIMEOUT = parseInt(process.env.MCP_REQUEST_TIMEOUT) || 180000; // 3 minutes for complex operations
+
+// Per-tool defaults: quick lookups fail fast, remote generation gets plenty of time
+const TOOL_TIMEOUTS = {
+  get_scene_info: 15000,
+  get_object_info: 15000,
+  get_viewport_screenshot: 30000,
+  get_hunyuan3d_status: 15000,
+  get_hyper3d_status: 15000,
+  get_polyhaven_status: 15000,
+  get_sketchfab_status: 15000,
+  search_sketchfab_models: 60000,
+  set_texture: 120000,
+  execute_blender_code: 180000,
+  download_sketchfab_model: 300000,
+  generate_hyper3d_model_via_text: 600000
+};
+
+function abortReason(signal) {
+  const reason = signal && signal.reason;
+  if (!reason) return 'Request cancelled';
+  return reason.message || String(reason);
+}
 
 /**
- * MCP Client - Communicates with Blender MCP server via stdio
+ * MCP Client - Communicates with Blender through a pluggable transport
  * Handles JSON-RPC protocol for tool execution
+ *
+ * Transports (MCP_TRANSPORT):
+ *   stdio  - spawn the blender-mcp bridge and talk over stdin/stdout (default)
+ *   socket - connect straight to the Blender addon on BLENDER_HOST:BLENDER_PORT
+ *
+ * Connection states: disconnected, connecting, connected, reconnecting, circuit-open
+ * Events:
+ *   state        - { from, to, at, reason } on every connection state change
+ *   notification - JSON-RPC notification from the server
+ *   listChanged  - { kind } when the server's tools, resources or prompts change
+ *   resourceUpdated - { uri } when a subscribed resource changes
  */
 class MCPClient extends EventEmitter {
-  constructor() {
+  /**
+   * Options:
+   *   transport - 'stdio', 'socket' or 'mock' (defaults to MCP_TRANSPORT or stdio)
+   *   record    - cassette file to record traffic to (defaults to MCP_RECORD)
+   *   replay    - cassette file to answer from instead of a transport (defaults to MCP_REPLAY)
+   *   command   - launcher executable for stdio (defaults to MCP_COMMAND or uvx)
+   *   args      - launcher arguments for stdio (defaults to MCP_ARGS or ['blender-mcp'])
+   *   host, port - Blender addon address (defaults to BLENDER_HOST/BLENDER_PORT)
+   *   connectTimeout - overall handshake deadline in ms (defaults to MCP_CONNECT_TIMEOUT or 120s)
+   *   breakerThreshold - failed connects before failing fast (defaults to MCP_BREAKER_THRESHOLD or 3)
+   *   breakerResetTimeout - ms to fail fast before trying again (defaults to MCP_BREAKER_RESET or 30s)
+   */
+  constructor(options = {}) {
     super();
-    this.process = null;
+    this.options = options;
+    this.transport = null;
     this.isConnected = false;
+    this.connectTimeout = parseInt(options.connectTimeout || process.env.MCP_CONNECT_TIMEOUT) || DEFAULT_CONNECT_TIMEOUT;
+    this.serverInfo = null;
+    this.serverCapabilities = null;
+    this.protocolVersion = null;
+    this.instructions = null;
+    this.connectedAt = null;
     this.requestId = 0;
     this.pendingRequests = new Map();
-    this.buffer = '';
+    this.listCache = new Map();
+    this.state = 'disconnected';
+    this.stateHistory = [];
+    this.connecting = null;
     this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 3;
+    this.reconnectTimer = null;
+    this.stopped = false;
+
+    this.breaker = new CircuitBreaker({
+      failureThreshold: parseInt(options.breakerThreshold || process.env.MCP_BREAKER_THRESHOLD) || 3,
+      resetTimeout: parseInt(options.breakerResetTimeout || process.env.MCP_BREAKER_RESET) || 30000
+    });
+    this.breaker.on('state', ({ to }) => {
+      if (to === 'open') {
+        this.setState('circuit-open', `Blender unreachable after ${this.breaker.failures} attempts`);
+      }
+    });
+  }
+
+  /**
+   * Record a connection state change and notify listeners
+   */
+  setState(to, reason = null) {
+    const from = this.state;
+    if (from === to) {
+      return;
+    }
+
+    this.state = to;
+    const event = { from, to, at: new Date().toISOString(), reason };
+    this.stateHistory.push(event);
+    if (this.stateHistory.length > STATE_HISTORY_SIZE) {
+      this.stateHistory.shift();
+    }
+    this.emit('state', event);
+  }
+
+  /**
+   * Build the configured transport
+   * A replay cassette (MCP_REPLAY) replaces the transport entirely;
+   * a record path (MCP_RECORD) wraps it to capture its traffic
+   */
+  createTransport() {
+    const replayPath = this.options.replay || process.env.MCP_REPLAY;
+    if (replayPath) {
+      return new ReplayTransport({ path: replayPath });
+    }
+
+    const name = this.options.transport || process.env.MCP_TRANSPORT || 'stdio';
+    const Transport = TRANSPORTS[name];
+
+    if (!Transport) {
+      throw new Error(`Unknown MCP transport '${name}'. Expected one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+    }
+
+    const transport = new Transport(this.options);
+    const recordPath = this.options.record || process.env.MCP_RECORD;
+
+    return recordPath ? new RecordingTransport({ transport, path: recordPath }) : transport;
   }
 
   /**
-   * Connect to MCP server by spawning blender-mcp process
+   * Connect to MCP server through the configured transport
+   * Fails fast with MCPUnavailableError while the circuit breaker is open
    */
   async connect() {
     if (this.isConnected) {
-      console.log('Already connected to MCP server');
       return;
     }
 
-    return new Promise((resolve, reject) => {
-      try {
-        console.log('Starting MCP server process...');
-        
-        // Spawn the blender-mcp server using uvx
-        this.process = spawn('cmd.exe', ['/c', 'uvx', 'blender-mcp'], {
-          env: {
-            ...process.env,
-            BLENDER_HOST: process.env.BLENDER_HOST || 'localhost',
-            BLENDER_PORT: process.env.BLENDER_PORT || '9876'
-          },
-          stdio: ['pipe', 'pipe', 'pipe']
-        });
+    // Share one attempt between concurrent callers
+    if (this.connecting) {
+      return this.connecting;
+    }
 
-        // Handle stdout - MCP server responses
-        this.process.stdout.on('data', (data) => {
-          this.handleData(data);
-        });
+    if (!this.breaker.canAttempt()) {
+      throw new MCPUnavailableError(
+        `Blender is unavailable (circuit open after repeated failures: ${this.breaker.lastFailure}). Retry in ${Math.ceil(this.breaker.retryAfterMs / 1000)}s`,
+        this.breaker.retryAfterMs
+      );
+    }
 
-        // Handle stderr - logs and errors
-        this.process.stderr.on('data', (data) => {
-          const message = data.toString();
-          console.error('MCP stderr:', message);
-        });
+    this.stopped = false;
+    this.connecting = this.openTransport()
+      .then(() => {
+        this.breaker.recordSuccess();
+      })
+      .catch((error) => {
+        this.breaker.recordFailure(error);
+        if (this.breaker.state !== 'open') {
+          this.setState('disconnected', error.message);
+        }
+        throw error;
+      })
+      .finally(() => {
+        this.connecting = null;
+      });
 
-        // Handle process close
-        this.process.on('close', (code) => {
-          console.log(`MCP process closed with code ${code}`);
-          this.isConnected = false;
-          this.process = null;
-          
-          // Auto-reconnect logic
-          if (this.reconnectAttempts < this.maxReconnectAttempts) {
-            this.reconnectAttempts++;
-            console.log(`Attempting to reconnect (${this.reconnectAttempts}/${this.maxReconnectAttempts})...`);
-            setTimeout(() => this.connect().catch(console.error), 2000);
-          }
-        });
+    return this.connecting;
+  }
 
-        // Handle process errors
-        this.process.on('error', (err) => {
-          console.error('MCP process error:', err.message);
-          reject(err);
-        });
+  /**
+   * Start a transport and complete the MCP handshake on it
+   */
+  async openTransport() {
+    this.setState(this.reconnectAttempts > 0 ? 'reconnecting' : 'connecting');
 
-        // Initialize the MCP protocol
-        setTimeout(async () => {
-          try {
-            await this.initialize();
-            this.isConnected = true;
-            this.reconnectAttempts = 0;
-            console.log('✓ MCP Client connected and initialized');
-            resolve();
-          } catch (error) {
-            console.error('Failed to initialize MCP:', error.message);
-            reject(error);
-          }
-        }, 3000); // Give process time to start and connect to Blender
+    const transport = this.createTransport();
+    this.transport = transport;
 
-      } catch (error) {
-        console.error('Failed to spawn MCP process:', error);
-        reject(error);
+    transport.on('message', (message) => {
+      this.handleMessage(message);
+    });
+
+    transport.on('stderr', (message) => {
+      console.error('MCP stderr:', message);
+    });
+
+    let closedError = null;
+
+    transport.on('close', ({ code, error }) => {
+      console.log(`MCP ${transport.name} transport closed${code !== null && code !== undefined ? ` with code ${code}` : ''}`);
+      closedError = error;
+
+      if (this.transport !== transport) {
+        return;
       }
+
+      const wasConnected = this.isConnected;
+      this.isConnected = false;
+      this.transport = null;
+
+      // Nothing will answer now, so fail waiting requests instead of letting their timers run out
+      this.rejectPending(new MCPUnavailableError(
+        `MCP ${transport.name} transport closed${error ? `: ${error.message}` : ''}`
+      ));
+
+      // Closed before the handshake finished - connect() reports why
+      if (!wasConnected || this.stopped) {
+        return;
+      }
+
+      this.setState('disconnected', error ? error.message : 'Transport closed');
+      this.scheduleReconnect();
     });
+
+    try {
+      const deadline = Date.now() + this.connectTimeout;
+      await transport.start();
+      await this.waitForInitialize(transport, deadline, () => closedError);
+      this.isConnected = true;
+      this.connectedAt = new Date();
+      this.listCache.clear();
+      this.reconnectAttempts = 0;
+      this.setState('connected');
+      console.log(`✓ MCP Client connected and initialized (${transport.name} transport)`);
+    } catch (error) {
+      console.error('Failed to start MCP:', error.message);
+      if (this.transport === transport) {
+        this.transport = null;
+        transport.close();
+      }
+      throw error;
+    }
   }
 
   /**
-   * Handle incoming data from stdout
+   * Reconnect in the background with exponential backoff and jitter
+   * While the circuit is open, wait for it to allow a trial instead
    */
-  handleData(data) {
-    this.buffer += data.toString();
-    
-    // Split by newlines to get complete JSON-RPC messages
-    const lines = this.buffer.split('\n');
-    this.buffer = lines.pop() || '';
+  scheduleReconnect() {
+    if (this.stopped || this.reconnectTimer) {
+      return;
+    }
+
+    this.reconnectAttempts++;
+    const delay = this.breaker.state === 'open'
+      ? this.breaker.retryAfterMs
+      : computeBackoff(this.reconnectAttempts, { base: RECONNECT_BASE_DELAY, max: RECONNECT_MAX_DELAY });
+
+    console.log(`Reconnecting to MCP in ${delay}ms (attempt ${this.reconnectAttempts})...`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect().catch((error) => {
+        console.error('MCP reconnect failed:', error.message);
+        this.scheduleReconnect();
+      });
+    }, delay);
+    this.reconnectTimer.unref();
+  }
+
+  /**
+   * Reject every in-flight request with the given error
+   */
+  rejectPending(error) {
+    for (const [id, pending] of this.pendingRequests) {
+      this.pendingRequests.delete(id);
+      clearTimeout(pending.timer);
+      pending.reject(error);
+    }
+  }
 
-    for (const line of lines) {
-      if (line.trim()) {
-        try {
-          const message = JSON.parse(line);
-          this.handleMessage(message);
-        } catch (error) {
-          console.error('Failed to parse JSON:', error.message);
-          console.error('Raw data:', line);
+  /**
+   * Retry the initialize handshake until the server answers or the deadline passes
+   * The server is ready exactly when it responds, so no fixed startup sleep is needed
+   */
+  async waitForInitialize(transport, deadline, getClosedError) {
+    let attempt = 0;
+    let lastError = null;
+
+    while (Date.now() < deadline) {
+      if (!transport.isOpen) {
+        throw getClosedError() || new Error('MCP transport closed before initialization');
+      }
+
+      attempt++;
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        break;
+      }
+
+      try {
+        return await this.initialize({ timeout: Math.min(INITIALIZE_ATTEMPT_TIMEOUT, remaining) });
+      } catch (error) {
+        lastError = error;
+
+        // Protocol errors will not fix themselves by retrying
+        if (error.code === 'MCP_PROTOCOL_UNSUPPORTED') {
+          throw error;
+        }
+
+        if (attempt === 1 || attempt % 5 === 0) {
+          console.log(`Waiting for MCP server to answer initialize (attempt ${attempt}): ${error.message}`);
         }
       }
+
+      await new Promise(resolve => setTimeout(resolve, Math.min(INITIALIZE_RETRY_DELAY, Math.max(deadline - Date.now(), 0))));
     }
+
+    if (!transport.isOpen && getClosedError()) {
+      throw getClosedError();
+    }
+
+    throw new Error(
+      `MCP server did not complete the handshake within ${this.connectTimeout}ms` +
+      (lastError ? ` (last error: ${lastError.message})` : '')
+    );
   }
 
   /**
@@ -133,16 +358,62 @@ class MCPClient extends EventEmitter {
     } 
     // Notification from server
     else if (message.method) {
+      this.handleNotification(message);
       this.emit('notification', message);
     }
   }
 
+  /**
+   * React to server notifications: drop stale lists and surface server logs
+   */
+  handleNotification(message) {
+    const params = message.params || {};
+
+    switch (message.method) {
+      case 'notifications/tools/list_changed':
+      case 'notifications/resources/list_changed':
+      case 'notifications/prompts/list_changed': {
+        const kind = message.method.split('/')[1];
+        this.listCache.delete(kind);
+        this.emit('listChanged', { kind });
+        break;
+      }
+
+      case 'notifications/resources/updated':
+        this.emit('resourceUpdated', { uri: params.uri });
+        break;
+
+      case 'notifications/message': {
+        const log = ['error', 'critical', 'alert', 'emergency'].includes(params.level) ? console.error : console.log;
+        log(`MCP server ${params.level || 'info'}${params.logger ? ` [${params.logger}]` : ''}:`,
+          typeof params.data === 'string' ? params.data : JSON.stringify(params.data));
+        break;
+      }
+    }
+  }
+
   /**
    * Send JSON-RPC request to MCP server
+   * Options:
+   *   timeout - ms before the request fails with MCPTimeoutError (default 180s; 0 or less fails at once)
+   *   signal  - AbortSignal that cancels the request with MCPCancelledError
+   *   label   - name used in error messages (defaults to the method)
    */
-  async sendRequest(method, params = {}) {
-    if (!this.process || this.process.killed) {
-      throw new Error('MCP process not running');
+  async sendRequest(method, params = {}, options = {}) {
+    if (!this.transport || !this.transport.isOpen) {
+      throw new MCPUnavailableError('MCP transport not connected', this.breaker.retryAfterMs);
+    }
+
+    const { signal } = options;
+    const label = options.label || method;
+    if (signal && signal.aborted) {
+      throw new MCPCancelledError(label, abortReason(signal));
+    }
+
+    // A caller's deadline may already have passed; 0 is not "no timeout"
+    const timeout = options.timeout ?? DEFAULT_REQUEST_TIMEOUT;
+    if (timeout <= 0) {
+      throw new MCPTimeoutError(label, timeout);
     }
 
     return new Promise((resolve, reject) => {
@@ -154,30 +425,82 @@ class MCPClient extends EventEmitter {
         params
       };
 
-      // Timeout handling
+      const onAbort = () => {
+        if (this.pendingRequests.has(id)) {
+          this.cancelRequest(id, abortReason(signal));
+          reject(new MCPCancelledError(label, abortReason(signal)));
+        }
+      };
+
+      // Timeout handling - tell the server to stop working on it as well
       const timer = setTimeout(() => {
         if (this.pendingRequests.has(id)) {
-          this.pendingRequests.delete(id);
-          reject(new Error(`Request timeout: ${method}`));
+          this.cancelRequest(id, `Timed out after ${timeout}ms`);
+          reject(new MCPTimeoutError(label, timeout));
+        }
+      }, timeout);
+
+      const cleanup = () => {
+        clearTimeout(timer);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
         }
-      }, 180000); // 180 second timeout (3 minutes) for complex operations
+      };
+
+      this.pendingRequests.set(id, {
+        method,
+        resolve: (value) => { cleanup(); resolve(value); },
+        reject: (error) => { cleanup(); reject(error); },
+        timer
+      });
 
-      this.pendingRequests.set(id, { resolve, reject, timer });
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
 
-      // Send request
-      const jsonRequest = JSON.stringify(request) + '\n';
-      this.process.stdin.write(jsonRequest);
+      // Send request - a request that never left is not left pending
+      try {
+        this.transport.send(request);
+      } catch (error) {
+        this.pendingRequests.delete(id);
+        cleanup();
+        reject(new MCPUnavailableError(`Could not send ${label}: ${error.message}`, this.breaker.retryAfterMs));
+      }
     });
   }
 
+  /**
+   * Drop a pending request and send MCP notifications/cancelled for it
+   */
+  cancelRequest(id, reason) {
+    const pending = this.pendingRequests.get(id);
+    if (!pending) {
+      return;
+    }
+
+    clearTimeout(pending.timer);
+    this.pendingRequests.delete(id);
+
+    // The protocol forbids cancelling initialize
+    if (pending.method !== 'initialize' && this.transport && this.transport.isOpen) {
+      try {
+        this.transport.send({
+          jsonrpc: '2.0',
+          method: 'notifications/cancelled',
+          params: { requestId: id, reason }
+        });
+      } catch (error) {
+        console.error('Failed to send cancellation:', error.message);
+      }
+    }
+  }
+
   /**
    * Initialize MCP protocol handshake
    */
-  async initialize() {
-    console.log('Initializing MCP protocol...');
-    
+  async initialize(options = {}) {
     const result = await this.sendRequest('initialize', {
-      protocolVersion: '2024-11-05',
+      protocolVersion: PROTOCOL_VERSION,
       capabilities: {
         roots: { listChanged: true },
         sampling: {}
@@ -186,120 +509,232 @@ class MCPClient extends EventEmitter {
         name: 'Blender MCP HTTP Server',
         version: '1.0.0'
       }
-    });
+    }, options);
+
+    if (!SUPPORTED_PROTOCOL_VERSIONS.includes(result.protocolVersion)) {
+      const error = new Error(`Unsupported MCP protocol version from server: ${result.protocolVersion}`);
+      error.code = 'MCP_PROTOCOL_UNSUPPORTED';
+      throw error;
+    }
+
+    // Record what the server negotiated
+    this.protocolVersion = result.protocolVersion;
+    this.serverInfo = result.serverInfo || null;
+    this.serverCapabilities = result.capabilities || {};
+    this.instructions = result.instructions || null;
 
     // Send initialized notification
-    this.process.stdin.write(JSON.stringify({
+    this.transport.send({
       jsonrpc: '2.0',
       method: 'notifications/initialized'
-    }) + '\n');
+    });
 
     console.log('MCP initialized:', result.serverInfo);
     return result;
   }
 
+  /**
+   * Check whether the server advertised a capability (e.g. 'tools', 'resources')
+   */
+  hasCapability(name) {
+    return Boolean(this.serverCapabilities && this.serverCapabilities[name]);
+  }
+
+  /**
+   * Negotiated server details for status endpoints
+   */
+  getServerDetails() {
+    return {
+      connected: this.isConnected,
+      state: this.state,
+      transport: this.transport ? this.transport.name : null,
+      protocolVersion: this.protocolVersion,
+      serverInfo: this.serverInfo,
+      capabilities: this.serverCapabilities,
+      connectedAt: this.connectedAt ? this.connectedAt.toISOString() : null,
+      reconnectAttempts: this.reconnectAttempts,
+      breaker: this.breaker.getStatus(),
+      stateHistory: this.stateHistory
+    };
+  }
+
+  /**
+   * Fetch a list (tools, resources, prompts), caching the first page until the server reports a change
+   */
+  async listCached(kind, cursor, requestOptions = {}) {
+    if (!this.hasCapability(kind)) {
+      throw new MCPUnsupportedError(kind);
+    }
+
+    if (cursor) {
+      return await this.sendRequest(`${kind}/list`, { cursor }, requestOptions);
+    }
+
+    if (!this.listCache.has(kind)) {
+      const result = await this.sendRequest(`${kind}/list`, {}, requestOptions);
+      this.listCache.set(kind, result);
+    }
+    return this.listCache.get(kind);
+  }
+
   /**
    * List available tools
    */
-  async listTools() {
-    return await this.sendRequest('tools/list', {});
+  async listTools(requestOptions = {}) {
+    return await this.listCached('tools', null, requestOptions);
+  }
+
+  /**
+   * Look up a tool definition (name, description, inputSchema) from the cached tools/list
+   * Resolves with null if the server does not publish the tool
+   */
+  async getTool(name, requestOptions = {}) {
+    const { tools = [] } = await this.listTools(requestOptions);
+    return tools.find(tool => tool.name === name) || null;
+  }
+
+  /**
+   * List resources published by the server (pass nextCursor from a previous page to continue)
+   */
+  async listResources(cursor = null, requestOptions = {}) {
+    return await this.listCached('resources', cursor, requestOptions);
+  }
+
+  /**
+   * Read a resource by URI
+   */
+  async readResource(uri, requestOptions = {}) {
+    if (!this.hasCapability('resources')) {
+      throw new MCPUnsupportedError('resources');
+    }
+    return await this.sendRequest('resources/read', { uri }, { ...requestOptions, label: `resources/read ${uri}` });
+  }
+
+  /**
+   * List prompt templates published by the server
+   */
+  async listPrompts(cursor = null, requestOptions = {}) {
+    return await this.listCached('prompts', cursor, requestOptions);
+  }
+
+  /**
+   * Render a prompt template with its arguments
+   */
+  async getPrompt(name, args = {}, requestOptions = {}) {
+    if (!this.hasCapability('prompts')) {
+      throw new MCPUnsupportedError('prompts');
+    }
+    return await this.sendRequest('prompts/get', { name, arguments: args }, { ...requestOptions, label: `prompts/get ${name}` });
   }
 
   /**
    * Call a specific tool
+   * requestOptions.timeout overrides the per-tool default from TOOL_TIMEOUTS
    */
-  async callTool(name, args = {}) {
+  async callTool(name, args = {}, requestOptions = {}) {
     return await this.sendRequest('tools/call', {
       name,
       arguments: args
+    }, {
+      ...requestOptions,
+      label: `tools/call ${name}`,
+      timeout: requestOptions.timeout || TOOL_TIMEOUTS[name] || DEFAULT_REQUEST_TIMEOUT
     });
   }
 
   /**
    * Execute Blender Python code
    */
-  async executeBlenderCode(code) {
-    return await this.callTool('execute_blender_code', { code });
+  async executeBlenderCode(code, requestOptions = {}) {
+    return await this.callTool('execute_blender_code', { code }, requestOptions);
   }
 
   /**
    * Get viewport screenshot
    */
-  async getViewportScreenshot(maxSize = 800) {
-    return await this.callTool('get_viewport_screenshot', { max_size: maxSize });
+  async getViewportScreenshot(maxSize = 800, requestOptions = {}) {
+    return await this.callTool('get_viewport_screenshot', { max_size: maxSize }, requestOptions);
   }
 
   /**
    * Get scene information
    */
-  async getSceneInfo() {
-    return await this.callTool('get_scene_info', {});
+  async getSceneInfo(requestOptions = {}) {
+    return await this.callTool('get_scene_info', {}, requestOptions);
   }
 
   /**
    * Search Sketchfab models
    */
-  async searchSketchfab(query, options = {}) {
+  async searchSketchfab(query, options = {}, requestOptions = {}) {
     return await this.callTool('search_sketchfab_models', {
       query,
       categories: options.categories || null,
       count: options.count || 20,
       downloadable: options.downloadable !== false
-    });
+    }, requestOptions);
   }
 
   /**
    * Download Sketchfab model
    */
-  async downloadSketchfabModel(uid) {
-    return await this.callTool('download_sketchfab_model', { uid });
+  async downloadSketchfabModel(uid, requestOptions = {}) {
+    return await this.callTool('download_sketchfab_model', { uid }, requestOptions);
   }
 
   /**
    * Generate 3D model with Hyper3D
    */
-  async generateHyper3DModel(textPrompt, bboxCondition = null) {
+  async generateHyper3DModel(textPrompt, bboxCondition = null, requestOptions = {}) {
     return await this.callTool('generate_hyper3d_model_via_text', {
       text_prompt: textPrompt,
       bbox_condition: bboxCondition
-    });
+    }, requestOptions);
   }
 
   /**
    * Apply texture to object
    */
-  async setTexture(objectName, textureId) {
+  async setTexture(objectName, textureId, requestOptions = {}) {
     return await this.callTool('set_texture', {
       object_name: objectName,
       texture_id: textureId
-    });
+    }, requestOptions);
   }
 
   /**
    * Get integration statuses
    */
-  async getHunyuan3DStatus() {
-    return await this.callTool('get_hunyuan3d_status', {});
+  async getHunyuan3DStatus(requestOptions = {}) {
+    return await this.callTool('get_hunyuan3d_status', {}, requestOptions);
   }
 
-  async getPolyhavenStatus() {
-    return await this.callTool('get_polyhaven_status', {});
+  async getPolyhavenStatus(requestOptions = {}) {
+    return await this.callTool('get_polyhaven_status', {}, requestOptions);
   }
 
-  async getSketchfabStatus() {
-    return await this.callTool('get_sketchfab_status', {});
+  async getSketchfabStatus(requestOptions = {}) {
+    return await this.callTool('get_sketchfab_status', {}, requestOptions);
   }
 
   /**
    * Disconnect and cleanup
    */
   disconnect() {
-    if (this.process) {
-      this.process.kill();
-      this.process = null;
+    this.stopped = true;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (this.transport) {
+      const transport = this.transport;
+      this.transport = null;
+      transport.close();
     }
     this.isConnected = false;
-    this.pendingRequests.clear();
+    this.connectedAt = null;
+    this.rejectPending(new MCPUnavailableError('MCP Client disconnected'));
+    this.setState('disconnected', 'Disconnected by client');
     console.log('MCP Client disconnected');
   }
 }
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/**
+ * MCP Server Entry Point - Runs the Blender pipelines as an MCP server over stdio
+ * For agents that spawn their MCP servers as child processes:
+ *   node mcpServer.js
+ * The same tools are served over streamable HTTP at /mcp by server.js.
+ */
+
+// stdout carries the protocol, so route all console output to stderr
+console.log = console.error;
+console.info = console.error;
+console.warn = console.error;
+
+require('dotenv').config();
+
+const readline = require('readline');
+const BlenderWorkerPool = require('./services/workerPool');
+const PipelineMcpServer = require('./services/pipelineMcpServer');
+
+const workerPool = new BlenderWorkerPool();
+const mcpServer = new PipelineMcpServer({
+  workerPool,
+  baseUrl: process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 5000}`
+});
+const session = mcpServer.createSession();
+
+function send(message) {
+  process.stdout.write(JSON.stringify(message) + '\n');
+}
+
+async function handleLine(line) {
+  if (!line.trim()) {
+    return;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(line);
+  } catch (error) {
+    send({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+    return;
+  }
+
+  if (Array.isArray(parsed)) {
+    const responses = (await Promise.all(parsed.map(message => mcpServer.handleMessage(message, session))))
+      .filter(Boolean);
+    if (responses.length > 0) {
+      send(responses);
+    }
+    return;
+  }
+
+  const response = await mcpServer.handleMessage(parsed, session);
+  if (response) {
+    send(response);
+  }
+}
+
+function shutdown() {
+  mcpServer.closeSession(session);
+  workerPool.shutdown();
+  process.exit(0);
+}
+
+readline.createInterface({ input: process.stdin })
+  .on('line', line => {
+    handleLine(line).catch(error => console.error('MCP server error:', error.message));
+  })
+  .on('close', shutdown);
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+// Connect in the background; tool calls wait for a worker when they need one
+workerPool.connectAll().then((failures) => {
+  for (const failure of failures) {
+    console.error(`⚠️  Blender worker ${failure.id} not connected: ${failure.error}`);
+  }
+});
+workerPool.startHealthChecks();
+
+console.error('✓ Blender pipelines MCP server ready on stdio');
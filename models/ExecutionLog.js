@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const logEntrySchema = new mongoose.Schema({
+  timestamp: String,
+  level: String,
+  message: String,
+  data: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const executionLogSchema = new mongoose.Schema({
+  executionId: {
+    type: String,
+    required: true
+  },
+  // The client's X-Request-Id, a label only
+  requestId: {
+    type: String,
+    default: null
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  label: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['completed', 'failed', 'cancelled'],
+    required: true
+  },
+  statusCode: {
+    type: Number,
+    default: null
+  },
+  durationMs: {
+    type: Number,
+    default: 0
+  },
+  logs: {
+    type: [logEntrySchema],
+    default: []
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  finishedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+executionLogSchema.index({ executionId: 1, startedAt: -1 });
+executionLogSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+executionLogSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    ret.id = ret.executionId;
+    delete ret.executionId;
+    delete ret._id;
+    delete ret.__v;
+    delete ret.expiresAt;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('ExecutionLog', executionLogSchema);
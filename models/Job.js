@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+const logEntrySchema = new mongoose.Schema({
+  timestamp: String,
+  level: String,
+  message: String,
+  data: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const jobSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['prompt', 'export-glb']
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  input: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  safetyPolicy: {
+    type: String,
+    default: null // Code safety policy of the submitter; null runs under the default
+  },
+  step: {
+    type: String,
+    default: 'Waiting to start'
+  },
+  logs: {
+    type: [logEntrySchema],
+    default: []
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  workerId: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null // Set when the job finishes
+  }
+});
+
+jobSchema.index({ status: 1, createdAt: 1 });
+jobSchema.index({ userId: 1, createdAt: -1 });
+jobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+jobSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    ret.id = ret.jobId;
+    delete ret.jobId;
+    delete ret._id;
+    delete ret.__v;
+    delete ret.expiresAt;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Job', jobSchema);
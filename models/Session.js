@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+const turnSchema = new mongoose.Schema({
+  turn: {
+    type: Number,
+    required: true
+  },
+  prompt: {
+    type: String,
+    required: true
+  },
+  expandedPrompt: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  provider: {
+    type: String,
+    default: null
+  },
+  executionId: {
+    type: String,
+    default: null
+  },
+  generatedCode: {
+    type: String,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  export: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+const sessionSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  title: {
+    type: String,
+    default: null
+  },
+  provider: {
+    type: String,
+    default: null
+  },
+  workerId: {
+    type: String,
+    default: null // The worker whose scene the session builds on, set by the first turn
+  },
+  turns: {
+    type: [turnSchema],
+    default: []
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    default: null // Moved forward on every turn
+  }
+});
+
+sessionSchema.index({ userId: 1, updatedAt: -1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    ret.id = ret.sessionId;
+    delete ret.sessionId;
+    delete ret._id;
+    delete ret.__v;
+    delete ret.expiresAt;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -33,6 +33,11 @@ const userSchema = new mongoose.Schema({
       message: 'Phone number must be 10 digits'
     }
   },
+  role: {
+    type: String,
+    enum: ['user', 'artist', 'admin'],
+    default: 'user' // Selects the code safety policy (SAFETY_ROLE_POLICIES)
+  },
   verification_status: {
     type: String,
     enum: ['PENDING', 'VERIFIED'],
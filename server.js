@@ -1,26 +1,34 @@
 const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
-const axios = require('axios');
 const mongoose = require('mongoose');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 require('dotenv').config();
 
-const MCPClient = require('./mcpClient');
+const BlenderWorkerPool = require('./services/workerPool');
 const User = require('./models/User');
 const OTP = require('./models/OTP');
 const Token = require('./models/Token');
-const { generateAccessToken, generateRefreshToken } = require('./utils/jwt');
+const { generateAccessToken, generateRefreshToken, verifyAccessToken } = require('./utils/jwt');
 const { initEmailService, sendOTPEmail } = require('./services/emailService');
+const { statusForError } = require('./utils/errors');
+const pipelines = require('./services/pipelines');
+const llm = require('./services/llm');
+const schemaValidator = require('./utils/schemaValidator');
+const safetyPolicies = require('./utils/safetyPolicies');
+const PipelineMcpServer = require('./services/pipelineMcpServer');
+const createMcpRouter = require('./services/mcpHttpRouter');
+const JobRunner = require('./services/jobRunner');
+const SessionStore = require('./services/sessionStore');
+const ExecutionStream = require('./services/executionStream');
+const ExecutionLogStore = require('./services/executionLogStore');
+const SnapshotStore = require('./services/snapshotStore');
 
 // Import safety and quality modules
-const promptSafety = require('./utils/promptSafety');
-const svgValidator = require('./utils/svgValidator');
 const blenderSafety = require('./utils/blenderSafety');
-const modelQuality = require('./utils/modelQuality');
-const textureBaking = require('./utils/textureBaking');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -32,7 +40,7 @@ if (!fs.existsSync(uploadsDir)) {
 }
 
 // Create exports directory if it doesn't exist
-const exportsDir = path.join(__dirname, 'exports');
+const exportsDir = pipelines.EXPORTS_DIR;
 if (!fs.existsSync(exportsDir)) {
   fs.mkdirSync(exportsDir, { recursive: true });
 }
@@ -59,46 +67,262 @@ const upload = multer({
   }
 });
 
+// Initialize Blender worker pool (one MCP connection per Blender instance)
+const workerPool = new BlenderWorkerPool();
+let isInitializing = false;
+
+// Live progress of running pipelines and jobs, streamed over SSE
+const executionStream = new ExecutionStream();
+
+// Background jobs run the same pipelines and are stored in MongoDB
+const jobRunner = new JobRunner({ workerPool, baseUrl: publicBaseUrl(), executionStream });
+const sessionStore = new SessionStore({ workerPool });
+const snapshotStore = new SnapshotStore();
+
 // Middleware
 app.use(cors());
+
+// MCP clients reach the same pipelines over streamable HTTP
+// (mounted before the JSON body parser, which has a smaller size limit)
+app.use('/mcp', createMcpRouter(new PipelineMcpServer({ workerPool, baseUrl: publicBaseUrl() })));
+
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 app.use('/uploads', express.static(uploadsDir)); // Serve uploaded files
 app.use('/exports', express.static(exportsDir)); // Serve exported GLB files
 app.use('/views', express.static(path.join(__dirname, 'views'))); // Serve HTML views
 
-// Initialize MCP Client
-const mcpClient = new MCPClient();
-let isInitializing = false;
+// Finished requests' logs, kept for GET /api/executions/:id/logs
+const executionLogStore = new ExecutionLogStore();
 
-// Initialize execution logger
-const executionLogger = new blenderSafety.ExecutionLogger();
+// Abort in-flight MCP calls when the HTTP client disconnects
+function attachAbortSignal(req, res, next) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort(new Error('Client disconnected'));
+    }
+  });
+  req.abortSignal = controller.signal;
+  next();
+}
 
-// Ensure MCP connection before handling requests
-async function ensureConnection(req, res, next) {
-  if (mcpClient.isConnected) {
-    return next();
-  }
+app.use('/api', attachAbortSignal);
 
-  if (isInitializing) {
-    return res.status(503).json({
-      success: false,
-      error: 'MCP server is initializing, please try again in a moment'
-    });
+// userId of a valid Bearer token, or null; routes that require a user reject bad tokens themselves
+function tokenUserId(req) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
   }
 
   try {
-    isInitializing = true;
-    await mcpClient.connect();
-    isInitializing = false;
-    next();
+    return verifyAccessToken(authHeader.substring(7)).userId || null;
   } catch (error) {
-    isInitializing = false;
-    res.status(503).json({
+    return null;
+  }
+}
+
+/**
+ * Give every API request its own execution logger
+ * The execution id is generated here and returned in X-Execution-Id; the
+ * client's X-Request-Id is only kept as a label, so one client cannot reuse
+ * another's id. Requests that logged anything are saved to the log store
+ * when they finish, with the signed-in user as owner.
+ */
+function attachExecutionLogger(req, res, next) {
+  const startedAt = new Date();
+  req.executionId = crypto.randomUUID();
+  req.requestId = req.get('X-Request-Id') || null;
+  req.executionUserId = tokenUserId(req);
+  req.executionLogger = new blenderSafety.ExecutionLogger(req.executionId);
+  res.set('X-Execution-Id', req.executionId);
+
+  res.on('close', () => {
+    const logs = req.executionLogger.getLogs();
+    if (logs.length === 0) {
+      return;
+    }
+
+    let status = 'cancelled';
+    if (res.writableFinished) {
+      status = res.statusCode < 400 ? 'completed' : 'failed';
+    }
+
+    executionLogStore.save({
+      executionId: req.executionId,
+      requestId: req.requestId,
+      userId: req.executionUserId,
+      label: `${req.method} ${req.path}`,
+      status,
+      statusCode: res.writableFinished ? res.statusCode : null,
+      logs,
+      startedAt
+    }).catch(error => console.error(`[${req.executionId}] Failed to save execution logs:`, error.message));
+  });
+  next();
+}
+
+app.use('/api', attachExecutionLogger);
+
+function publicBaseUrl() {
+  return `http://localhost:${PORT}`;
+}
+
+// Shared pipelines log to the execution logger and stop when the client disconnects
+function pipelineContext(req) {
+  return {
+    logger: req.executionLogger,
+    signal: req.abortSignal,
+    baseUrl: publicBaseUrl(),
+    safetyPolicy: req.safetyPolicy
+  };
+}
+
+/**
+ * Pick the code safety policy for the caller (see utils/safetyPolicies)
+ * An X-API-Key listed in SAFETY_API_KEYS selects its policy; otherwise the
+ * role in the Bearer token does, and anonymous callers get the default.
+ * The policy name is returned in X-Safety-Policy.
+ */
+function applySafetyPolicy(req, res, next) {
+  let role = null;
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    try {
+      role = verifyAccessToken(authHeader.substring(7)).role || 'user';
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired token'
+      });
+    }
+  }
+
+  const policy = safetyPolicies.resolvePolicy({ apiKey: req.get('X-API-Key'), role });
+  if (!policy) {
+    return res.status(401).json({
       success: false,
-      error: 'Failed to connect to MCP server: ' + error.message
+      error: 'Invalid API key'
+    });
+  }
+
+  req.safetyPolicy = policy;
+  res.set('X-Safety-Policy', policy.name);
+  next();
+}
+
+// Each worker queue serializes access so concurrent pipelines cannot interleave on one scene
+// req.blenderWorkerId (set by routes bound to a worker's scene) wins over the X-Blender-Worker header
+function queueOptions(req) {
+  return {
+    id: req.requestId || req.executionId,
+    label: `${req.method} ${req.path}`,
+    signal: req.abortSignal,
+    workerId: req.blenderWorkerId || req.get('X-Blender-Worker')
+  };
+}
+
+/**
+ * Stream a pipeline route's progress under its execution id
+ * Clients follow it at GET /api/executions/:id/events.
+ * Routes report the outcome with finishExecution().
+ */
+function trackExecution(req, res, next) {
+  executionStream.track(req.executionId, req.executionLogger, `${req.method} ${req.path}`, {
+    owner: req.executionUserId,
+    requestId: req.requestId
+  });
+
+  // Requests rejected before the route runs (validation, queue full, disconnect)
+  res.on('close', () => {
+    executionStream.finish(req.executionId, {
+      error: new Error(res.writableFinished ? `Request ended with status ${res.statusCode}` : 'Client disconnected')
     });
+  });
+  next();
+}
+
+function finishExecution(req, outcome) {
+  executionStream.finish(req.executionId, outcome);
+}
+
+/**
+ * Run a route handler on a Blender worker through its queue
+ * mode is 'exclusive' (modifies the scene), 'shared' (read-only) or a function of req
+ * The handler reaches Blender through req.mcpClient, connected to req.blenderWorker.
+ * Clients can send X-Request-Id to look up their position via GET /api/queue/:id,
+ * and X-Blender-Worker to pin follow-up requests to the worker that served them.
+ */
+function withBlenderQueue(mode, handler) {
+  return async (req, res, next) => {
+    try {
+      await workerPool.run(typeof mode === 'function' ? mode(req) : mode, (client, ticket, worker) => {
+        req.mcpClient = client;
+        req.blenderWorker = worker;
+        req.queueTicket = ticket;
+        res.set('X-Blender-Worker', worker.id);
+        res.set('X-Queue-Waited-Ms', String(ticket.startedAt - ticket.queuedAt));
+        return handler(req, res, next);
+      }, queueOptions(req));
+    } catch (error) {
+      // Handlers answer their own errors; this only sees queue rejections
+      if (!res.headersSent) {
+        res.status(statusForError(error)).json({
+          success: false,
+          error: error.message
+        });
+      }
+    }
+  };
+}
+
+// Read-only tools can share Blender with other lookups
+const READ_ONLY_TOOLS = new Set([
+  'get_scene_info',
+  'get_object_info',
+  'get_viewport_screenshot',
+  'get_hunyuan3d_status',
+  'get_hyper3d_status',
+  'get_polyhaven_status',
+  'get_sketchfab_status',
+  'search_sketchfab_models'
+]);
+
+function toolQueueMode(req) {
+  return READ_ONLY_TOOLS.has(req.body && req.body.toolName) ? 'shared' : 'exclusive';
+}
+
+// Log connection state changes for monitoring
+workerPool.on('state', ({ worker, from, to, reason }) => {
+  console.log(`[${worker}] MCP ${from} → ${to}${reason ? ` (${reason})` : ''}`);
+});
+
+// Ensure MCP connection before handling requests
+// Never waits on Blender inside a request: reconnects happen in the background
+function ensureConnection(req, res, next) {
+  if (workerPool.hasConnectedWorker()) {
+    return next();
+  }
+
+  const retryAfterMs = workerPool.retryAfterMs();
+
+  if (!isInitializing && retryAfterMs === 0) {
+    isInitializing = true;
+    workerPool.connectAll()
+      .catch(error => console.error('MCP connect failed:', error.message))
+      .finally(() => {
+        isInitializing = false;
+      });
   }
+
+  res.set('Retry-After', String(Math.max(Math.ceil(retryAfterMs / 1000), 2)));
+  res.status(503).json({
+    success: false,
+    error: retryAfterMs > 0
+      ? `Blender is unavailable, retrying in ${Math.ceil(retryAfterMs / 1000)}s`
+      : 'MCP server is connecting, please try again in a moment'
+  });
 }
 
 // ============= HEALTH & STATUS ENDPOINTS =============
@@ -110,11 +334,122 @@ async function ensureConnection(req, res, next) {
 app.get('/health', (req, res) => {
   res.json({
     success: true,
-    connected: mcpClient.isConnected,
+    connected: workerPool.hasConnectedWorker(),
+    mcp: workerPool.getServerDetails(),
+    workers: workerPool.getStatus().map(worker => ({ id: worker.id, state: worker.state })),
+    queue: {
+      depth: workerPool.getQueueStatus().depth,
+      running: workerPool.getQueueStatus().running
+    },
     timestamp: new Date().toISOString()
   });
 });
 
+/**
+ * GET /api/queue
+ * Blender execution queue depth with running and waiting operations
+ */
+app.get('/api/queue', (req, res) => {
+  res.json({
+    success: true,
+    data: workerPool.getQueueStatus()
+  });
+});
+
+/**
+ * GET /api/queue/:id
+ * Position of a queued operation (the X-Request-Id sent with it)
+ * Position 0 means it is running
+ */
+app.get('/api/queue/:id', (req, res) => {
+  const ticket = workerPool.findTicket(req.params.id);
+
+  if (!ticket) {
+    return res.status(404).json({
+      success: false,
+      error: 'Operation not found in queue'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      id: req.params.id,
+      worker: ticket.workerId,
+      position: ticket.position,
+      running: ticket.position === 0,
+      depth: ticket.depth
+    }
+  });
+});
+
+// ============= ADMIN ENDPOINTS =============
+
+// Admin routes require X-Admin-Key to match ADMIN_API_KEY
+function requireAdmin(req, res, next) {
+  if (!process.env.ADMIN_API_KEY) {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin API is disabled: ADMIN_API_KEY is not configured'
+    });
+  }
+
+  if (req.get('X-Admin-Key') !== process.env.ADMIN_API_KEY) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid admin key'
+    });
+  }
+
+  next();
+}
+
+/**
+ * GET /api/admin/workers
+ * Per-worker connection state, queue and statistics
+ * Headers: { X-Admin-Key: "key" }
+ */
+app.get('/api/admin/workers', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      size: workerPool.size,
+      healthInterval: workerPool.healthInterval,
+      workers: workerPool.getStatus()
+    }
+  });
+});
+
+/**
+ * POST /api/admin/workers/:id/recycle
+ * Drop a worker's MCP connection and start a fresh one
+ * Headers: { X-Admin-Key: "key" }
+ */
+app.post('/api/admin/workers/:id/recycle', requireAdmin, async (req, res) => {
+  const worker = workerPool.getWorker(req.params.id);
+
+  if (!worker) {
+    return res.status(404).json({
+      success: false,
+      error: 'Worker not found'
+    });
+  }
+
+  try {
+    await worker.recycle('Requested by admin');
+    res.json({
+      success: true,
+      data: worker.getStatus()
+    });
+  } catch (error) {
+    res.status(503).json({
+      success: false,
+      error: 'Worker recycled but failed to reconnect: ' + error.message,
+      data: worker.getStatus()
+    });
+  }
+});
+
 // ============= AUTH ENDPOINTS =============
 
 /**
@@ -305,7 +640,7 @@ app.post('/api/auth/verify-otp', async (req, res) => {
     await user.save();
 
     // Generate tokens
-    const accessToken = generateAccessToken(user._id);
+    const accessToken = generateAccessToken(user._id, user.role);
     const refreshToken = generateRefreshToken(user._id);
 
     // Save refresh token
@@ -330,6 +665,7 @@ app.post('/api/auth/verify-otp', async (req, res) => {
           lastName: user.lastName,
           companyName: user.companyName,
           phoneNumber: user.phoneNumber,
+          role: user.role,
           verification_status: user.verification_status
         }
       }
@@ -386,7 +722,7 @@ app.post('/api/auth/refresh', async (req, res) => {
     }
 
     // Generate new access token
-    const newAccessToken = generateAccessToken(user._id);
+    const newAccessToken = generateAccessToken(user._id, user.role);
 
     return res.json({
       success: true,
@@ -488,311 +824,368 @@ app.put('/api/auth/profile', async (req, res) => {
  * GET /api/tools
  * List all available MCP tools
  */
-app.get('/api/tools', ensureConnection, async (req, res) => {
+app.get('/api/tools', ensureConnection, withBlenderQueue('shared', async (req, res) => {
   try {
-    const result = await mcpClient.listTools();
+    const result = await req.mcpClient.listTools({ signal: req.abortSignal });
     res.json({
       success: true,
       data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(statusForError(error)).json({
       success: false,
       error: error.message
     });
   }
+}));
+
+/**
+ * GET /api/llm/providers
+ * LLM providers for code generation, which are configured and which is the default
+ */
+app.get('/api/llm/providers', (req, res) => {
+  res.json({
+    success: true,
+    data: llm.listProviders()
+  });
+});
+
+/**
+ * GET /api/safety/policy
+ * The code safety policy that applies to the caller, and the available policies
+ * Headers: { Authorization: "Bearer token" } or { X-API-Key: "key" } (optional)
+ */
+app.get('/api/safety/policy', applySafetyPolicy, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      policy: safetyPolicies.describePolicy(req.safetyPolicy),
+      available: Object.keys(safetyPolicies.PROFILES)
+    }
+  });
 });
 
 /**
  * GET /api/status
  * Get integration statuses
  */
-app.get('/api/status', ensureConnection, async (req, res) => {
+app.get('/api/status', ensureConnection, withBlenderQueue('shared', async (req, res) => {
   try {
     const [hunyuan3d, polyhaven, sketchfab] = await Promise.allSettled([
-      mcpClient.getHunyuan3DStatus(),
-      mcpClient.getPolyhavenStatus(),
-      mcpClient.getSketchfabStatus()
+      req.mcpClient.getHunyuan3DStatus({ signal: req.abortSignal }),
+      req.mcpClient.getPolyhavenStatus({ signal: req.abortSignal }),
+      req.mcpClient.getSketchfabStatus({ signal: req.abortSignal })
     ]);
 
     res.json({
       success: true,
       data: {
+        server: req.mcpClient.getServerDetails(),
         hunyuan3d: hunyuan3d.status === 'fulfilled' ? hunyuan3d.value : { error: hunyuan3d.reason.message },
         polyhaven: polyhaven.status === 'fulfilled' ? polyhaven.value : { error: polyhaven.reason.message },
         sketchfab: sketchfab.status === 'fulfilled' ? sketchfab.value : { error: sketchfab.reason.message }
       }
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(statusForError(error)).json({
       success: false,
       error: error.message
     });
   }
-});
+}));
 
-// ============= BLENDER CONTROL ENDPOINTS =============
+// ============= MCP RESOURCE & PROMPT ENDPOINTS =============
 
 /**
- * POST /api/blender/execute
- * Execute Python code in Blender with safety validation
- * Body: { code: "import bpy\nbpy.ops.mesh.primitive_cube_add()" }
+ * GET /api/resources
+ * List resources published by the MCP server
+ * Query params: cursor (nextCursor from a previous page)
  */
-app.post('/api/blender/execute', ensureConnection, async (req, res) => {
+app.get('/api/resources', ensureConnection, withBlenderQueue('shared', async (req, res) => {
   try {
-    const { code } = req.body;
-
-    if (!code) {
-      return res.status(400).json({
-        success: false,
-        error: 'Code is required'
-      });
-    }
-
-    // Validate code safety
-    const validation = promptSafety.validateGeneratedCode(code);
-    
-    if (!validation.safe) {
-      executionLogger.error('Code validation failed', new Error('Unsafe code detected'));
-      return res.status(400).json({
-        success: false,
-        error: 'Code validation failed: Unsafe operations detected',
-        issues: validation.issues
-      });
-    }
-
-    // Wrap in safe execution context
-    const safeCode = blenderSafety.wrapInSafeContext(code, 'Direct Code Execution');
-
-    executionLogger.info('Executing code', { codeLength: code.length, warnings: validation.warningCount });
-
-    const result = await mcpClient.executeBlenderCode(safeCode);
-    
-    executionLogger.success('Code executed successfully');
-
+    const result = await req.mcpClient.listResources(req.query.cursor, { signal: req.abortSignal });
     res.json({
       success: true,
-      data: result,
-      validation: {
-        warnings: validation.warningCount,
-        issues: validation.issues.filter(i => i.severity === 'warning')
-      }
+      data: result
     });
   } catch (error) {
-    executionLogger.error('Execution failed', error);
-    res.status(500).json({
+    res.status(statusForError(error)).json({
       success: false,
       error: error.message
     });
   }
-});
+}));
 
 /**
- * GET /api/blender/screenshot
- * Get viewport screenshot
- * Query: ?maxSize=800
+ * GET /api/resources/read
+ * Read a resource by URI
+ * Query params: uri (required)
  */
-app.get('/api/blender/screenshot', ensureConnection, async (req, res) => {
+app.get('/api/resources/read', ensureConnection, withBlenderQueue('shared', async (req, res) => {
   try {
-    const maxSize = parseInt(req.query.maxSize) || 800;
-    const result = await mcpClient.getViewportScreenshot(maxSize);
+    const { uri } = req.query;
 
-    // Extract screenshot from MCP response
-    let screenshotData = null;
-
-    if (result && result.content && Array.isArray(result.content)) {
-      // MCP returns content as array with type and data
-      const imageContent = result.content.find(item => item.type === 'image');
-      if (imageContent && imageContent.data) {
-        screenshotData = imageContent.data;
-      }
+    if (!uri) {
+      return res.status(400).json({
+        success: false,
+        error: 'uri query parameter is required'
+      });
     }
 
+    const result = await req.mcpClient.readResource(uri, { signal: req.abortSignal });
     res.json({
       success: true,
-      screenshot: screenshotData,
       data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(statusForError(error)).json({
       success: false,
       error: error.message
     });
   }
-});
+}));
 
 /**
- * POST /api/blender/export-glb
- * Export current Blender scene as GLB file with quality checks
- * Returns URL to download the exported GLB
+ * GET /api/prompts
+ * List prompt templates published by the MCP server
+ * Query params: cursor (nextCursor from a previous page)
  */
-app.post('/api/blender/export-glb', ensureConnection, async (req, res) => {
+app.get('/api/prompts', ensureConnection, withBlenderQueue('shared', async (req, res) => {
   try {
-    executionLogger.info('Starting GLB export');
-
-    // Run quality improvements before export
-    const qualityCode = modelQuality.generateQualityPipeline();
-    await mcpClient.executeBlenderCode(qualityCode);
-
-    // Bake procedural textures before export
-    executionLogger.info('Baking procedural materials');
-    const bakeCode = textureBaking.generateTextureBaking();
-    await mcpClient.executeBlenderCode(bakeCode);
-
-    const timestamp = Date.now();
-    const filename = `model-${timestamp}.glb`;
-    const exportPath = path.join(exportsDir, filename).replace(/\\/g, '/');
-
-    // Enhanced export code with validation
-    const exportCode = `
-import bpy
-import os
-
-print("\\n" + "=" * 60)
-print("EXPORTING CURRENT SCENE AS GLB")
-print("=" * 60)
-
-# Enable GLTF exporter addon if not already enabled
-if 'io_scene_gltf2' not in bpy.context.preferences.addons:
-    try:
-        bpy.ops.preferences.addon_enable(module='io_scene_gltf2')
-        print("✓ GLTF exporter addon enabled")
-    except Exception as e:
-        print(f"⚠ Warning: Could not enable GLTF exporter: {str(e)}")
-
-export_path = r"${exportPath}"
-print(f"\\nExport path: {export_path}")
-
-# Make sure export directory exists
-os.makedirs(os.path.dirname(export_path), exist_ok=True)
-
-# Convert all materials to use shader nodes for proper export
-print("\\nVerifying material shader nodes...")
-materials_fixed = 0
-for mat in bpy.data.materials:
-    if mat and not mat.use_nodes:
-        print(f"⚠ Converting material '{mat.name}' to use nodes")
-        mat.use_nodes = True
-        nodes = mat.node_tree.nodes
-        bsdf = nodes.get('Principled BSDF')
-        if bsdf:
-            bsdf.inputs['Base Color'].default_value = mat.diffuse_color
-            print(f"  Set Base Color to {mat.diffuse_color[:]}")
-            materials_fixed += 1
-    else:
-        if mat:
-            print(f"✓ Material '{mat.name}' already uses shader nodes")
-
-if materials_fixed > 0:
-    print(f"✓ Fixed {materials_fixed} material(s)")
-
-# Get all mesh objects
-mesh_objects = [obj for obj in bpy.data.objects if obj.type == 'MESH']
-
-if not mesh_objects:
-    print("\\n✗ Warning: No mesh objects to export")
-else:
-    print(f"\\n✓ Found {len(mesh_objects)} mesh object(s) for export")
-    for obj in mesh_objects:
-        print(f"  - {obj.name}: {len(obj.data.vertices):,} verts, {len(obj.data.materials)} material(s)")
-    
-    # Export all mesh objects as GLB
-    print("\\nExporting GLB...")
-    try:
-        bpy.ops.export_scene.gltf(
-            filepath=export_path,
-            export_format='GLB',
-            use_selection=False,
-            export_apply=True,
-            export_materials='EXPORT',
-            export_texcoords=True,
-            export_normals=True,
-            export_tangents=True,
-            export_yup=True
-        )
-        
-        if os.path.exists(export_path):
-            file_size = os.path.getsize(export_path)
-            print(f"\\n✓ SUCCESS: Exported {len(mesh_objects)} objects")
-            print(f"  - Size: {file_size:,} bytes ({file_size / 1024:.2f} KB)")
-            print("=" * 60)
-        else:
-            print(f"\\n✗ ERROR: Export completed but file not found")
-            raise Exception("Export file not created")
-    except Exception as e:
-        print(f"\\n✗ ERROR during export: {str(e)}")
-        import traceback
-        traceback.print_exc()
-        raise
-
-print("=" * 60)
-`;
-
-    await mcpClient.executeBlenderCode(exportCode);
-
-    // Validate GLB output
-    const glbValidation = await modelQuality.validateGLBOutput(exportPath);
-    
-    if (!glbValidation.valid) {
-      executionLogger.error('GLB validation failed', new Error(glbValidation.error));
-      return res.status(500).json({
-        success: false,
-        error: 'GLB export validation failed',
-        validation: glbValidation
-      });
-    }
-
-    // Return URL to access the exported file
-    const fileUrl = `http://localhost:${PORT}/exports/${filename}`;
-
-    executionLogger.success('GLB export completed', glbValidation);
-
+    const result = await req.mcpClient.listPrompts(req.query.cursor, { signal: req.abortSignal });
     res.json({
       success: true,
-      message: 'Scene exported successfully',
-      filename: filename,
-      url: fileUrl,
-      path: exportPath,
-      validation: glbValidation,
-      logs: executionLogger.getLogs()
+      data: result
     });
   } catch (error) {
-    executionLogger.error('GLB export failed', error);
-    console.error('GLB export error:', error);
-    res.status(500).json({
+    res.status(statusForError(error)).json({
       success: false,
-      error: error.message,
-      logs: executionLogger.getLogs()
+      error: error.message
     });
-  } finally {
-    executionLogger.clear();
   }
-});
+}));
 
 /**
- * GET /api/blender/scene
- * Get current scene information
+ * GET /api/prompts/:name
+ * Render a prompt template
+ * Query params: the prompt's arguments, e.g. ?object_name=Cube
  */
-app.get('/api/blender/scene', ensureConnection, async (req, res) => {
+app.get('/api/prompts/:name', ensureConnection, withBlenderQueue('shared', async (req, res) => {
   try {
-    const result = await mcpClient.getSceneInfo();
+    const result = await req.mcpClient.getPrompt(req.params.name, req.query, { signal: req.abortSignal });
     res.json({
       success: true,
       data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(statusForError(error)).json({
       success: false,
       error: error.message
     });
   }
-});
+}));
+
+// ============= BLENDER CONTROL ENDPOINTS =============
 
 /**
- * POST /api/blender/test-export
- * Test export functionality with a simple cube
- */
-app.post('/api/blender/test-export', ensureConnection, async (req, res) => {
+ * POST /api/blender/execute
+ * Execute Python code in Blender with safety validation
+ * Body: { code: "import bpy\nbpy.ops.mesh.primitive_cube_add()" }
+ */
+app.post('/api/blender/execute', applySafetyPolicy, ensureConnection, withBlenderQueue('exclusive', async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Code is required'
+      });
+    }
+
+    // Validate code safety and wrap in safe execution context
+    const { validation, safeCode } = pipelines.prepareDirectCode(code, 'Direct Code Execution', pipelineContext(req));
+
+    req.executionLogger.info('Executing code', { codeLength: code.length, warnings: validation.warningCount });
+
+    const result = await req.mcpClient.executeBlenderCode(safeCode, { signal: req.abortSignal });
+    const { output, ...execution } = pipelines.checkExecutionLimits(result, pipelineContext(req));
+    
+    req.executionLogger.success('Code executed successfully');
+
+    res.json({
+      success: true,
+      data: result,
+      execution,
+      validation: {
+        warnings: validation.warningCount,
+        issues: validation.issues.filter(i => i.severity === 'warning')
+      }
+    });
+  } catch (error) {
+    req.executionLogger.error('Execution failed', error);
+    res.status(statusForError(error)).json({
+      success: false,
+      error: error.message,
+      ...error.details
+    });
+  }
+}));
+
+/**
+ * POST /api/blender/snapshots
+ * Record the scene (objects, data-blocks and transforms) for a later restore
+ * With a Bearer token, only the same user can restore it.
+ * Body: { label: "before lighting" } (optional)
+ */
+app.post('/api/blender/snapshots', identifyUser, ensureConnection, withBlenderQueue('shared', async (req, res) => {
+  try {
+    const state = await pipelines.takeSnapshot(req.mcpClient, pipelineContext(req));
+    const entry = snapshotStore.save(req.blenderWorker.id, state, req.body.label || null, req.userId);
+
+    res.status(201).json({
+      success: true,
+      data: snapshotStore.describe(entry)
+    });
+  } catch (error) {
+    res.status(statusForError(error)).json({
+      success: false,
+      error: error.message,
+      ...error.details
+    });
+  }
+}));
+
+// Loads req.params.id into req.snapshot and pins the request to the snapshot's worker
+function loadSnapshot(req, res, next) {
+  const snapshot = snapshotStore.get(req.params.id, req.userId);
+
+  if (!snapshot) {
+    return res.status(404).json({
+      success: false,
+      error: 'Snapshot not found'
+    });
+  }
+
+  req.snapshot = snapshot;
+  req.blenderWorkerId = snapshot.workerId;
+  next();
+}
+
+/**
+ * POST /api/blender/snapshots/:id/restore
+ * Put the scene back as it was when the snapshot was taken
+ * Runs on the worker the snapshot was taken on.
+ */
+app.post('/api/blender/snapshots/:id/restore', identifyUser, loadSnapshot, ensureConnection, withBlenderQueue('exclusive', async (req, res) => {
+  try {
+    const restored = await pipelines.restoreSnapshot(req.mcpClient, req.snapshot.state, pipelineContext(req));
+
+    res.json({
+      success: true,
+      data: {
+        snapshot: snapshotStore.describe(req.snapshot),
+        ...restored
+      }
+    });
+  } catch (error) {
+    res.status(statusForError(error)).json({
+      success: false,
+      error: error.message,
+      ...error.details
+    });
+  }
+}));
+
+/**
+ * GET /api/blender/screenshot
+ * Get viewport screenshot
+ * Query: ?maxSize=800
+ */
+app.get('/api/blender/screenshot', ensureConnection, withBlenderQueue('shared', async (req, res) => {
+  try {
+    const maxSize = parseInt(req.query.maxSize) || 800;
+    const result = await req.mcpClient.getViewportScreenshot(maxSize, { signal: req.abortSignal });
+
+    // Extract screenshot from MCP response
+    let screenshotData = null;
+
+    if (result && result.content && Array.isArray(result.content)) {
+      // MCP returns content as array with type and data
+      const imageContent = result.content.find(item => item.type === 'image');
+      if (imageContent && imageContent.data) {
+        screenshotData = imageContent.data;
+      }
+    }
+
+    res.json({
+      success: true,
+      screenshot: screenshotData,
+      data: result
+    });
+  } catch (error) {
+    res.status(statusForError(error)).json({
+      success: false,
+      error: error.message
+    });
+  }
+}));
+
+/**
+ * POST /api/blender/export-glb
+ * Export current Blender scene as GLB file with quality checks
+ * Returns URL to download the exported GLB
+ */
+app.post('/api/blender/export-glb', trackExecution, ensureConnection, withBlenderQueue('exclusive', async (req, res) => {
+  const logger = req.executionLogger;
+
+  try {
+    const exported = await pipelines.exportScene(req.mcpClient, pipelineContext(req));
+    finishExecution(req, { result: { url: exported.url } });
+
+    res.json({
+      success: true,
+      message: 'Scene exported successfully',
+      ...exported,
+      logs: logger.getLogs()
+    });
+  } catch (error) {
+    logger.error('GLB export failed', error);
+    finishExecution(req, { error });
+    console.error(`[${req.executionId}] GLB export error:`, error);
+    res.status(statusForError(error)).json({
+      success: false,
+      error: error.message,
+      ...error.details,
+      logs: logger.getLogs()
+    });
+  }
+}));
+
+/**
+ * GET /api/blender/scene
+ * Get current scene information
+ */
+app.get('/api/blender/scene', ensureConnection, withBlenderQueue('shared', async (req, res) => {
+  try {
+    const result = await req.mcpClient.getSceneInfo({ signal: req.abortSignal });
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(statusForError(error)).json({
+      success: false,
+      error: error.message
+    });
+  }
+}));
+
+/**
+ * POST /api/blender/test-export
+ * Test export functionality with a simple cube
+ */
+app.post('/api/blender/test-export', ensureConnection, withBlenderQueue('exclusive', async (req, res) => {
   try {
     // Create a simple cube and export it
     const timestamp = Date.now();
@@ -832,7 +1225,7 @@ except Exception as e:
     print(f"ERROR: {str(e)}")
 `;
 
-    await mcpClient.executeBlenderCode(testCode);
+    await req.mcpClient.executeBlenderCode(testCode, { signal: req.abortSignal });
 
     const fileExists = fs.existsSync(exportPath);
     const fileUrl = `http://localhost:${PORT}/exports/${filename}`;
@@ -848,19 +1241,21 @@ except Exception as e:
       }
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(statusForError(error)).json({
       success: false,
       error: error.message
     });
   }
-});
+}));
 
 /**
  * POST /api/blender/import-svg
  * Upload and import SVG file into Blender with validation and optimization
  * Multipart form data with 'file' field
  */
-app.post('/api/blender/import-svg', upload.single('file'), ensureConnection, async (req, res) => {
+app.post('/api/blender/import-svg', trackExecution, upload.single('file'), ensureConnection, withBlenderQueue('exclusive', async (req, res) => {
+  const logger = req.executionLogger;
+
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -869,169 +1264,34 @@ app.post('/api/blender/import-svg', upload.single('file'), ensureConnection, asy
       });
     }
 
-    const svgPath = req.file.path.replace(/\\/g, '/'); // Normalize path for Blender
-
-    // Step 1: Validate SVG
-    executionLogger.info('Validating SVG', { filename: req.file.originalname });
-    const validation = await svgValidator.validateSVG(svgPath);
-
-    if (!validation.valid) {
-      executionLogger.error('SVG validation failed', new Error(validation.issues.join(', ')));
-      
-      // Clean up uploaded file
-      if (fs.existsSync(svgPath)) {
-        fs.unlinkSync(svgPath);
-      }
-      
-      return res.status(400).json({
-        success: false,
-        error: 'SVG validation failed',
-        issues: validation.issues
-      });
-    }
-
-    // Step 2: Calculate adaptive settings
-    const settings = svgValidator.calculateAdaptiveSettings(validation);
-    executionLogger.info('Calculated adaptive settings', settings);
-
-    // Step 3: Preprocess and simplify SVG
-    executionLogger.info('Preprocessing SVG', { 
-      hasWarnings: validation.warnings.length > 0,
-      svgType: validation.svgType
-    });
-    
-    const svgContent = fs.readFileSync(svgPath, 'utf8');
-    let processed = svgContent;
-    
-    // Apply technical preprocessing if needed
-    if (validation.svgType && validation.svgType.isTechnical) {
-      executionLogger.info('Applying technical drawing preprocessing');
-      processed = svgValidator.preprocessTechnicalSVG(processed);
-    }
-    
-    // Always simplify to remove unsupported elements
-    processed = svgValidator.simplifySVG(processed);
-    fs.writeFileSync(svgPath, processed, 'utf8');
-    executionLogger.info('SVG preprocessed and simplified');
-
-    // Step 4: Generate optimized import code
-    const importCode = svgValidator.generateImportCode(svgPath, settings);
-
-    executionLogger.info('Importing SVG into Blender');
-    const result = await mcpClient.executeBlenderCode(importCode);
-
-    // Skip validation and quality improvements - go straight to export
-    executionLogger.info('Import complete, proceeding to export...');
-
-    // Step 6: Auto-export as GLB
-    const timestamp = Date.now();
-    const filename = `svg-import-${timestamp}.glb`;
-    const exportPath = path.join(exportsDir, filename).replace(/\\/g, '/');
-
-    const exportCode = `
-import bpy
-import os
-
-print("\\n" + "=" * 60)
-print("EXPORTING OPTIMIZED MODEL")
-print("=" * 60)
-
-export_path = r"${exportPath}"
-os.makedirs(os.path.dirname(export_path), exist_ok=True)
-
-# Ensure GLTF exporter
-if 'io_scene_gltf2' not in bpy.context.preferences.addons:
-    try:
-        bpy.ops.preferences.addon_enable(module='io_scene_gltf2')
-    except: pass
-
-# Select mesh objects
-bpy.ops.object.select_all(action='DESELECT')
-mesh_objects = [obj for obj in bpy.data.objects if obj.type == 'MESH']
-
-for obj in mesh_objects:
-    obj.select_set(True)
-
-if mesh_objects:
-    try:
-        bpy.ops.export_scene.gltf(
-            filepath=export_path,
-            export_format='GLB',
-            use_selection=True,
-            export_apply=True,
-            export_materials='EXPORT',
-            export_texcoords=True,
-            export_normals=True,
-            export_tangents=True,
-            export_yup=True
-        )
-        
-        if os.path.exists(export_path):
-            file_size = os.path.getsize(export_path)
-            print(f"✓ Exported: {file_size:,} bytes ({file_size/1024:.2f} KB)")
-        else:
-            print("✗ Export file not created")
-    except Exception as e:
-        print(f"✗ Export error: {e}")
-        import traceback
-        traceback.print_exc()
-else:
-    print("✗ No mesh objects to export")
-
-print("=" * 60)
-`;
-
-    executionLogger.info('Exporting GLB');
-    await mcpClient.executeBlenderCode(exportCode);
-
-    // Just check if file exists - no strict validation
-    executionLogger.info('Export complete, checking file...');
-
-    const fileUrl = `http://localhost:${PORT}/exports/${filename}`;
-
-    executionLogger.success('SVG import pipeline completed');
+    const imported = await pipelines.svgToGlb(req.mcpClient, req.file, pipelineContext(req));
+    finishExecution(req, { result: { url: imported.export.url } });
 
     res.json({
       success: true,
       message: 'SVG imported and optimized successfully',
-      file: {
-        name: req.file.originalname,
-        size: req.file.size,
-        path: svgPath
-      },
-      validation: {
-        stats: validation.stats,
-        warnings: validation.warnings
-      },
-      settings: settings,
-      export: {
-        filename: filename,
-        url: fileUrl,
-        exists: fs.existsSync(exportPath),
-        size: fs.existsSync(exportPath) ? fs.statSync(exportPath).size : 0
-      },
-      logs: executionLogger.getLogs()
+      ...imported,
+      logs: logger.getLogs()
     });
   } catch (error) {
-    executionLogger.error('SVG import failed', error);
-    console.error('SVG import error:', error);
-    res.status(500).json({
+    logger.error('SVG import failed', error);
+    finishExecution(req, { error });
+    console.error(`[${req.executionId}] SVG import error:`, error);
+    res.status(statusForError(error)).json({
       success: false,
       error: error.message,
-      logs: executionLogger.getLogs()
+      ...error.details,
+      logs: logger.getLogs()
     });
-  } finally {
-    // Clear logger for next operation
-    executionLogger.clear();
   }
-});
+}));
 
 /**
  * POST /api/blender/texture
  * Apply texture to object
  * Body: { objectName: "Cube", textureId: "texture_id" }
  */
-app.post('/api/blender/texture', ensureConnection, async (req, res) => {
+app.post('/api/blender/texture', ensureConnection, withBlenderQueue('exclusive', async (req, res) => {
   try {
     const { objectName, textureId } = req.body;
 
@@ -1042,18 +1302,18 @@ app.post('/api/blender/texture', ensureConnection, async (req, res) => {
       });
     }
 
-    const result = await mcpClient.setTexture(objectName, textureId);
+    const result = await req.mcpClient.setTexture(objectName, textureId, { signal: req.abortSignal });
     res.json({
       success: true,
       data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(statusForError(error)).json({
       success: false,
       error: error.message
     });
   }
-});
+}));
 
 // ============= SKETCHFAB ENDPOINTS =============
 
@@ -1062,7 +1322,7 @@ app.post('/api/blender/texture', ensureConnection, async (req, res) => {
  * Search Sketchfab models
  * Query: ?query=car&count=20&categories=vehicles&downloadable=true
  */
-app.get('/api/sketchfab/search', ensureConnection, async (req, res) => {
+app.get('/api/sketchfab/search', ensureConnection, withBlenderQueue('shared', async (req, res) => {
   try {
     const { query, count, categories, downloadable } = req.query;
 
@@ -1073,30 +1333,30 @@ app.get('/api/sketchfab/search', ensureConnection, async (req, res) => {
       });
     }
 
-    const result = await mcpClient.searchSketchfab(query, {
+    const result = await req.mcpClient.searchSketchfab(query, {
       count: count ? parseInt(count) : undefined,
       categories,
       downloadable: downloadable !== 'false'
-    });
+    }, { signal: req.abortSignal });
 
     res.json({
       success: true,
       data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(statusForError(error)).json({
       success: false,
       error: error.message
     });
   }
-});
+}));
 
 /**
  * POST /api/sketchfab/download
  * Download Sketchfab model
  * Body: { uid: "model-uid-here" }
  */
-app.post('/api/sketchfab/download', ensureConnection, async (req, res) => {
+app.post('/api/sketchfab/download', ensureConnection, withBlenderQueue('exclusive', async (req, res) => {
   try {
     const { uid } = req.body;
 
@@ -1107,29 +1367,31 @@ app.post('/api/sketchfab/download', ensureConnection, async (req, res) => {
       });
     }
 
-    const result = await mcpClient.downloadSketchfabModel(uid);
+    const result = await req.mcpClient.downloadSketchfabModel(uid, { signal: req.abortSignal });
     res.json({
       success: true,
       data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(statusForError(error)).json({
       success: false,
       error: error.message
     });
   }
-});
+}));
 
 // ============= PROMPT ENDPOINT =============
 
 /**
  * POST /api/prompt
  * Execute natural language prompt in Blender with enhanced AI safety
- * Body: { prompt: "create a red cube at position 0,0,0" }
+ * Body: { prompt: "create a red cube at position 0,0,0", provider?: "ollama", sceneContext?: false, candidates?: 3 }
  */
-app.post('/api/prompt', ensureConnection, async (req, res) => {
+app.post('/api/prompt', applySafetyPolicy, trackExecution, ensureConnection, async (req, res) => {
+  const logger = req.executionLogger;
+
   try {
-    const { prompt } = req.body;
+    const { prompt, provider, sceneContext, candidates } = req.body;
 
     if (!prompt) {
       return res.status(400).json({
@@ -1138,194 +1400,449 @@ app.post('/api/prompt', ensureConnection, async (req, res) => {
       });
     }
 
-    executionLogger.info('Processing prompt', { prompt });
-
-    // Step 1: Process and validate prompt
-    const promptProcessing = promptSafety.processPrompt(prompt);
-    
-    if (!promptProcessing.valid) {
-      executionLogger.error('Prompt validation failed', new Error(promptProcessing.error));
+    // Checked before prompt expansion and the scene read spend any time on it
+    if (invalidProvider(provider)) {
       return res.status(400).json({
         success: false,
-        error: promptProcessing.error,
-        stage: promptProcessing.stage
+        error: `provider must be one of: ${Object.keys(llm.PROVIDERS).join(', ')}`
+      });
+    }
+    if (provider !== undefined && !llm.getProvider(provider).configured) {
+      return res.status(400).json({
+        success: false,
+        error: `provider '${provider}' is not configured on this server`
       });
     }
 
-    executionLogger.info('Prompt validated', {
-      original: promptProcessing.originalPrompt,
-      cleaned: promptProcessing.cleanedPrompt,
-      expanded: promptProcessing.expandedPrompt
-    });
-
-    // Step 2: Use Azure OpenAI to generate code with enhanced system prompt
-    const response = await axios.post(
-      `${process.env.AZURE_OPENAI_ENDPOINT}/openai/deployments/${process.env.AZURE_OPENAI_MODEL}/chat/completions?api-version=${process.env.AZURE_OPENAI_API_VERSION}`,
-      {
-        messages: [
-          { role: 'system', content: promptProcessing.systemPrompt },
-          { role: 'user', content: promptProcessing.expandedPrompt }
-        ],
-        temperature: 0.3,
-        max_tokens: 800,
-        top_p: 0.95,
-        frequency_penalty: 0.0,
-        presence_penalty: 0.0
-      },
-      {
-        headers: {
-          'api-key': process.env.AZURE_OPENAI_API_KEY,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+    // The LLM call runs outside the queue; only the Blender steps hold a worker
+    const output = await pipelines.promptToGlb(prompt, { ...pipelineContext(req), llmProvider: provider, sceneContext }, {
+      workerPool,
+      queueOptions: queueOptions(req),
+      onWorker: worker => res.set('X-Blender-Worker', worker.id),
+      candidates
+    });
+    finishExecution(req, { result: { url: output.export.url } });
 
-    let generatedCode = response.data.choices[0].message.content.trim();
-    
-    // Remove markdown code blocks if present
-    generatedCode = generatedCode.replace(/```python\n/g, '').replace(/```\n/g, '').replace(/```/g, '');
+    res.json({
+      success: true,
+      ...output,
+      logs: logger.getLogs()
+    });
+  } catch (error) {
+    logger.error('Prompt execution failed', error);
+    finishExecution(req, { error });
+    console.error(`[${req.executionId}] Prompt execution error:`, error.message);
+    res.status(statusForError(error)).json({
+      success: false,
+      error: error.message,
+      ...error.details,
+      logs: logger.getLogs()
+    });
+  }
+});
 
-    executionLogger.info('AI code generated', { codeLength: generatedCode.length });
+// ============= EXECUTION ENDPOINTS =============
 
-    // Step 3: Validate generated code for safety
-    const codeValidation = promptSafety.validateGeneratedCode(generatedCode);
-    
-    if (!codeValidation.safe) {
-      executionLogger.error('Generated code validation failed', new Error('Unsafe operations detected'));
+const EXECUTION_WAIT_TIMEOUT = 30000;
+const SSE_KEEP_ALIVE_INTERVAL = 15000;
+
+/**
+ * GET /api/executions/:id/events
+ * Server-Sent Events with the live progress of a prompt, SVG import, export or job
+ * Use the X-Execution-Id of the pipeline request, a job id, or (signed in) the
+ * X-Request-Id you sent with it. Subscribing first is fine: the stream waits up
+ * to 30 seconds for the execution to start. Another user's execution is reported as missing.
+ * Events: start, step ({ name, progress }), log, stdout ({ line }), end ({ status, error, result })
+ */
+app.get('/api/executions/:id/events', identifyUser, async (req, res) => {
+  const execution = await executionStream.waitFor(req.params.id, req.userId, EXECUTION_WAIT_TIMEOUT, req.abortSignal);
+
+  if (!execution) {
+    if (!res.headersSent && !req.abortSignal.aborted) {
+      res.status(404).json({
+        success: false,
+        error: 'Execution not found'
+      });
+    }
+    return;
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let unsubscribe = null;
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), SSE_KEEP_ALIVE_INTERVAL);
+  const close = () => {
+    clearInterval(keepAlive);
+    if (unsubscribe) {
+      unsubscribe();
+    }
+  };
+
+  unsubscribe = executionStream.subscribe(execution.id, (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    if (event.type === 'end') {
+      close();
+      res.end();
+    }
+  }, parseInt(req.get('Last-Event-ID')) || 0);
+
+  res.on('close', close);
+});
+
+/**
+ * GET /api/executions/:id/logs
+ * Logs of a finished request, by its X-Execution-Id
+ * Kept for EXECUTION_LOG_RETENTION_DAYS (default 7). Job logs are on GET /api/jobs/:id.
+ * Another user's logs are reported as missing.
+ */
+app.get('/api/executions/:id/logs', identifyUser, async (req, res) => {
+  try {
+    const execution = await executionLogStore.find(req.params.id);
+
+    if (!execution || (execution.userId && String(execution.userId) !== String(req.userId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'No logs found for this execution'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: execution
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============= JOB ENDPOINTS =============
+
+// Jobs and sessions are stored in MongoDB so they outlive the request and the process
+function requireDatabase(feature) {
+  return (req, res, next) => {
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        success: false,
+        error: `${feature} requires MongoDB (set MONGODB_URI)`
+      });
+    }
+    next();
+  };
+}
+
+const requireJobStore = requireDatabase('Job storage');
+
+// Optional Bearer token; jobs and sessions created with one belong to that user
+function identifyUser(req, res, next) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return next();
+  }
+
+  try {
+    req.userId = verifyAccessToken(authHeader.substring(7)).userId;
+    next();
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      error: 'Invalid or expired token'
+    });
+  }
+}
+
+function requireUser(req, res, next) {
+  if (!req.userId) {
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized: No token provided'
+    });
+  }
+  next();
+}
+
+/**
+ * POST /api/jobs
+ * Start a pipeline in the background and return its job id immediately
+ * Headers: { Authorization: "Bearer token" } (optional, needed to list jobs later)
+ * Body: { type: "prompt", input: { prompt: "a red cube" } } or { type: "export-glb" }
+ */
+app.post('/api/jobs', requireJobStore, identifyUser, applySafetyPolicy, async (req, res) => {
+  try {
+    const { type, input = {} } = req.body;
+
+    if (!jobRunner.types.includes(type)) {
       return res.status(400).json({
         success: false,
-        error: 'Generated code contains unsafe operations',
-        issues: codeValidation.issues,
-        generatedCode: generatedCode
+        error: `type must be one of: ${jobRunner.types.join(', ')}`
       });
     }
 
-    if (codeValidation.warningCount > 0) {
-      executionLogger.warning('Code has warnings', { warnings: codeValidation.issues });
+    if (type === 'prompt' && (typeof input.prompt !== 'string' || !input.prompt.trim())) {
+      return res.status(400).json({
+        success: false,
+        error: 'input.prompt is required'
+      });
     }
 
-    // Step 4: Wrap in safe execution context
-    const safeCode = blenderSafety.wrapInSafeContext(generatedCode, 'AI Generated Code');
+    if (input.provider !== undefined && !llm.isProvider(input.provider)) {
+      return res.status(400).json({
+        success: false,
+        error: `input.provider must be one of: ${Object.keys(llm.PROVIDERS).join(', ')}`
+      });
+    }
 
-    // Step 5: Execute in Blender
-    executionLogger.info('Executing AI-generated code in Blender');
-    const result = await mcpClient.executeBlenderCode(safeCode);
+    const job = await jobRunner.submit(type, input, req.userId, { safetyPolicy: req.safetyPolicy.name });
+    const statusUrl = `/api/jobs/${job.jobId}`;
 
-    // Step 6: Run quality improvements (preserve colors AND custom scales)
-    executionLogger.info('Running quality improvements (preserving colors and scales)');
-    const qualityCode = modelQuality.generateQualityPipelinePreserveColorsAndScale();
-    const qualityResult = await mcpClient.executeBlenderCode(qualityCode);
+    res.status(202).location(statusUrl).json({
+      success: true,
+      data: {
+        jobId: job.jobId,
+        status: job.status,
+        statusUrl
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-    // Step 7: Auto-export as GLB
-    const timestamp = Date.now();
-    const filename = `model-${timestamp}.glb`;
-    const exportPath = path.join(exportsDir, filename).replace(/\\/g, '/');
+/**
+ * GET /api/jobs
+ * The signed-in user's jobs, newest first (logs omitted)
+ * Headers: { Authorization: "Bearer token" }
+ * Query: ?status=completed&limit=20
+ */
+app.get('/api/jobs', requireJobStore, identifyUser, requireUser, async (req, res) => {
+  try {
+    const jobs = await jobRunner.listForUser(req.userId, {
+      status: req.query.status,
+      limit: req.query.limit
+    });
 
-    // Step 7a: Bake procedural textures before export
-    executionLogger.info('Baking procedural materials for export');
-    const bakeCode = textureBaking.generateTextureBaking();
-    await mcpClient.executeBlenderCode(bakeCode);
+    res.json({
+      success: true,
+      data: jobs
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-    // Step 7b: Export as GLB
-    executionLogger.info('Exporting model as GLB');
-    const exportCode = `
-import bpy
-import os
+/**
+ * GET /api/jobs/:id
+ * Status, current step, logs and, once completed, the export info
+ * Headers: { Authorization: "Bearer token" } (required for jobs submitted with one)
+ */
+app.get('/api/jobs/:id', requireJobStore, identifyUser, async (req, res) => {
+  try {
+    const job = await jobRunner.get(req.params.id);
 
-print("\\n" + "=" * 60)
-print("AUTO-EXPORT AFTER AI GENERATION")
-print("=" * 60)
+    // Another user's job is reported as missing rather than forbidden
+    if (!job || (job.userId && String(job.userId) !== String(req.userId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
 
-if 'io_scene_gltf2' not in bpy.context.preferences.addons:
-    try:
-        bpy.ops.preferences.addon_enable(module='io_scene_gltf2')
-    except: pass
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-export_path = r"${exportPath}"
-os.makedirs(os.path.dirname(export_path), exist_ok=True)
+// ============= SESSION ENDPOINTS =============
 
-# Verify materials have shader nodes
-for mat in bpy.data.materials:
-    if mat and not mat.use_nodes:
-        mat.use_nodes = True
-        bsdf = mat.node_tree.nodes.get('Principled BSDF')
-        if bsdf:
-            bsdf.inputs['Base Color'].default_value = mat.diffuse_color
-
-# Select mesh objects
-bpy.ops.object.select_all(action='DESELECT')
-mesh_objects = [obj for obj in bpy.data.objects if obj.type == 'MESH']
-
-for obj in mesh_objects:
-    obj.select_set(True)
-
-if mesh_objects:
-    try:
-        bpy.ops.export_scene.gltf(
-            filepath=export_path,
-            export_format='GLB',
-            use_selection=True,
-            export_apply=True,
-            export_materials='EXPORT',
-            export_texcoords=True,
-            export_normals=True,
-            export_tangents=True,
-            export_yup=True
-        )
-        if os.path.exists(export_path):
-            file_size = os.path.getsize(export_path)
-            print(f"✓ Exported: {file_size:,} bytes")
-    except Exception as e:
-        print(f"✗ Export error: {e}")
-
-print("=" * 60)
-`;
+const requireSessionStore = requireDatabase('Session storage');
 
-    executionLogger.info('Exporting model');
-    await mcpClient.executeBlenderCode(exportCode);
+// Loads req.params.id into req.modelingSession; another user's session is reported as missing
+async function loadSession(req, res, next) {
+  try {
+    const session = await sessionStore.get(req.params.id);
 
-    // Step 8: Validate GLB
-    const glbValidation = await modelQuality.validateGLBOutput(exportPath);
-    
-    const fileUrl = `http://localhost:${PORT}/exports/${filename}`;
+    if (!session || (session.userId && String(session.userId) !== String(req.userId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
 
-    executionLogger.success('Prompt execution completed successfully');
+    req.modelingSession = session;
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+function invalidProvider(provider) {
+  return provider !== undefined && !llm.isProvider(provider);
+}
+
+/**
+ * POST /api/sessions
+ * Start a conversational modeling session
+ * Headers: { Authorization: "Bearer token" } (optional, needed to list sessions later)
+ * Body: { title?: "Side table", provider?: "ollama" }
+ */
+app.post('/api/sessions', requireSessionStore, identifyUser, async (req, res) => {
+  try {
+    const { title, provider } = req.body;
+
+    if (invalidProvider(provider)) {
+      return res.status(400).json({
+        success: false,
+        error: `provider must be one of: ${Object.keys(llm.PROVIDERS).join(', ')}`
+      });
+    }
+
+    const session = await sessionStore.create(req.userId, { title, provider });
+
+    res.status(201).location(`/api/sessions/${session.sessionId}`).json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/sessions
+ * The signed-in user's sessions, most recently used first (generated code omitted)
+ * Headers: { Authorization: "Bearer token" }
+ * Query: ?limit=20
+ */
+app.get('/api/sessions', requireSessionStore, identifyUser, requireUser, async (req, res) => {
+  try {
+    const sessions = await sessionStore.listForUser(req.userId, { limit: req.query.limit });
 
     res.json({
       success: true,
-      prompt: {
-        original: promptProcessing.originalPrompt,
-        cleaned: promptProcessing.cleanedPrompt,
-        expanded: promptProcessing.expandedPrompt
-      },
-      generatedCode: generatedCode,
-      codeValidation: {
-        safe: codeValidation.safe,
-        warnings: codeValidation.warningCount,
-        issues: codeValidation.issues.filter(i => i.severity === 'warning')
-      },
-      execution: {
-        result: result,
-        quality: qualityResult
-      },
-      export: {
-        filename: filename,
-        url: fileUrl,
-        exists: glbValidation.valid,
-        validation: glbValidation
-      },
-      logs: executionLogger.getLogs()
+      data: sessions
     });
   } catch (error) {
-    executionLogger.error('Prompt execution failed', error);
-    console.error('Prompt execution error:', error.message);
     res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/sessions/:id
+ * A session with every turn: prompt, generated code, export and status
+ * Headers: { Authorization: "Bearer token" } (required for sessions created with one)
+ */
+app.get('/api/sessions/:id', requireSessionStore, identifyUser, loadSession, (req, res) => {
+  res.json({
+    success: true,
+    data: req.modelingSession
+  });
+});
+
+/**
+ * GET /api/sessions/:id/turns/:turn
+ * One earlier turn of a session (turns are numbered from 1)
+ * Headers: { Authorization: "Bearer token" } (required for sessions created with one)
+ */
+app.get('/api/sessions/:id/turns/:turn', requireSessionStore, identifyUser, loadSession, (req, res) => {
+  const number = parseInt(req.params.turn);
+  const turn = req.modelingSession.turns.find(t => t.turn === number);
+
+  if (!turn) {
+    return res.status(404).json({
+      success: false,
+      error: 'Turn not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: turn
+  });
+});
+
+/**
+ * POST /api/sessions/:id/messages
+ * Send the next prompt of a session; earlier turns are included as conversation history
+ * Headers: { Authorization: "Bearer token" } (required for sessions created with one)
+ * Body: { prompt: "now add four legs", provider?: "ollama", sceneContext?: false }
+ */
+app.post('/api/sessions/:id/messages', requireSessionStore, identifyUser, applySafetyPolicy, loadSession, trackExecution, ensureConnection, async (req, res) => {
+  const logger = req.executionLogger;
+
+  try {
+    const { prompt, provider, sceneContext } = req.body;
+
+    if (!prompt) {
+      return res.status(400).json({
+        success: false,
+        error: 'Prompt is required'
+      });
+    }
+
+    if (invalidProvider(provider)) {
+      return res.status(400).json({
+        success: false,
+        error: `provider must be one of: ${Object.keys(llm.PROVIDERS).join(', ')}`
+      });
+    }
+
+    const { turn, output } = await sessionStore.addTurn(req.modelingSession, prompt, {
+      ...pipelineContext(req),
+      llmProvider: provider,
+      sceneContext
+    }, {
+      queueOptions: queueOptions(req),
+      onWorker: worker => res.set('X-Blender-Worker', worker.id)
+    });
+    finishExecution(req, { result: { url: output.export.url } });
+
+    res.json({
+      success: true,
+      sessionId: req.modelingSession.sessionId,
+      turn: turn.turn,
+      ...output,
+      logs: logger.getLogs()
+    });
+  } catch (error) {
+    logger.error('Session turn failed', error);
+    finishExecution(req, { error });
+    console.error(`[${req.executionId}] Session turn error:`, error.message);
+    res.status(statusForError(error)).json({
       success: false,
       error: error.message,
-      logs: executionLogger.getLogs()
+      ...error.details,
+      logs: logger.getLogs()
     });
-  } finally {
-    executionLogger.clear();
   }
 });
 
@@ -1336,7 +1853,7 @@ print("=" * 60)
  * Generate 3D model using Hyper3D
  * Body: { textPrompt: "a red sports car", bboxCondition: [2, 1, 1] }
  */
-app.post('/api/generate/hyper3d', ensureConnection, async (req, res) => {
+app.post('/api/generate/hyper3d', ensureConnection, withBlenderQueue('exclusive', async (req, res) => {
   try {
     const { textPrompt, bboxCondition } = req.body;
 
@@ -1347,29 +1864,31 @@ app.post('/api/generate/hyper3d', ensureConnection, async (req, res) => {
       });
     }
 
-    const result = await mcpClient.generateHyper3DModel(textPrompt, bboxCondition);
+    const result = await req.mcpClient.generateHyper3DModel(textPrompt, bboxCondition, { signal: req.abortSignal });
     res.json({
       success: true,
       data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(statusForError(error)).json({
       success: false,
       error: error.message
     });
   }
-});
+}));
 
 // ============= GENERIC TOOL ENDPOINT =============
 
 /**
  * POST /api/tool/call
  * Call any MCP tool by name
- * Body: { toolName: "mcp_blender-mcp_execute_blender_code", args: { code: "..." } }
+ * Arguments are validated against the tool's published inputSchema, and
+ * execute_blender_code gets the same safety checks as /api/blender/execute.
+ * Body: { toolName: "execute_blender_code", args: { code: "..." } }
  */
-app.post('/api/tool/call', ensureConnection, async (req, res) => {
+app.post('/api/tool/call', applySafetyPolicy, ensureConnection, withBlenderQueue(toolQueueMode, async (req, res) => {
   try {
-    const { toolName, args } = req.body;
+    const { toolName, args = {} } = req.body;
 
     if (!toolName) {
       return res.status(400).json({
@@ -1378,18 +1897,50 @@ app.post('/api/tool/call', ensureConnection, async (req, res) => {
       });
     }
 
-    const result = await mcpClient.callTool(toolName, args || {});
+    const tool = await req.mcpClient.getTool(toolName, { signal: req.abortSignal });
+    if (!tool) {
+      const { tools = [] } = await req.mcpClient.listTools({ signal: req.abortSignal });
+      return res.status(400).json({
+        success: false,
+        error: `Unknown tool: ${toolName}`,
+        availableTools: tools.map(t => t.name)
+      });
+    }
+
+    const violations = schemaValidator.validate(args, tool.inputSchema || {});
+    if (violations.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid arguments for ${toolName}`,
+        violations
+      });
+    }
+
+    let result;
+    let execution;
+    if (toolName === 'execute_blender_code') {
+      // Same checks as /api/blender/execute, so this route is not a way around them
+      const { safeCode } = pipelines.prepareDirectCode(args.code, 'Generic Tool Call', pipelineContext(req));
+      result = await req.mcpClient.executeBlenderCode(safeCode, { signal: req.abortSignal });
+      const { output, ...outcome } = pipelines.checkExecutionLimits(result, pipelineContext(req));
+      execution = outcome;
+    } else {
+      result = await req.mcpClient.callTool(toolName, args, { signal: req.abortSignal });
+    }
+
     res.json({
       success: true,
-      data: result
+      data: result,
+      execution
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(statusForError(error)).json({
       success: false,
-      error: error.message
+      error: error.message,
+      ...error.details
     });
   }
-});
+}));
 
 // ============= EMBED ENDPOINTS =============
 
@@ -1409,49 +1960,9 @@ app.get('/embed/viewer', (req, res) => {
  */
 app.get('/api/embed/code/:modelId', (req, res) => {
   try {
-    const { modelId } = req.params;
-    const { width = '800', height = '600', autoRotate = 'false', controls = 'true', bg = '#1a1a1a' } = req.query;
-
-    const baseUrl = `http://localhost:${PORT}`;
-    const embedUrl = `${baseUrl}/embed/viewer?modelId=${modelId}&autoRotate=${autoRotate}&controls=${controls}&bg=${encodeURIComponent(bg)}`;
-
-    const iframeCode = `<iframe 
-  src="${embedUrl}" 
-  width="${width}" 
-  height="${height}" 
-  frameborder="0" 
-  allowfullscreen
-></iframe>`;
-
-    const htmlCode = `<!DOCTYPE html>
-<html>
-<head>
-    <title>3D Model Viewer</title>
-</head>
-<body>
-    ${iframeCode}
-</body>
-</html>`;
-
-    const directLinkCode = `<a href="${embedUrl}" target="_blank">View 3D Model</a>`;
-
     res.json({
       success: true,
-      modelId,
-      embedUrl,
-      codes: {
-        iframe: iframeCode,
-        html: htmlCode,
-        directLink: directLinkCode,
-        markdown: `[View 3D Model](${embedUrl})`
-      },
-      customization: {
-        width: 'Iframe width (default: 800px)',
-        height: 'Iframe height (default: 600px)',
-        autoRotate: 'Auto-rotate model (true/false, default: false)',
-        controls: 'Show controls help (true/false, default: true)',
-        bg: 'Background color (hex, default: #1a1a1a)'
-      }
+      ...pipelines.embedCode(req.params.modelId, req.query, publicBaseUrl())
     });
   } catch (error) {
     res.status(500).json({
@@ -1490,6 +2001,8 @@ async function startServer() {
           useUnifiedTopology: true
         });
         console.log('✅ MongoDB connected');
+        jobRunner.resume().catch(error => console.log('⚠️  Failed to resume jobs:', error.message));
+        sessionStore.recover().catch(error => console.log('⚠️  Failed to recover sessions:', error.message));
       } catch (error) {
         console.log('⚠️  MongoDB not connected:', error.message);
       }
@@ -1522,13 +2035,17 @@ async function startServer() {
     // Try to connect to MCP server in background
     setTimeout(async () => {
       try {
-        console.log('Attempting to connect to Blender MCP...');
-        await mcpClient.connect();
+        console.log(`Attempting to connect to ${workerPool.size} Blender worker(s)...`);
+        const failures = await workerPool.connectAll();
+        if (failures.length > 0) {
+          throw new Error(failures.map(failure => `${failure.id}: ${failure.error}`).join('; '));
+        }
         console.log('✅ MCP connected successfully!\n');
       } catch (error) {
-        console.log('⚠️  MCP not connected yet. Will retry on first request.');
+        console.log('⚠️  Some Blender workers are not connected yet. Health checks will keep retrying.');
         console.log(`   Error: ${error.message}\n`);
       }
+      workerPool.startHealthChecks();
     }, 1000);
 
   } catch (error) {
@@ -1540,13 +2057,13 @@ async function startServer() {
 // Handle graceful shutdown
 process.on('SIGINT', () => {
   console.log('\nShutting down...');
-  mcpClient.disconnect();
+  workerPool.shutdown();
   process.exit(0);
 });
 
 process.on('SIGTERM', () => {
   console.log('\nShutting down...');
-  mcpClient.disconnect();
+  workerPool.shutdown();
   process.exit(0);
 });
 
@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { MCPCancelledError, QueueFullError } = require('../utils/errors');
+
+/**
+ * Blender Execution Queue - Serializes access to a single Blender scene
+ * Exclusive entries (multi-step pipelines that modify the scene) run alone.
+ * Shared entries (read-only lookups) may run together when no exclusive
+ * entry is running. Entries are granted strictly in arrival order, so a
+ * waiting pipeline is never starved by a stream of lookups.
+ *
+ * Events:
+ *   change - queue status after an entry is added, started or finished
+ */
+class BlenderQueue extends EventEmitter {
+  /**
+   * Options:
+   *   maxDepth - maximum waiting entries before rejecting (defaults to BLENDER_QUEUE_MAX or 50)
+   */
+  constructor(options = {}) {
+    super();
+    this.maxDepth = parseInt(options.maxDepth || process.env.BLENDER_QUEUE_MAX) || 50;
+    this.waiting = [];
+    // Tickets, not ids: ids come from clients and two running entries may share one
+    this.running = new Set();
+  }
+
+  /**
+   * Run fn with exclusive access to Blender
+   */
+  exclusive(fn, options = {}) {
+    return this.run('exclusive', fn, options);
+  }
+
+  /**
+   * Run fn alongside other shared entries
+   */
+  shared(fn, options = {}) {
+    return this.run('shared', fn, options);
+  }
+
+  /**
+   * Queue fn and resolve with its result once it has run
+   * Options:
+   *   id     - ticket id (e.g. the client's X-Request-Id) for position and status
+   *            lookups; it need not be unique
+   *   label  - description shown in queue status
+   *   signal - AbortSignal that removes the entry while it is still waiting
+   *   onQueued - called with the ticket before waiting starts
+   */
+  run(mode, fn, options = {}) {
+    if (mode !== 'exclusive' && mode !== 'shared') {
+      return Promise.reject(new Error(`Unknown queue mode: ${mode}`));
+    }
+
+    if (this.waiting.length >= this.maxDepth) {
+      return Promise.reject(new QueueFullError(this.maxDepth));
+    }
+
+    const { signal } = options;
+    if (signal && signal.aborted) {
+      return Promise.reject(new MCPCancelledError('Queued operation', 'Client disconnected'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const ticket = {
+        id: options.id || crypto.randomUUID(),
+        label: options.label || mode,
+        mode,
+        queuedAt: Date.now(),
+        startedAt: null
+      };
+
+      const onAbort = () => {
+        const index = this.waiting.indexOf(entry);
+        if (index !== -1) {
+          this.waiting.splice(index, 1);
+          this.emit('change', this.getStatus());
+          reject(new MCPCancelledError('Queued operation', 'Client disconnected'));
+        }
+      };
+
+      const entry = {
+        ticket,
+        start: () => {
+          if (signal) {
+            signal.removeEventListener('abort', onAbort);
+          }
+
+          ticket.startedAt = Date.now();
+          this.running.add(ticket);
+          this.emit('change', this.getStatus());
+
+          Promise.resolve()
+            .then(() => fn(ticket))
+            .then(resolve, reject)
+            .finally(() => {
+              this.running.delete(ticket);
+              this.emit('change', this.getStatus());
+              this.drain();
+            });
+        }
+      };
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+
+      this.waiting.push(entry);
+      if (options.onQueued) {
+        options.onQueued(ticket);
+      }
+      this.emit('change', this.getStatus());
+      this.drain();
+    });
+  }
+
+  /**
+   * Start as many entries from the head of the queue as the current holders allow
+   */
+  drain() {
+    while (this.waiting.length > 0) {
+      const next = this.waiting[0];
+      const runningModes = [...this.running.values()].map(ticket => ticket.mode);
+
+      const canStart = next.ticket.mode === 'exclusive'
+        ? runningModes.length === 0
+        : !runningModes.includes('exclusive');
+
+      if (!canStart) {
+        return;
+      }
+
+      this.waiting.shift();
+      next.start();
+    }
+  }
+
+  /**
+   * Number of entries waiting for access
+   */
+  get depth() {
+    return this.waiting.length;
+  }
+
+  /**
+   * Whether anything is running or waiting
+   */
+  get isBusy() {
+    return this.running.size > 0 || this.waiting.length > 0;
+  }
+
+  /**
+   * 1-based position of a waiting ticket, 0 if running, null if unknown
+   */
+  getPosition(id) {
+    if ([...this.running].some(ticket => ticket.id === id)) {
+      return 0;
+    }
+
+    const index = this.waiting.findIndex(entry => entry.ticket.id === id);
+    return index === -1 ? null : index + 1;
+  }
+
+  /**
+   * Snapshot of running and waiting entries
+   */
+  getStatus() {
+    const now = Date.now();
+
+    return {
+      depth: this.waiting.length,
+      maxDepth: this.maxDepth,
+      running: [...this.running.values()].map(ticket => ({
+        id: ticket.id,
+        label: ticket.label,
+        mode: ticket.mode,
+        runningMs: now - ticket.startedAt
+      })),
+      waiting: this.waiting.map((entry, index) => ({
+        id: entry.ticket.id,
+        label: entry.ticket.label,
+        mode: entry.ticket.mode,
+        position: index + 1,
+        waitingMs: now - entry.ticket.queuedAt
+      }))
+    };
+  }
+}
+
+module.exports = BlenderQueue;
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const ExecutionLog = require('../models/ExecutionLog');
+
+const DEFAULT_RETENTION_DAYS = 7;
+const DEFAULT_MEMORY_LIMIT = 200;
+
+/**
+ * Execution Log Store - Keeps finished executions' logs for later debugging
+ * Logs are saved to MongoDB when it is connected, where a TTL index removes
+ * them after the retention period. Without MongoDB the most recent
+ * executions are kept in memory, with the same retention.
+ */
+class ExecutionLogStore {
+  /**
+   * Options:
+   *   retentionDays - days logs are kept (defaults to EXECUTION_LOG_RETENTION_DAYS or 7)
+   *   memoryLimit   - executions kept in memory without MongoDB (default: 200)
+   */
+  constructor(options = {}) {
+    this.retentionDays = parseInt(options.retentionDays || process.env.EXECUTION_LOG_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS;
+    this.memoryLimit = options.memoryLimit || DEFAULT_MEMORY_LIMIT;
+    this.memory = new Map();
+  }
+
+  get persistent() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  /**
+   * Save a finished execution
+   * record is { executionId, requestId, userId, label, status, statusCode, logs, startedAt };
+   * userId (the owner) is null for anonymous requests
+   */
+  async save(record) {
+    const finishedAt = new Date();
+    const entry = {
+      ...record,
+      durationMs: finishedAt - record.startedAt,
+      finishedAt,
+      expiresAt: new Date(finishedAt.getTime() + this.retentionDays * 24 * 60 * 60 * 1000)
+    };
+
+    if (this.persistent) {
+      await ExecutionLog.create(entry);
+      return;
+    }
+
+    this.memory.set(entry.executionId, entry);
+    if (this.memory.size > this.memoryLimit) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
+  }
+
+  /**
+   * The execution saved under id, or null
+   */
+  async find(id) {
+    if (this.persistent) {
+      return ExecutionLog.findOne({ executionId: id });
+    }
+
+    const entry = this.memory.get(id);
+    if (!entry || entry.expiresAt < new Date()) {
+      return null;
+    }
+
+    const { executionId, expiresAt, ...rest } = entry;
+    return { id: executionId, ...rest };
+  }
+}
+
+module.exports = ExecutionLogStore;
@@ -0,0 +1,209 @@
+const EventEmitter = require('events');
+
+const DEFAULT_RETENTION = 5 * 60 * 1000;
+const DEFAULT_BUFFER_SIZE = 1000;
+const LOGGER_EVENTS = ['log', 'step', 'stdout'];
+
+function requestKey(owner, requestId) {
+  return `${owner}:${requestId}`;
+}
+
+/**
+ * Execution Stream - Live progress of running pipelines
+ * Routes and jobs register their ExecutionLogger under an execution id. The
+ * logger's events are numbered, buffered and passed to subscribers, so a
+ * client that connects late or reconnects replays what it missed. Finished
+ * executions stay available for a while so a client can still see how they ended.
+ * An execution with an owner is only visible to that user, who can also find
+ * it by the X-Request-Id they sent.
+ *
+ * Event types: start, log, step, stdout, end
+ *
+ * Events:
+ *   started - id of an execution that was just registered
+ */
+class ExecutionStream extends EventEmitter {
+  /**
+   * Options:
+   *   retention  - ms a finished execution stays available (defaults to EXECUTION_STREAM_RETENTION or 300000)
+   *   bufferSize - events kept per execution for replay (default: 1000)
+   */
+  constructor(options = {}) {
+    super();
+    this.setMaxListeners(0); // One listener per client waiting for an execution to start
+    this.retention = parseInt(options.retention || process.env.EXECUTION_STREAM_RETENTION) || DEFAULT_RETENTION;
+    this.bufferSize = options.bufferSize || DEFAULT_BUFFER_SIZE;
+    this.executions = new Map();
+    this.requestIds = new Map(); // "owner:requestId" -> execution id
+  }
+
+  /**
+   * Start streaming a logger's events under id
+   * Ids come from the server (execution ids, job ids), so registering one that
+   * is still running is a bug and throws rather than replacing it.
+   * Options:
+   *   owner     - user id allowed to follow the execution (null: anyone with the id)
+   *   requestId - the owner's X-Request-Id, which they can follow it by as well
+   */
+  track(id, logger, label, options = {}) {
+    const previous = this.executions.get(id);
+    if (previous && previous.status === 'running') {
+      throw new Error(`Execution ${id} is already running`);
+    }
+    if (previous) {
+      clearTimeout(previous.expiry);
+      this.remove(previous);
+    }
+
+    const execution = {
+      id,
+      label,
+      owner: options.owner ? String(options.owner) : null,
+      requestId: options.requestId || null,
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      events: [],
+      seq: 0,
+      listeners: new Set(),
+      expiry: null
+    };
+
+    const handlers = LOGGER_EVENTS.map(type => [type, data => this.publish(execution, type, data)]);
+    handlers.forEach(([type, handler]) => logger.on(type, handler));
+    execution.detach = () => handlers.forEach(([type, handler]) => logger.off(type, handler));
+
+    this.executions.set(id, execution);
+    if (execution.owner && execution.requestId) {
+      this.requestIds.set(requestKey(execution.owner, execution.requestId), id);
+    }
+    this.publish(execution, 'start', { label, startedAt: execution.startedAt });
+    this.emit('started', id);
+
+    return execution;
+  }
+
+  publish(execution, type, data) {
+    const event = { id: ++execution.seq, type, data };
+
+    execution.events.push(event);
+    if (execution.events.length > this.bufferSize) {
+      execution.events.shift();
+    }
+
+    for (const listener of execution.listeners) {
+      listener(event);
+    }
+  }
+
+  /**
+   * Mark an execution completed (outcome.result) or failed (outcome.error)
+   * Later calls for the same execution are ignored.
+   */
+  finish(id, outcome = {}) {
+    const execution = this.executions.get(id);
+    if (!execution || execution.status !== 'running') {
+      return;
+    }
+
+    execution.detach();
+    execution.status = outcome.error ? 'failed' : 'completed';
+    this.publish(execution, 'end', {
+      status: execution.status,
+      error: outcome.error ? outcome.error.message : undefined,
+      result: outcome.result
+    });
+    execution.listeners.clear();
+
+    execution.expiry = setTimeout(() => this.remove(execution), this.retention);
+    execution.expiry.unref();
+  }
+
+  remove(execution) {
+    if (this.executions.get(execution.id) === execution) {
+      this.executions.delete(execution.id);
+    }
+
+    const key = execution.owner && execution.requestId && requestKey(execution.owner, execution.requestId);
+    if (key && this.requestIds.get(key) === execution.id) {
+      this.requestIds.delete(key);
+    }
+  }
+
+  /**
+   * The execution with id ref, or the user's own execution sent with X-Request-Id ref
+   * Another user's execution is reported as missing (null).
+   */
+  find(ref, userId = null) {
+    let execution = this.executions.get(ref);
+    if (!execution && userId) {
+      execution = this.executions.get(this.requestIds.get(requestKey(userId, ref)));
+    }
+
+    if (!execution || (execution.owner && execution.owner !== String(userId))) {
+      return null;
+    }
+    return execution;
+  }
+
+  /**
+   * Replay buffered events after lastEventId, then follow live events
+   * Returns an unsubscribe function, or null for an unknown id
+   */
+  subscribe(id, listener, lastEventId = 0) {
+    const execution = this.executions.get(id);
+    if (!execution) {
+      return null;
+    }
+
+    for (const event of execution.events) {
+      if (event.id > lastEventId) {
+        listener(event);
+      }
+    }
+
+    if (execution.status !== 'running') {
+      return () => {};
+    }
+
+    execution.listeners.add(listener);
+    return () => execution.listeners.delete(listener);
+  }
+
+  /**
+   * Resolve with the execution once it is registered, or null after timeout ms
+   * Lets a client subscribe before the request that starts the execution arrives.
+   * ref and userId are matched as in find().
+   */
+  waitFor(ref, userId, timeout, signal) {
+    const existing = this.find(ref, userId);
+    if (existing) {
+      return Promise.resolve(existing);
+    }
+
+    return new Promise((resolve) => {
+      const done = (execution) => {
+        clearTimeout(timer);
+        this.off('started', onStarted);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        resolve(execution);
+      };
+      const onStarted = () => {
+        const execution = this.find(ref, userId);
+        if (execution) {
+          done(execution);
+        }
+      };
+      const onAbort = () => done(null);
+      const timer = setTimeout(() => done(null), timeout);
+
+      this.on('started', onStarted);
+      if (signal) {
+        signal.addEventListener('abort', onAbort);
+      }
+    });
+  }
+}
+
+module.exports = ExecutionStream;
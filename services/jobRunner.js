@@ -0,0 +1,264 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const Job = require('../models/Job');
+const pipelines = require('./pipelines');
+const blenderSafety = require('../utils/blenderSafety');
+const safetyPolicies = require('../utils/safetyPolicies');
+
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_RETENTION_DAYS = 30;
+
+/**
+ * Execution logger that also records each entry on the job document
+ * Writes are chained so entries land in order without blocking the pipeline.
+ */
+class JobLogger extends blenderSafety.ExecutionLogger {
+  constructor(jobId) {
+    super(jobId);
+    this.jobId = jobId;
+    this.saving = Promise.resolve();
+  }
+
+  log(level, message, data = {}) {
+    super.log(level, message, data);
+    const entry = this.logs[this.logs.length - 1];
+
+    this.saving = this.saving
+      .then(() => Job.updateOne({ jobId: this.jobId }, { $push: { logs: entry }, $set: { step: message } }))
+      .catch(error => console.error(`Failed to save log for job ${this.jobId}:`, error.message));
+  }
+
+  /**
+   * Resolve once every entry so far has been written
+   */
+  flush() {
+    return this.saving;
+  }
+}
+
+/**
+ * Job Runner - Runs long pipelines in the background
+ * Jobs are stored in MongoDB, so clients poll GET /api/jobs/:id instead of
+ * holding a connection open, and queued or interrupted jobs are picked up
+ * again after a restart. Jobs are claimed atomically in submission order.
+ *
+ * Events:
+ *   finished - the job document after it completes or fails
+ */
+class JobRunner extends EventEmitter {
+  /**
+   * Options:
+   *   workerPool  - BlenderWorkerPool the pipelines run on
+   *   baseUrl     - public URL of the server hosting /exports
+   *   concurrency - jobs running at once (defaults to JOB_CONCURRENCY or 4)
+   *   maxAttempts - starts allowed before an interrupted job is failed (defaults to JOB_MAX_ATTEMPTS or 3)
+   *   retentionDays - days finished jobs are kept (defaults to JOB_RETENTION_DAYS or 30)
+   *   executionStream - ExecutionStream to publish live progress on, under the job id (optional)
+   */
+  constructor(options) {
+    super();
+    this.workerPool = options.workerPool;
+    this.baseUrl = options.baseUrl;
+    this.executionStream = options.executionStream || null;
+    this.concurrency = parseInt(options.concurrency || process.env.JOB_CONCURRENCY) || DEFAULT_CONCURRENCY;
+    this.maxAttempts = parseInt(options.maxAttempts || process.env.JOB_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+    this.retentionDays = parseInt(options.retentionDays || process.env.JOB_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS;
+    this.running = 0;
+    this.pumping = false;
+    this.pumpAgain = false;
+    this.handlers = {
+      prompt: (job, context) => pipelines.promptToGlb(job.input.prompt, {
+        ...context,
+        llmProvider: job.input.provider,
+        sceneContext: job.input.sceneContext
+      }, {
+        workerPool: this.workerPool,
+        queueOptions: this.queueOptions(job),
+        onWorker: worker => this.setWorker(job, worker),
+        candidates: job.input.candidates
+      }),
+      'export-glb': (job, context) => this.workerPool.exclusive((client, ticket, worker) => {
+        this.setWorker(job, worker);
+        return pipelines.exportScene(client, context);
+      }, this.queueOptions(job))
+    };
+  }
+
+  get types() {
+    return Object.keys(this.handlers);
+  }
+
+  queueOptions(job) {
+    return { id: job.jobId, label: `job ${job.type}` };
+  }
+
+  setWorker(job, worker) {
+    Job.updateOne({ jobId: job.jobId }, { $set: { workerId: worker.id } })
+      .catch(error => console.error(`Failed to record worker for job ${job.jobId}:`, error.message));
+  }
+
+  /**
+   * Store a new job and start it when a slot is free
+   * Options: safetyPolicy - name of the code safety policy the job runs under
+   */
+  async submit(type, input, userId = null, { safetyPolicy } = {}) {
+    if (!this.handlers[type]) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const job = await Job.create({
+      jobId: crypto.randomUUID(),
+      type,
+      input,
+      userId,
+      safetyPolicy: safetyPolicy || null
+    });
+
+    this.pump();
+    return job;
+  }
+
+  /**
+   * Pick up work left over from a previous run
+   * Jobs that were running when the server stopped start over, unless they
+   * have already used up their attempts.
+   */
+  async resume() {
+    const failed = await Job.updateMany(
+      { status: 'running', attempts: { $gte: this.maxAttempts } },
+      {
+        $set: {
+          status: 'failed',
+          step: 'Interrupted',
+          error: { message: `Interrupted by server restart after ${this.maxAttempts} attempts`, statusCode: 500 },
+          finishedAt: new Date(),
+          expiresAt: this.expiryDate()
+        }
+      }
+    );
+    const requeued = await Job.updateMany(
+      { status: 'running' },
+      { $set: { status: 'queued', step: 'Requeued after server restart', workerId: null } }
+    );
+    const queued = await Job.countDocuments({ status: 'queued' });
+
+    if (queued > 0 || failed.modifiedCount > 0) {
+      console.log(`✓ Jobs resumed: ${queued} queued (${requeued.modifiedCount} interrupted), ${failed.modifiedCount} failed`);
+    }
+
+    this.pump();
+  }
+
+  /**
+   * Start queued jobs until every slot is busy
+   */
+  async pump() {
+    if (this.pumping) {
+      this.pumpAgain = true; // A job may have been queued after the last claim came back empty
+      return;
+    }
+    this.pumping = true;
+    this.pumpAgain = false;
+
+    try {
+      while (this.running < this.concurrency) {
+        const job = await Job.findOneAndUpdate(
+          { status: 'queued' },
+          { $set: { status: 'running', startedAt: new Date(), step: 'Starting' }, $inc: { attempts: 1 } },
+          { sort: { createdAt: 1 }, new: true }
+        );
+        if (!job) {
+          break;
+        }
+
+        this.running++;
+        this.run(job).finally(() => {
+          this.running--;
+          this.pump();
+        });
+      }
+    } catch (error) {
+      console.error('Failed to claim queued jobs:', error.message);
+    } finally {
+      this.pumping = false;
+    }
+
+    if (this.pumpAgain) {
+      this.pump();
+    }
+  }
+
+  async run(job) {
+    const logger = new JobLogger(job.jobId);
+    const context = { logger, signal: undefined, baseUrl: this.baseUrl, safetyPolicy: safetyPolicies.getPolicy(job.safetyPolicy) };
+    let update;
+
+    if (this.executionStream) {
+      this.executionStream.track(job.jobId, logger, `job ${job.type}`, { owner: job.userId });
+    }
+
+    try {
+      const result = await this.handlers[job.type](job, context);
+      update = { status: 'completed', step: 'Completed', result };
+    } catch (error) {
+      logger.error(`${job.type} job failed`, error);
+      update = {
+        status: 'failed',
+        step: 'Failed',
+        error: {
+          message: error.message,
+          statusCode: error.statusCode || 500,
+          ...error.details
+        }
+      };
+    }
+
+    await logger.flush();
+
+    if (this.executionStream) {
+      this.executionStream.finish(job.jobId, update.status === 'completed'
+        ? { result: { url: (update.result.export || update.result).url } }
+        : { error: update.error });
+    }
+
+    try {
+      const finished = await Job.findOneAndUpdate(
+        { jobId: job.jobId },
+        { $set: { ...update, finishedAt: new Date(), expiresAt: this.expiryDate() } },
+        { new: true }
+      );
+      this.emit('finished', finished);
+    } catch (error) {
+      console.error(`Failed to save result of job ${job.jobId}:`, error.message);
+    }
+  }
+
+  expiryDate() {
+    return new Date(Date.now() + this.retentionDays * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * A job by id, or null
+   */
+  async get(jobId) {
+    return Job.findOne({ jobId });
+  }
+
+  /**
+   * A user's jobs, newest first
+   */
+  async listForUser(userId, { status, limit = 20 } = {}) {
+    const filter = { userId };
+    if (status) {
+      filter.status = status;
+    }
+
+    return Job.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(Math.max(parseInt(limit) || 20, 1), 100))
+      .select('-logs');
+  }
+}
+
+module.exports = JobRunner;
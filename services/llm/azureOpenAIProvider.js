@@ -0,0 +1,43 @@
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+
+/**
+ * Azure OpenAI Provider - Chat completions on an Azure OpenAI deployment
+ * Same request and response format as OpenAI, with a deployment URL and an api-key header.
+ */
+class AzureOpenAIProvider extends OpenAICompatibleProvider {
+  /**
+   * Options:
+   *   endpoint   - resource URL (defaults to AZURE_OPENAI_ENDPOINT)
+   *   apiKey     - api-key header (defaults to AZURE_OPENAI_API_KEY)
+   *   model      - deployment name (defaults to AZURE_OPENAI_MODEL)
+   *   apiVersion - API version (defaults to AZURE_OPENAI_API_VERSION)
+   */
+  constructor(options = {}) {
+    super({
+      ...options,
+      model: options.model || process.env.AZURE_OPENAI_MODEL,
+      apiKey: options.apiKey || process.env.AZURE_OPENAI_API_KEY,
+      baseUrl: options.endpoint || process.env.AZURE_OPENAI_ENDPOINT || ''
+    });
+    this.name = 'azure';
+    this.apiVersion = options.apiVersion || process.env.AZURE_OPENAI_API_VERSION;
+  }
+
+  requiredSettings() {
+    return {
+      AZURE_OPENAI_ENDPOINT: this.baseUrl,
+      AZURE_OPENAI_MODEL: this.model,
+      AZURE_OPENAI_API_VERSION: this.apiVersion
+    };
+  }
+
+  buildRequest(request) {
+    return {
+      url: `${this.baseUrl}/openai/deployments/${this.model}/chat/completions?api-version=${this.apiVersion}`,
+      headers: { 'api-key': this.apiKey },
+      body: this.chatBody(request)
+    };
+  }
+}
+
+module.exports = AzureOpenAIProvider;
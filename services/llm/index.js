@@ -0,0 +1,84 @@
+const AzureOpenAIProvider = require('./azureOpenAIProvider');
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+const OllamaProvider = require('./ollamaProvider');
+const { LLMError } = require('../../utils/errors');
+
+/**
+ * LLM Providers - Chat completions for code generation
+ * The deployment default comes from LLM_PROVIDER (azure unless set); callers
+ * may pick another configured provider per request.
+ */
+
+const PROVIDERS = {
+  azure: AzureOpenAIProvider,
+  openai: OpenAICompatibleProvider,
+  ollama: OllamaProvider
+};
+
+const instances = new Map();
+
+function defaultProviderName() {
+  return process.env.LLM_PROVIDER || 'azure';
+}
+
+/**
+ * Whether name is a known provider
+ * Own keys only, so names like "constructor" or "__proto__" are not providers.
+ */
+function isProvider(name) {
+  return typeof name === 'string' && Object.hasOwn(PROVIDERS, name);
+}
+
+/**
+ * Shared provider instance by name (default: LLM_PROVIDER)
+ * Throws LLMError (400) for an unknown name.
+ */
+function getProvider(name = defaultProviderName()) {
+  if (!isProvider(name)) {
+    throw new LLMError(`Unknown LLM provider '${name}'. Expected one of: ${Object.keys(PROVIDERS).join(', ')}`, 400, {
+      provider: name,
+      reason: 'unknown_provider'
+    });
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, new PROVIDERS[name]());
+  }
+  return instances.get(name);
+}
+
+/**
+ * Ask a provider for a chat completion
+ * request is { messages, temperature, maxTokens, topP }
+ * Options:
+ *   provider - provider name (default: LLM_PROVIDER)
+ *   signal   - AbortSignal that cancels the request
+ */
+function complete(request, options = {}) {
+  return getProvider(options.provider || undefined).complete(request, { signal: options.signal });
+}
+
+/**
+ * Every provider with its model and whether it has the settings it needs
+ */
+function listProviders() {
+  const defaultName = defaultProviderName();
+
+  return Object.keys(PROVIDERS).map((name) => {
+    const provider = getProvider(name);
+    return {
+      name,
+      model: provider.model || null,
+      configured: provider.configured,
+      default: name === defaultName
+    };
+  });
+}
+
+module.exports = {
+  PROVIDERS,
+  isProvider,
+  getProvider,
+  complete,
+  listProviders
+};
@@ -0,0 +1,152 @@
+const axios = require('axios');
+const { LLMError } = require('../../utils/errors');
+
+const DEFAULT_TIMEOUT = 60000;
+const DEFAULT_MAX_TOKENS = 4096;
+
+/**
+ * LLM Provider - Common request handling for chat completion backends
+ * Subclasses describe the HTTP request and parse the response; this class
+ * applies the timeout and token limit and turns every failure into an
+ * LLMError, so callers handle all providers the same way.
+ *
+ * complete() resolves with { text, model, provider, finishReason, truncated, usage }.
+ */
+class LLMProvider {
+  /**
+   * Options:
+   *   model     - model (or Azure deployment) name
+   *   timeout   - ms to wait for a completion (defaults to LLM_TIMEOUT or 60000)
+   *   maxTokens - upper bound for max tokens per request (defaults to LLM_MAX_TOKENS or 4096)
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.name = 'llm';
+    this.model = options.model;
+    this.timeout = parseInt(options.timeout || process.env.LLM_TIMEOUT) || DEFAULT_TIMEOUT;
+    this.maxTokens = parseInt(options.maxTokens || process.env.LLM_MAX_TOKENS) || DEFAULT_MAX_TOKENS;
+  }
+
+  /**
+   * Settings that must be present, as { ENV_NAME: value }
+   */
+  requiredSettings() {
+    return {};
+  }
+
+  get configured() {
+    return Object.values(this.requiredSettings()).every(Boolean);
+  }
+
+  /**
+   * HTTP request for a completion: { url, headers, body }
+   */
+  buildRequest() {
+    throw new Error(`${this.constructor.name} must implement buildRequest()`);
+  }
+
+  /**
+   * Completion from the response body: { text, finishReason, truncated, usage }
+   */
+  parseResponse() {
+    throw new Error(`${this.constructor.name} must implement parseResponse()`);
+  }
+
+  /**
+   * Ask for a chat completion
+   * request is { messages, temperature, maxTokens, topP }
+   * Options: signal - AbortSignal that cancels the request
+   */
+  async complete(request, options = {}) {
+    const missing = Object.entries(this.requiredSettings())
+      .filter(([, value]) => !value)
+      .map(([setting]) => setting);
+
+    if (missing.length > 0) {
+      throw new LLMError(`LLM provider '${this.name}' is not configured: set ${missing.join(', ')}`, 503, {
+        provider: this.name,
+        reason: 'not_configured'
+      });
+    }
+
+    const { url, headers, body } = this.buildRequest({
+      ...request,
+      maxTokens: Math.min(request.maxTokens || this.maxTokens, this.maxTokens)
+    });
+
+    let response;
+    try {
+      response = await axios.post(url, body, {
+        headers: { 'Content-Type': 'application/json', ...headers },
+        timeout: this.timeout,
+        signal: options.signal
+      });
+    } catch (error) {
+      throw this.toLLMError(error);
+    }
+
+    const completion = this.parseResponse(response.data);
+
+    if (!completion.text || !completion.text.trim()) {
+      throw new LLMError(`LLM provider '${this.name}' returned an empty completion`, 502, {
+        provider: this.name,
+        reason: 'empty_response'
+      });
+    }
+
+    return {
+      ...completion,
+      text: completion.text.trim(),
+      provider: this.name,
+      model: this.model
+    };
+  }
+
+  /**
+   * Map an axios failure to an LLMError with a status the routes can return
+   */
+  toLLMError(error) {
+    const details = { provider: this.name };
+
+    if (axios.isCancel(error)) {
+      return new LLMError('LLM request cancelled', 499, { ...details, reason: 'cancelled' });
+    }
+
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+      return new LLMError(`LLM provider '${this.name}' did not respond within ${this.timeout}ms`, 504, {
+        ...details,
+        reason: 'timeout'
+      });
+    }
+
+    if (!error.response) {
+      return new LLMError(`LLM provider '${this.name}' is unreachable: ${error.message}`, 503, {
+        ...details,
+        reason: 'unreachable'
+      });
+    }
+
+    const status = error.response.status;
+    const data = error.response.data || {};
+    const upstream = (data.error && (data.error.message || data.error)) || data.message || error.message;
+    const message = `LLM provider '${this.name}' failed (${status}): ${typeof upstream === 'string' ? upstream : JSON.stringify(upstream)}`;
+
+    if (status === 401 || status === 403) {
+      return new LLMError(message, 502, { ...details, reason: 'unauthorized' });
+    }
+    if (status === 429) {
+      return new LLMError(message, 503, {
+        ...details,
+        reason: 'rate_limited',
+        retryAfter: error.response.headers && error.response.headers['retry-after']
+      });
+    }
+    if (status === 400 || status === 404 || status === 413) {
+      return new LLMError(message, 502, { ...details, reason: 'rejected' });
+    }
+
+    return new LLMError(message, 502, { ...details, reason: 'upstream_error' });
+  }
+}
+
+module.exports = LLMProvider;
@@ -0,0 +1,56 @@
+const LLMProvider = require('./llmProvider');
+
+const DEFAULT_BASE_URL = 'http://localhost:11434';
+
+/**
+ * Ollama Provider - A local Ollama server through its native /api/chat endpoint
+ * Needs no API key or network access beyond the Ollama host.
+ */
+class OllamaProvider extends LLMProvider {
+  /**
+   * Options:
+   *   baseUrl - Ollama server (defaults to OLLAMA_BASE_URL or http://localhost:11434)
+   *   model   - model name, e.g. qwen2.5-coder:7b (defaults to OLLAMA_MODEL)
+   */
+  constructor(options = {}) {
+    super({ ...options, model: options.model || process.env.OLLAMA_MODEL });
+    this.name = 'ollama';
+    this.baseUrl = (options.baseUrl || process.env.OLLAMA_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  }
+
+  requiredSettings() {
+    return { OLLAMA_MODEL: this.model };
+  }
+
+  buildRequest(request) {
+    return {
+      url: `${this.baseUrl}/api/chat`,
+      headers: {},
+      body: {
+        model: this.model,
+        messages: request.messages,
+        stream: false,
+        options: {
+          temperature: request.temperature,
+          top_p: request.topP,
+          num_predict: request.maxTokens
+        }
+      }
+    };
+  }
+
+  parseResponse(data) {
+    const finishReason = (data && data.done_reason) || null;
+
+    return {
+      text: (data && data.message && data.message.content) || '',
+      finishReason,
+      truncated: finishReason === 'length',
+      usage: data && data.eval_count !== undefined
+        ? { promptTokens: data.prompt_eval_count, completionTokens: data.eval_count }
+        : null
+    };
+  }
+}
+
+module.exports = OllamaProvider;
@@ -0,0 +1,59 @@
+const LLMProvider = require('./llmProvider');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+/**
+ * OpenAI-Compatible Provider - Any /chat/completions endpoint
+ * OpenAI itself, or a local server such as llama.cpp, vLLM or LM Studio
+ * (point OPENAI_BASE_URL at its /v1 path; the API key is optional there).
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+  /**
+   * Options:
+   *   baseUrl - API root (defaults to OPENAI_BASE_URL or https://api.openai.com/v1)
+   *   apiKey  - bearer token (defaults to OPENAI_API_KEY)
+   *   model   - model name (defaults to OPENAI_MODEL)
+   */
+  constructor(options = {}) {
+    super({ ...options, model: options.model || process.env.OPENAI_MODEL });
+    this.name = 'openai';
+    this.baseUrl = (options.baseUrl || process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+  }
+
+  requiredSettings() {
+    return { OPENAI_MODEL: this.model };
+  }
+
+  buildRequest(request) {
+    return {
+      url: `${this.baseUrl}/chat/completions`,
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+      body: this.chatBody(request, { model: this.model })
+    };
+  }
+
+  chatBody(request, extra = {}) {
+    return {
+      ...extra,
+      messages: request.messages,
+      temperature: request.temperature,
+      max_tokens: request.maxTokens,
+      top_p: request.topP
+    };
+  }
+
+  parseResponse(data) {
+    const choice = (data && data.choices && data.choices[0]) || {};
+    const usage = data && data.usage;
+
+    return {
+      text: (choice.message && choice.message.content) || '',
+      finishReason: choice.finish_reason || null,
+      truncated: choice.finish_reason === 'length',
+      usage: usage ? { promptTokens: usage.prompt_tokens, completionTokens: usage.completion_tokens } : null
+    };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,178 @@
+const express = require('express');
+
+const SESSION_HEADER = 'Mcp-Session-Id';
+const KEEP_ALIVE_INTERVAL = 15000;
+const DEFAULT_SESSION_TTL = 30 * 60 * 1000;
+const SWEEP_INTERVAL = 60 * 1000;
+
+/**
+ * Streamable HTTP Router - Serves a PipelineMcpServer over MCP streamable HTTP
+ * POST carries JSON-RPC messages. Tool calls answer as a short SSE stream with
+ * keep-alive comments, so proxies do not cut off pipelines that run for
+ * minutes; everything else answers as plain JSON. A session id is issued on
+ * initialize and must be sent back in the Mcp-Session-Id header. DELETE ends
+ * the session; sessions idle for longer than the TTL (with nothing running)
+ * end on their own. There is no server-initiated stream, so GET returns 405.
+ *
+ * Options:
+ *   token          - require "Authorization: Bearer <token>" (defaults to MCP_SERVER_TOKEN)
+ *   allowedOrigins - browser origins allowed besides localhost (defaults to MCP_SERVER_ALLOWED_ORIGINS)
+ *   sessionTtl     - ms a session may stay idle (defaults to MCP_SESSION_TTL or 1800000)
+ */
+function createMcpRouter(mcpServer, options = {}) {
+  const router = express.Router();
+  const sessions = new Map();
+  const lastSeen = new Map(); // session id -> time of its last request
+  const token = options.token || process.env.MCP_SERVER_TOKEN;
+  const allowedOrigins = options.allowedOrigins ||
+    (process.env.MCP_SERVER_ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+  const sessionTtl = parseInt(options.sessionTtl || process.env.MCP_SESSION_TTL) || DEFAULT_SESSION_TTL;
+
+  function endSession(session) {
+    mcpServer.closeSession(session);
+    sessions.delete(session.id);
+    lastSeen.delete(session.id);
+  }
+
+  // Clients that never send DELETE must not keep their sessions forever
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - sessionTtl;
+    for (const session of sessions.values()) {
+      if (session.inFlight.size === 0 && lastSeen.get(session.id) < cutoff) {
+        endSession(session);
+      }
+    }
+  }, Math.min(sessionTtl, SWEEP_INTERVAL));
+  sweep.unref();
+
+  function rpcError(res, status, message) {
+    res.status(status).json({ jsonrpc: '2.0', id: null, error: { code: -32000, message } });
+  }
+
+  // Browsers on other sites must not reach a local server (DNS rebinding)
+  function isAllowedOrigin(origin) {
+    if (!origin) {
+      return true;
+    }
+    try {
+      const { hostname } = new URL(origin);
+      return ['localhost', '127.0.0.1', '[::1]'].includes(hostname) || allowedOrigins.includes(origin);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  router.use(express.json({ limit: '10mb' }));
+
+  router.use((req, res, next) => {
+    if (!isAllowedOrigin(req.get('Origin'))) {
+      return rpcError(res, 403, 'Origin not allowed');
+    }
+    if (token && req.get('Authorization') !== `Bearer ${token}`) {
+      return rpcError(res, 401, 'Missing or invalid bearer token');
+    }
+    next();
+  });
+
+  router.post('/', async (req, res) => {
+    const batch = Array.isArray(req.body);
+    const messages = batch ? req.body : [req.body];
+
+    if (messages.length === 0) {
+      return rpcError(res, 400, 'Empty batch');
+    }
+
+    let session;
+    if (messages.some(message => message && message.method === 'initialize')) {
+      session = mcpServer.createSession();
+      sessions.set(session.id, session);
+      res.set(SESSION_HEADER, session.id);
+    } else {
+      const sessionId = req.get(SESSION_HEADER);
+      if (!sessionId) {
+        return rpcError(res, 400, `${SESSION_HEADER} header is required`);
+      }
+      session = sessions.get(sessionId);
+      if (!session) {
+        return rpcError(res, 404, 'Unknown or expired MCP session');
+      }
+    }
+    lastSeen.set(session.id, Date.now());
+
+    const requests = messages.filter(message => message && message.method && message.id !== undefined);
+
+    // Only notifications or responses: process and acknowledge
+    if (requests.length === 0) {
+      await Promise.all(messages.map(message => mcpServer.handleMessage(message, session)));
+      return res.status(202).end();
+    }
+
+    // Stop this POST's pipelines if the client hangs up
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        for (const request of requests) {
+          const controller = session.inFlight.get(request.id);
+          if (controller) {
+            controller.abort(new Error('Client disconnected'));
+          }
+        }
+      }
+    });
+
+    const streaming = (req.get('Accept') || '').includes('text/event-stream') &&
+      requests.some(request => request.method === 'tools/call');
+
+    if (streaming) {
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      res.flushHeaders();
+    }
+
+    const keepAlive = streaming
+      ? setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_INTERVAL)
+      : null;
+
+    try {
+      const responses = (await Promise.all(messages.map(message => mcpServer.handleMessage(message, session))))
+        .filter(Boolean);
+
+      if (streaming) {
+        for (const response of responses) {
+          res.write(`event: message\ndata: ${JSON.stringify(response)}\n\n`);
+        }
+        res.end();
+      } else if (responses.length === 0) {
+        res.status(202).end();
+      } else {
+        res.json(batch ? responses : responses[0]);
+      }
+    } finally {
+      clearInterval(keepAlive);
+      // Idle time counts from the end of a long tool call, not its start
+      if (sessions.has(session.id)) {
+        lastSeen.set(session.id, Date.now());
+      }
+    }
+  });
+
+  router.delete('/', (req, res) => {
+    const session = sessions.get(req.get(SESSION_HEADER));
+    if (!session) {
+      return rpcError(res, 404, 'Unknown or expired MCP session');
+    }
+    endSession(session);
+    res.status(204).end();
+  });
+
+  router.get('/', (req, res) => {
+    res.set('Allow', 'POST, DELETE');
+    rpcError(res, 405, 'This server does not offer a server-initiated event stream');
+  });
+
+  return router;
+}
+
+module.exports = createMcpRouter;
@@ -0,0 +1,505 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { BLENDER_TOOLS } = require('./transports/blenderTools');
+const { RESULT_MARKER } = require('../utils/scriptResults');
+
+/**
+ * Mock Blender MCP Server - Offline stand-in for the blender-mcp bridge
+ * Speaks the same newline-delimited JSON-RPC over stdio, so the API server can
+ * be developed and demoed without Blender, uvx or API keys. Results are
+ * deterministic: the same inputs always produce the same output.
+ *
+ * Run directly (node services/mockBlenderMcpServer.js) or set MCP_TRANSPORT=mock.
+ */
+
+const SERVER_INFO = { name: 'mock-blender-mcp', version: '1.0.0' };
+const SUPPORTED_PROTOCOL_VERSIONS = ['2024-11-05', '2025-03-26', '2025-06-18'];
+
+// 1x1 grey PNG returned for viewport screenshots
+const SCREENSHOT_PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAIAAACQd1PeAAAADElEQVR4nGNoaGgAAAMEAYFL09IQAAAAAElFTkSuQmCC';
+
+// bpy.ops.mesh.primitive_<kind>_add -> default Blender object name
+const PRIMITIVE_NAMES = {
+  cube: 'Cube',
+  uv_sphere: 'Sphere',
+  ico_sphere: 'Icosphere',
+  cylinder: 'Cylinder',
+  cone: 'Cone',
+  torus: 'Torus',
+  plane: 'Plane',
+  circle: 'Circle',
+  grid: 'Grid',
+  monkey: 'Suzanne'
+};
+
+const scene = {
+  name: 'Scene',
+  objects: [],
+  materials: new Set()
+};
+
+/**
+ * Stable short id derived from the inputs
+ */
+function digest(...parts) {
+  return crypto.createHash('sha1').update(parts.join('\u0000')).digest('hex');
+}
+
+function addObject(baseName, type = 'MESH') {
+  let name = baseName;
+  let suffix = 1;
+  while (scene.objects.some(object => object.name === name)) {
+    name = `${baseName}.${String(suffix++).padStart(3, '0')}`;
+  }
+
+  const index = scene.objects.length;
+  const object = { name, type, location: [index * 2, 0, 0] };
+  scene.objects.push(object);
+  return object;
+}
+
+/**
+ * Build a minimal valid glTF 2.0 binary (a single triangle) naming the scene objects
+ */
+function buildGlb(objectNames) {
+  const positions = Buffer.alloc(36);
+  [0, 0, 0, 1, 0, 0, 0, 1, 0].forEach((value, index) => positions.writeFloatLE(value, index * 4));
+
+  const gltf = {
+    asset: { version: '2.0', generator: `${SERVER_INFO.name} ${SERVER_INFO.version}` },
+    scene: 0,
+    scenes: [{ nodes: objectNames.map((name, index) => index) }],
+    nodes: objectNames.map(name => ({ name, mesh: 0 })),
+    meshes: [{ name: 'MockTriangle', primitives: [{ attributes: { POSITION: 0 } }] }],
+    accessors: [{ bufferView: 0, componentType: 5126, count: 3, type: 'VEC3', min: [0, 0, 0], max: [1, 1, 0] }],
+    bufferViews: [{ buffer: 0, byteOffset: 0, byteLength: positions.length }],
+    buffers: [{ byteLength: positions.length }]
+  };
+
+  // Chunks are 4-byte aligned: JSON pads with spaces, BIN with zeros
+  let json = Buffer.from(JSON.stringify(gltf));
+  json = Buffer.concat([json, Buffer.alloc((4 - (json.length % 4)) % 4, 0x20)]);
+
+  const header = Buffer.alloc(12);
+  const jsonHeader = Buffer.alloc(8);
+  const binHeader = Buffer.alloc(8);
+  const totalLength = 12 + 8 + json.length + 8 + positions.length;
+
+  header.writeUInt32LE(0x46546C67, 0); // "glTF"
+  header.writeUInt32LE(2, 4);
+  header.writeUInt32LE(totalLength, 8);
+  jsonHeader.writeUInt32LE(json.length, 0);
+  jsonHeader.writeUInt32LE(0x4E4F534A, 4); // "JSON"
+  binHeader.writeUInt32LE(positions.length, 0);
+  binHeader.writeUInt32LE(0x004E4942, 4); // "BIN"
+
+  return Buffer.concat([header, jsonHeader, json, binHeader, positions]);
+}
+
+/**
+ * Pretend to run Python line by line: track primitives and materials, echo
+ * literal prints and write GLB exports. Except blocks are skipped, and a
+ * literal raise stops the run the way a Python exception would, unless it
+ * sits in a branch, loop or function that may never run (only try and
+ * finally bodies count as always running).
+ * Returns { output, error }.
+ */
+function executeCode(code = '') {
+  const output = [];
+  const blocks = []; // Enclosing block headers: { indent, keyword }
+  let exceptIndent = null;
+  let error = null;
+
+  const lines = code.split('\n');
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+    if (!line.trim()) {
+      continue;
+    }
+
+    const indent = line.match(/^\s*/)[0].length;
+    if (exceptIndent !== null && indent > exceptIndent) {
+      continue; // Nothing raised yet, so except bodies do not run
+    }
+    exceptIndent = /^\s*except\b.*:\s*$/.test(line) ? indent : null;
+
+    if (!line.trim().startsWith('#')) {
+      while (blocks.length > 0 && blocks[blocks.length - 1].indent >= indent) {
+        blocks.pop();
+      }
+      const header = line.match(/^\s*(\w+)\b.*:\s*(?:#.*)?$/);
+      if (header) {
+        blocks.push({ indent, keyword: header[1] });
+      }
+    }
+
+    const raise = line.match(/^\s*raise\s+(\w+)\(\s*(?:(["'])(.*?)\2)?\s*\)/);
+    const alwaysRuns = blocks.every(block => block.keyword === 'try' || block.keyword === 'finally');
+    if (raise && alwaysRuns) {
+      error = { type: raise[1], message: raise[3] || '', line: index + 1 };
+      break;
+    }
+
+    if (/bpy\.ops\.object\.delete\(|bpy\.data\.objects\.remove\(/.test(line)) {
+      scene.objects = [];
+    }
+
+    const primitive = line.match(/bpy\.ops\.mesh\.primitive_(\w+?)_add\(/);
+    if (primitive) {
+      // Look ahead for "obj.name = ..." right after the primitive is added
+      const rename = lines.slice(index + 1, index + 4).join('\n').match(/\.name\s*=\s*["']([^"']+)["']/);
+      const object = addObject((rename && rename[1]) || PRIMITIVE_NAMES[primitive[1]] || 'Object');
+      output.push(`Created ${object.name}`);
+    }
+
+    const material = line.match(/bpy\.data\.materials\.new\(\s*(?:name\s*=\s*)?["']([^"']+)["']/);
+    if (material) {
+      scene.materials.add(material[1]);
+    }
+
+    // Plain string prints (f-strings need a real interpreter)
+    const print = line.match(/^\s*print\(\s*(["'])(.*?)\1\s*\)\s*$/);
+    if (print) {
+      output.push(print[2].replace(/\\n/g, '\n'));
+    }
+  }
+
+  const exportMatch = code.match(/export_path\s*=\s*r?["']([^"']+)["']/) || code.match(/filepath\s*=\s*r?["']([^"']+\.glb)["']/);
+  if (!error && exportMatch && /export_scene\.gltf\(/.test(code)) {
+    const exportPath = exportMatch[1];
+    const glb = buildGlb(scene.objects.length > 0 ? scene.objects.map(object => object.name) : ['MockObject']);
+
+    fs.mkdirSync(path.dirname(exportPath), { recursive: true });
+    fs.writeFileSync(exportPath, glb);
+    output.push(`✓ SUCCESS: Exported ${Math.max(scene.objects.length, 1)} objects`);
+    output.push(`  - Size: ${glb.length} bytes`);
+    output.push(scriptResult('glb_export', { counts: { objects: Math.max(scene.objects.length, 1) }, path: exportPath, size: glb.length }));
+  }
+
+  return { output: output.join('\n'), error };
+}
+
+/**
+ * A result line as utils/scriptResults reads it
+ */
+function scriptResult(script, { success = true, counts = {}, warnings = [], errors = [], ...fields } = {}) {
+  return RESULT_MARKER + JSON.stringify({ ...fields, script, success, counts, warnings, errors });
+}
+
+/**
+ * Answer the snapshot and restore scripts of utils/sceneSnapshot for the mock
+ * scene's objects and materials. Returns null for other code.
+ */
+function snapshotCode(code) {
+  if (code.includes('emit_result("scene_snapshot"')) {
+    return scriptResult('scene_snapshot', {
+      counts: { objects: scene.objects.length },
+      snapshot: {
+        scene: scene.name,
+        active: null,
+        objects: scene.objects.map(object => ({ key: object.name, name: object.name, type: object.type, location: object.location })),
+        data: { materials: Object.fromEntries([...scene.materials].map(name => [name, name])) },
+        geometry: {}
+      }
+    });
+  }
+
+  const restore = code.match(/^state = json\.loads\((".*")\)$/m);
+  if (!restore) {
+    return null;
+  }
+
+  const state = JSON.parse(JSON.parse(restore[1]));
+  const removed = scene.objects.filter(object => !state.objects.some(entry => entry.key === object.name));
+  const missing = state.objects.filter(entry => !scene.objects.some(object => object.name === entry.key));
+  const materials = [...scene.materials].filter(name => !(name in state.data.materials));
+
+  scene.objects = scene.objects.filter(object => !removed.includes(object));
+  materials.forEach(name => scene.materials.delete(name));
+
+  return scriptResult('snapshot_restore', {
+    counts: { restored: scene.objects.length, removed: removed.length + materials.length },
+    warnings: missing.map(entry => `${entry.name} was deleted and cannot be restored`),
+    restored: scene.objects.length,
+    removed: Object.fromEntries([['objects', removed.length], ['materials', materials.length]].filter(([, count]) => count > 0)),
+    missing: missing.map(entry => entry.name),
+    changedGeometry: []
+  });
+}
+
+/**
+ * Report an execution the way blender-mcp does. Code wrapped by
+ * blenderSafety.wrapInSafeContext catches its own errors and prints a status.
+ */
+function executeTool(code = '') {
+  const snapshot = snapshotCode(code);
+  if (snapshot) {
+    return text(`Code executed successfully: ${snapshot}`);
+  }
+
+  const before = scene.objects.length;
+  const { output, error } = executeCode(code);
+  const wrapped = /error_occurred = False/.test(code);
+
+  if (error && !wrapped) {
+    return toolError(`Error executing code: ${error.message}`);
+  }
+
+  if (!wrapped) {
+    return text(`Code executed successfully: ${output}`);
+  }
+
+  const status = error
+    ? [
+      '✗ ERROR OCCURRED',
+      `Error: ${error.message}`,
+      'Full traceback:',
+      'Traceback (most recent call last):',
+      `  File "<string>", line ${error.line}, in <module>`,
+      `${error.type}: ${error.message}`,
+      'Status: FAILED'
+    ]
+    : ['Status: SUCCESS'];
+  const created = scene.objects.slice(before).map(object => object.name);
+
+  status.push(scriptResult('safe_execution', {
+    success: !error,
+    counts: { created: created.length, rolledBack: 0 },
+    errors: error ? [error.message] : [],
+    error: error ? error.message : null,
+    traceback: error ? status.slice(3, 6).join('\n') : null,
+    limitExceeded: null,
+    created
+  }));
+
+  return text(`Code executed successfully: ${[output, ...status].filter(Boolean).join('\n')}`);
+}
+
+function text(value) {
+  return { content: [{ type: 'text', text: typeof value === 'string' ? value : JSON.stringify(value, null, 2) }] };
+}
+
+function toolError(message) {
+  return { content: [{ type: 'text', text: `Error: ${message}` }], isError: true };
+}
+
+/**
+ * Tool implementations, keyed by tool name
+ */
+const TOOL_HANDLERS = {
+  get_scene_info: () => text({
+    name: scene.name,
+    object_count: scene.objects.length,
+    objects: scene.objects.map(object => ({ ...object })),
+    materials_count: scene.materials.size
+  }),
+
+  get_object_info: ({ object_name }) => {
+    const object = scene.objects.find(o => o.name === object_name);
+    if (!object) {
+      return toolError(`Object not found: ${object_name}`);
+    }
+    return text({ ...object, visible: true, materials: [], mesh: { vertices: 8, edges: 12, polygons: 6 } });
+  },
+
+  get_viewport_screenshot: () => ({
+    content: [{ type: 'image', data: SCREENSHOT_PNG, mimeType: 'image/png' }]
+  }),
+
+  execute_blender_code: ({ code }) => executeTool(code),
+
+  set_texture: ({ object_name, texture_id }) => {
+    if (!scene.objects.some(object => object.name === object_name)) {
+      return toolError(`Object not found: ${object_name}`);
+    }
+    scene.materials.add(`${texture_id}_material`);
+    return text(`Successfully applied texture '${texture_id}' to ${object_name}`);
+  },
+
+  get_polyhaven_status: () => text('PolyHaven integration is enabled (mock).'),
+  get_hyper3d_status: () => text('Hyper3D Rodin integration is enabled (mock, free trial key).'),
+  get_sketchfab_status: () => text('Sketchfab integration is enabled (mock).'),
+  get_hunyuan3d_status: () => text('Hunyuan3D integration is enabled (mock).'),
+
+  search_sketchfab_models: ({ query = '', count = 20 }) => {
+    const results = Array.from({ length: Math.min(count, 3) }, (value, index) => ({
+      uid: digest('sketchfab', query, index).slice(0, 32),
+      name: `${query} model ${index + 1}`,
+      user: { username: 'mock-artist' },
+      faceCount: 1000 * (index + 1),
+      isDownloadable: true,
+      license: { label: 'CC Attribution' }
+    }));
+    return text(`Found ${results.length} results for '${query}':\n` + JSON.stringify(results, null, 2));
+  },
+
+  download_sketchfab_model: ({ uid }) => {
+    const object = addObject(`Sketchfab_${uid.slice(0, 8)}`);
+    return text(`Successfully imported model '${uid}' as ${object.name}`);
+  },
+
+  generate_hyper3d_model_via_text: ({ text_prompt = '' }) => {
+    const id = digest('hyper3d', text_prompt);
+    const object = addObject(`Hyper3D_${id.slice(0, 8)}`);
+    return text({
+      task_uuid: `${id.slice(0, 8)}-${id.slice(8, 12)}-${id.slice(12, 16)}-${id.slice(16, 20)}-${id.slice(20, 32)}`,
+      subscription_key: `mock-${id.slice(0, 16)}`,
+      status: 'Done',
+      imported_object: object.name
+    });
+  }
+};
+
+/**
+ * Resources published by the mock server
+ */
+const RESOURCES = [
+  {
+    uri: 'blender://scene',
+    name: 'Current scene',
+    description: 'Objects and materials in the simulated scene',
+    mimeType: 'application/json'
+  }
+];
+
+function readResource(uri) {
+  if (uri !== 'blender://scene') {
+    const error = new Error(`Resource not found: ${uri}`);
+    error.code = -32002;
+    throw error;
+  }
+
+  return {
+    contents: [{
+      uri,
+      mimeType: 'application/json',
+      text: TOOL_HANDLERS.get_scene_info().content[0].text
+    }]
+  };
+}
+
+/**
+ * Prompt templates published by the mock server (mirrors blender-mcp)
+ */
+const PROMPTS = [
+  {
+    name: 'asset_creation_strategy',
+    description: 'Defines the preferred strategy for creating assets in Blender',
+    arguments: []
+  }
+];
+
+function getPrompt(name) {
+  if (!PROMPTS.some(prompt => prompt.name === name)) {
+    const error = new Error(`Unknown prompt: ${name}`);
+    error.code = -32602;
+    throw error;
+  }
+
+  return {
+    description: PROMPTS.find(prompt => prompt.name === name).description,
+    messages: [{
+      role: 'user',
+      content: {
+        type: 'text',
+        text: 'When creating 3D content in Blender, always start by checking the scene with get_scene_info(). ' +
+          'Prefer Sketchfab or Hyper3D assets for complex objects and use execute_blender_code for simple primitives.'
+      }
+    }]
+  };
+}
+
+function send(message) {
+  process.stdout.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\n');
+}
+
+function handleRequest(message) {
+  const params = message.params || {};
+
+  switch (message.method) {
+    case 'initialize':
+      return {
+        protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(params.protocolVersion)
+          ? params.protocolVersion
+          : SUPPORTED_PROTOCOL_VERSIONS[0],
+        capabilities: {
+          tools: { listChanged: false },
+          resources: { listChanged: false },
+          prompts: { listChanged: false }
+        },
+        serverInfo: SERVER_INFO,
+        instructions: 'Mock Blender MCP server: results are simulated, no Blender instance is involved.'
+      };
+
+    case 'ping':
+      return {};
+
+    case 'tools/list':
+      return { tools: BLENDER_TOOLS };
+
+    case 'resources/list':
+      return { resources: RESOURCES };
+
+    case 'resources/read':
+      return readResource(params.uri);
+
+    case 'prompts/list':
+      return { prompts: PROMPTS };
+
+    case 'prompts/get':
+      return getPrompt(params.name);
+
+    case 'tools/call': {
+      const handler = TOOL_HANDLERS[params.name];
+      if (!handler) {
+        return toolError(`Unknown tool: ${params.name}`);
+      }
+      return handler(params.arguments || {});
+    }
+
+    default: {
+      const error = new Error(`Method not found: ${message.method}`);
+      error.code = -32601;
+      throw error;
+    }
+  }
+}
+
+function handleLine(line) {
+  if (!line.trim()) {
+    return;
+  }
+
+  let message;
+  try {
+    message = JSON.parse(line);
+  } catch (error) {
+    send({ id: null, error: { code: -32700, message: 'Parse error' } });
+    return;
+  }
+
+  // Notifications (initialized, cancelled) need no reply
+  if (message.id === undefined) {
+    return;
+  }
+
+  try {
+    send({ id: message.id, result: handleRequest(message) });
+  } catch (error) {
+    send({ id: message.id, error: { code: error.code || -32603, message: error.message } });
+  }
+}
+
+if (require.main === module) {
+  console.error(`${SERVER_INFO.name} ${SERVER_INFO.version} ready on stdio`);
+  readline.createInterface({ input: process.stdin }).on('line', handleLine);
+}
+
+module.exports = {
+  buildGlb,
+  executeCode,
+  handleRequest
+};
@@ -0,0 +1,272 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const pipelines = require('./pipelines');
+const llm = require('./llm');
+const blenderSafety = require('../utils/blenderSafety');
+const schemaValidator = require('../utils/schemaValidator');
+
+/**
+ * Pipeline MCP Server - Publishes the high-level pipelines as MCP tools
+ * Protocol core shared by the stdio entry point (mcpServer.js) and the
+ * streamable HTTP endpoint (/mcp in server.js). Transports hand each
+ * JSON-RPC message to handleMessage() together with the session it arrived on.
+ */
+
+const SERVER_INFO = { name: 'blender-pipelines', version: '2.0.0' };
+const SUPPORTED_PROTOCOL_VERSIONS = ['2024-11-05', '2025-03-26', '2025-06-18'];
+const LATEST_PROTOCOL_VERSION = '2025-03-26';
+
+const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
+
+const TOOLS = [
+  {
+    name: 'prompt_to_glb',
+    description: 'Generate a 3D model in Blender from a natural language description and export it as GLB. ' +
+      'The prompt and generated code pass the same safety checks as POST /api/prompt.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        prompt: { type: 'string', minLength: 1, description: 'What to build, e.g. "a red cube on a wooden table"' },
+        provider: {
+          type: 'string',
+          enum: Object.keys(llm.PROVIDERS),
+          description: 'LLM provider that writes the Blender code (default: the server\'s LLM_PROVIDER)'
+        },
+        sceneContext: {
+          type: 'boolean',
+          description: 'Describe the current scene to the LLM so the prompt can refer to existing objects (default: true)'
+        },
+        candidates: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Scripts to generate and compare; the one with the best quality score is kept (default: 1)'
+        }
+      },
+      required: ['prompt']
+    }
+  },
+  {
+    name: 'svg_to_glb',
+    description: 'Validate and simplify an SVG, extrude it into a 3D model in Blender and export it as GLB',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        svg: { type: 'string', minLength: 1, description: 'SVG document markup' },
+        filename: { type: 'string', description: 'Name for the uploaded file (default: drawing.svg)' }
+      },
+      required: ['svg']
+    }
+  },
+  {
+    name: 'export_glb',
+    description: 'Run the quality pipeline on the current Blender scene and export it as a validated GLB',
+    inputSchema: { type: 'object', properties: {} }
+  },
+  {
+    name: 'get_embed_code',
+    description: 'Get iframe, HTML, link and markdown snippets that embed an exported model in a web page',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        modelId: { type: 'string', minLength: 1, description: 'Exported GLB filename, e.g. model-1700000000000.glb' },
+        width: { type: 'string', description: 'Iframe width (default: 800)' },
+        height: { type: 'string', description: 'Iframe height (default: 600)' },
+        autoRotate: { type: 'string', enum: ['true', 'false'], description: 'Auto-rotate the model' },
+        controls: { type: 'string', enum: ['true', 'false'], description: 'Show controls help' },
+        bg: { type: 'string', description: 'Background color (hex, default: #1a1a1a)' }
+      },
+      required: ['modelId']
+    }
+  }
+];
+
+class RpcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.rpcCode = code;
+  }
+}
+
+class PipelineMcpServer {
+  /**
+   * Options:
+   *   workerPool - BlenderWorkerPool the pipelines run on
+   *   baseUrl    - public URL of the REST server hosting /exports and /embed
+   */
+  constructor(options) {
+    this.workerPool = options.workerPool;
+    this.baseUrl = options.baseUrl;
+  }
+
+  /**
+   * New per-connection state: negotiated version and in-flight requests
+   */
+  createSession() {
+    return {
+      id: crypto.randomUUID(),
+      protocolVersion: null,
+      clientInfo: null,
+      inFlight: new Map()
+    };
+  }
+
+  /**
+   * Abort everything still running for a session (client went away)
+   */
+  closeSession(session) {
+    for (const controller of session.inFlight.values()) {
+      controller.abort(new Error('MCP session closed'));
+    }
+    session.inFlight.clear();
+  }
+
+  /**
+   * Handle one JSON-RPC message
+   * Resolves with the response, or null for notifications and cancelled requests
+   */
+  async handleMessage(message, session) {
+    if (!message || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+      // Responses from the client (we send no requests) are ignored
+      if (message && message.method === undefined && message.id !== undefined) {
+        return null;
+      }
+      return this.errorResponse(message && message.id !== undefined ? message.id : null, -32600, 'Invalid Request');
+    }
+
+    if (message.id === undefined) {
+      this.handleNotification(message, session);
+      return null;
+    }
+
+    const controller = new AbortController();
+    session.inFlight.set(message.id, controller);
+
+    try {
+      const result = await this.handleRequest(message.method, message.params || {}, session, controller.signal);
+      return controller.signal.aborted ? null : { jsonrpc: '2.0', id: message.id, result };
+    } catch (error) {
+      if (controller.signal.aborted) {
+        return null; // Cancelled requests get no response
+      }
+      return this.errorResponse(message.id, error.rpcCode || -32603, error.message);
+    } finally {
+      session.inFlight.delete(message.id);
+    }
+  }
+
+  handleNotification(message, session) {
+    if (message.method === 'notifications/cancelled') {
+      const controller = session.inFlight.get(message.params && message.params.requestId);
+      if (controller) {
+        controller.abort(new Error((message.params && message.params.reason) || 'Cancelled by client'));
+      }
+    }
+  }
+
+  async handleRequest(method, params, session, signal) {
+    switch (method) {
+      case 'initialize':
+        session.protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(params.protocolVersion)
+          ? params.protocolVersion
+          : LATEST_PROTOCOL_VERSION;
+        session.clientInfo = params.clientInfo || null;
+        return {
+          protocolVersion: session.protocolVersion,
+          capabilities: { tools: { listChanged: false } },
+          serverInfo: SERVER_INFO,
+          instructions: 'Each tool runs a complete Blender pipeline with safety checks and returns URLs of the exported GLB.'
+        };
+
+      case 'ping':
+        return {};
+
+      case 'tools/list':
+        return { tools: TOOLS };
+
+      case 'tools/call':
+        return this.callTool(params.name, params.arguments || {}, signal);
+
+      default:
+        throw new RpcError(-32601, `Method not found: ${method}`);
+    }
+  }
+
+  /**
+   * Run a pipeline tool; pipeline failures become tool errors the agent can read
+   */
+  async callTool(name, args, signal) {
+    const tool = TOOLS.find(t => t.name === name);
+    if (!tool) {
+      throw new RpcError(-32602, `Unknown tool: ${name}`);
+    }
+
+    const violations = schemaValidator.validate(args, tool.inputSchema, 'arguments');
+    if (violations.length > 0) {
+      throw new RpcError(-32602, `Invalid arguments for ${name}: ${violations.map(v => `${v.path} ${v.message}`).join('; ')}`);
+    }
+
+    const context = {
+      logger: new blenderSafety.ExecutionLogger(),
+      signal,
+      baseUrl: this.baseUrl
+    };
+    const queueOptions = { label: `mcp ${name}`, signal };
+
+    try {
+      let output;
+
+      switch (name) {
+        case 'prompt_to_glb':
+          output = await pipelines.promptToGlb(args.prompt, { ...context, llmProvider: args.provider, sceneContext: args.sceneContext }, {
+            workerPool: this.workerPool,
+            queueOptions,
+            candidates: args.candidates
+          });
+          break;
+
+        case 'svg_to_glb': {
+          const file = this.saveSvg(args.svg, args.filename);
+          output = await this.workerPool.exclusive(client => pipelines.svgToGlb(client, file, context), queueOptions);
+          break;
+        }
+
+        case 'export_glb':
+          output = await this.workerPool.exclusive(client => pipelines.exportScene(client, context), queueOptions);
+          break;
+
+        case 'get_embed_code':
+          output = pipelines.embedCode(args.modelId, args, this.baseUrl);
+          break;
+      }
+
+      return { content: [{ type: 'text', text: JSON.stringify(output, null, 2) }] };
+    } catch (error) {
+      context.logger.error(`${name} failed`, error);
+      const details = error.details ? `\n${JSON.stringify(error.details, null, 2)}` : '';
+      return {
+        content: [{ type: 'text', text: `Error: ${error.message}${details}` }],
+        isError: true
+      };
+    }
+  }
+
+  /**
+   * Write SVG markup to the uploads directory for the import pipeline
+   */
+  saveSvg(svg, filename = 'drawing.svg') {
+    const safeName = path.basename(filename).replace(/[^\w.-]/g, '_');
+    const filePath = path.join(UPLOADS_DIR, `${Date.now()}-${safeName.endsWith('.svg') ? safeName : `${safeName}.svg`}`);
+
+    fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+    fs.writeFileSync(filePath, svg, 'utf8');
+
+    return { path: filePath, originalname: safeName, size: Buffer.byteLength(svg) };
+  }
+
+  errorResponse(id, code, message) {
+    return { jsonrpc: '2.0', id, error: { code, message } };
+  }
+}
+
+module.exports = PipelineMcpServer;
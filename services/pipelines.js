@@ -0,0 +1,1179 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const promptSafety = require('../utils/promptSafety');
+const svgValidator = require('../utils/svgValidator');
+const blenderSafety = require('../utils/blenderSafety');
+const modelQuality = require('../utils/modelQuality');
+const textureBaking = require('../utils/textureBaking');
+const sceneContext = require('../utils/sceneContext');
+const candidateScenes = require('../utils/candidateScenes');
+const sceneSnapshot = require('../utils/sceneSnapshot');
+const safetyPolicies = require('../utils/safetyPolicies');
+const { PYTHON_RESULT_HELPER, parseResults, findResult } = require('../utils/scriptResults');
+const { PipelineError } = require('../utils/errors');
+const llm = require('./llm');
+
+/**
+ * Pipelines - The multi-step Blender workflows behind the API
+ * Shared by the REST routes (server.js) and the MCP server (mcpServer.js), so
+ * both run the same prompt safety, code safety, quality and export steps.
+ *
+ * Pipelines that modify the scene snapshot it first and restore it when they
+ * fail (PIPELINE_ROLLBACK=false turns this off).
+ *
+ * Steps that touch Blender take an MCP client that the caller already holds
+ * through the worker pool queue. Every pipeline takes a context:
+ *   logger  - blenderSafety.ExecutionLogger collecting the step log; step
+ *             transitions and Blender's printed output are emitted on it live
+ *   signal  - AbortSignal that cancels in-flight MCP calls
+ *   baseUrl - public URL of the server hosting /exports
+ *   llmProvider - LLM provider for code generation (optional, default LLM_PROVIDER)
+ *   sceneContext - false to leave the current scene out of the LLM prompt
+ *                  (optional, default PROMPT_SCENE_CONTEXT)
+ *   safetyPolicy - utils/safetyPolicies profile the code is checked against
+ *                  (optional, default SAFETY_DEFAULT_POLICY)
+ */
+
+const EXPORTS_DIR = path.join(__dirname, '..', 'exports');
+const DEFAULT_REPAIR_ATTEMPTS = 2;
+const DEFAULT_MAX_CANDIDATES = 4;
+const CANDIDATE_TEMPERATURE = 0.8; // Higher than a single request so candidates differ
+const CANDIDATE_SCREENSHOT_SIZE = 400;
+
+function policyOf(context) {
+  return context.safetyPolicy || safetyPolicies.getPolicy();
+}
+
+function wrapOptions(context) {
+  return { rollbackOnError: true, limits: { maxObjects: policyOf(context).maxObjects } };
+}
+
+function exportUrl(baseUrl, filename) {
+  return `${baseUrl}/exports/${filename}`;
+}
+
+/**
+ * Execute code in Blender and pass what it printed on to the logger
+ */
+async function runCode(client, code, { logger, signal }) {
+  const result = await client.executeBlenderCode(code, { signal });
+  logger.output(result);
+  return result;
+}
+
+/**
+ * Record the scene state on the worker client is connected to
+ * Throws PipelineError (502) when Blender does not return the snapshot.
+ */
+async function takeSnapshot(client, { signal }) {
+  const state = sceneSnapshot.parseSnapshot(await client.executeBlenderCode(sceneSnapshot.generateSnapshotCode(), { signal }));
+
+  if (!state) {
+    throw new PipelineError('Blender did not return a scene snapshot', 502);
+  }
+  return state;
+}
+
+/**
+ * Put the scene back into a state from takeSnapshot()
+ * Resolves with the restore summary (see sceneSnapshot.parseRestoreResult).
+ */
+async function restoreSnapshot(client, state, { logger, signal }) {
+  const result = await client.executeBlenderCode(sceneSnapshot.generateRestoreCode(state), { signal });
+  const restored = sceneSnapshot.parseRestoreResult(result);
+
+  if (!restored) {
+    throw new PipelineError('Blender did not confirm the scene restore', 502, {
+      error: blenderSafety.parseSafeExecutionResult(result).error
+    });
+  }
+  if (restored.missing.length > 0 || restored.changedGeometry.length > 0) {
+    logger.warning('Scene restored only in part', { missing: restored.missing, changedGeometry: restored.changedGeometry });
+  }
+  return restored;
+}
+
+function rollbackEnabled() {
+  return process.env.PIPELINE_ROLLBACK !== 'false';
+}
+
+/**
+ * Run steps that modify the scene, putting the scene back as it was when they fail
+ * The rollback runs even when the client has gone away. When the scene cannot
+ * be snapshotted the steps still run, and a failure only gets the generic
+ * cleanup of blenderSafety.generateErrorRecovery(). A PipelineError gets the
+ * restore summary in details.rollback.
+ */
+async function withSnapshot(client, context, steps) {
+  const { logger } = context;
+  const enabled = rollbackEnabled();
+  let state = null;
+
+  if (enabled) {
+    try {
+      state = await takeSnapshot(client, context);
+    } catch (error) {
+      if (context.signal && context.signal.aborted) {
+        throw error;
+      }
+      logger.warning('Could not snapshot the scene; running without rollback', { error: error.message });
+    }
+  }
+
+  try {
+    return await steps();
+  } catch (error) {
+    if (state) {
+      logger.info('Rolling back the scene', { error: error.message });
+      try {
+        const restored = await restoreSnapshot(client, state, { logger });
+        logger.info('Scene rolled back', restored);
+        if (error instanceof PipelineError) {
+          error.details.rollback = restored;
+        }
+      } catch (restoreError) {
+        logger.warning('Could not roll back the scene', { error: restoreError.message });
+      }
+    } else if (enabled) {
+      await runCode(client, blenderSafety.generateErrorRecovery(), { logger })
+        .catch(cleanupError => logger.warning('Could not clean up the scene', { error: cleanupError.message }));
+    }
+    throw error;
+  }
+}
+
+function newExportPath(prefix) {
+  const filename = `${prefix}-${Date.now()}.glb`;
+  return {
+    filename,
+    exportPath: path.join(EXPORTS_DIR, filename).replace(/\\/g, '/')
+  };
+}
+
+/**
+ * Export every mesh in the scene, fixing materials that lack shader nodes
+ * Reports a glb_export result; failed exports raise after reporting.
+ */
+function sceneExportCode(exportPath) {
+  return `
+import bpy
+import os
+${PYTHON_RESULT_HELPER}
+print("\\n" + "=" * 60)
+print("EXPORTING CURRENT SCENE AS GLB")
+print("=" * 60)
+
+# Enable GLTF exporter addon if not already enabled
+if 'io_scene_gltf2' not in bpy.context.preferences.addons:
+    try:
+        bpy.ops.preferences.addon_enable(module='io_scene_gltf2')
+        print("✓ GLTF exporter addon enabled")
+    except Exception as e:
+        print(f"⚠ Warning: Could not enable GLTF exporter: {str(e)}")
+
+export_path = r"${exportPath}"
+print(f"\\nExport path: {export_path}")
+
+# Make sure export directory exists
+os.makedirs(os.path.dirname(export_path), exist_ok=True)
+
+# Convert all materials to use shader nodes for proper export
+print("\\nVerifying material shader nodes...")
+materials_fixed = 0
+for mat in bpy.data.materials:
+    if mat and not mat.use_nodes:
+        print(f"⚠ Converting material '{mat.name}' to use nodes")
+        mat.use_nodes = True
+        nodes = mat.node_tree.nodes
+        bsdf = nodes.get('Principled BSDF')
+        if bsdf:
+            bsdf.inputs['Base Color'].default_value = mat.diffuse_color
+            print(f"  Set Base Color to {mat.diffuse_color[:]}")
+            materials_fixed += 1
+    else:
+        if mat:
+            print(f"✓ Material '{mat.name}' already uses shader nodes")
+
+if materials_fixed > 0:
+    print(f"✓ Fixed {materials_fixed} material(s)")
+
+# Get all mesh objects
+mesh_objects = [obj for obj in bpy.data.objects if obj.type == 'MESH']
+
+if not mesh_objects:
+    print("\\n✗ Warning: No mesh objects to export")
+    emit_result("glb_export", success=False, errors=["No mesh objects to export"], path=export_path)
+else:
+    print(f"\\n✓ Found {len(mesh_objects)} mesh object(s) for export")
+    for obj in mesh_objects:
+        print(f"  - {obj.name}: {len(obj.data.vertices):,} verts, {len(obj.data.materials)} material(s)")
+    
+    # Export all mesh objects as GLB
+    print("\\nExporting GLB...")
+    try:
+        bpy.ops.export_scene.gltf(
+            filepath=export_path,
+            export_format='GLB',
+            use_selection=False,
+            export_apply=True,
+            export_materials='EXPORT',
+            export_texcoords=True,
+            export_normals=True,
+            export_tangents=True,
+            export_yup=True
+        )
+        
+        if os.path.exists(export_path):
+            file_size = os.path.getsize(export_path)
+            print(f"\\n✓ SUCCESS: Exported {len(mesh_objects)} objects")
+            print(f"  - Size: {file_size:,} bytes ({file_size / 1024:.2f} KB)")
+            print("=" * 60)
+            emit_result(
+                "glb_export",
+                counts={"objects": len(mesh_objects), "materialsFixed": materials_fixed},
+                path=export_path,
+                size=file_size
+            )
+        else:
+            print(f"\\n✗ ERROR: Export completed but file not found")
+            raise Exception("Export file not created")
+    except Exception as e:
+        print(f"\\n✗ ERROR during export: {str(e)}")
+        emit_result("glb_export", success=False, errors=[str(e)], path=export_path)
+        import traceback
+        traceback.print_exc()
+        raise
+
+print("=" * 60)
+`;
+}
+
+/**
+ * Export an imported SVG's meshes
+ * Reports a glb_export result; failed exports raise after reporting, so
+ * withSnapshot() puts the scene back.
+ */
+function svgExportCode(exportPath) {
+  return `
+import bpy
+import os
+${PYTHON_RESULT_HELPER}
+print("\\n" + "=" * 60)
+print("EXPORTING OPTIMIZED MODEL")
+print("=" * 60)
+
+export_path = r"${exportPath}"
+os.makedirs(os.path.dirname(export_path), exist_ok=True)
+
+# Ensure GLTF exporter
+if 'io_scene_gltf2' not in bpy.context.preferences.addons:
+    try:
+        bpy.ops.preferences.addon_enable(module='io_scene_gltf2')
+    except: pass
+
+# Select mesh objects
+bpy.ops.object.select_all(action='DESELECT')
+mesh_objects = [obj for obj in bpy.data.objects if obj.type == 'MESH']
+
+for obj in mesh_objects:
+    obj.select_set(True)
+
+if mesh_objects:
+    try:
+        bpy.ops.export_scene.gltf(
+            filepath=export_path,
+            export_format='GLB',
+            use_selection=True,
+            export_apply=True,
+            export_materials='EXPORT',
+            export_texcoords=True,
+            export_normals=True,
+            export_tangents=True,
+            export_yup=True
+        )
+        
+        if os.path.exists(export_path):
+            file_size = os.path.getsize(export_path)
+            print(f"✓ Exported: {file_size:,} bytes ({file_size/1024:.2f} KB)")
+            emit_result("glb_export", counts={"objects": len(mesh_objects)}, path=export_path, size=file_size)
+        else:
+            print("✗ Export file not created")
+            raise Exception("Export file not created")
+    except Exception as e:
+        print(f"✗ Export error: {e}")
+        emit_result("glb_export", success=False, errors=[str(e)], path=export_path)
+        import traceback
+        traceback.print_exc()
+        raise
+else:
+    print("✗ No mesh objects to export")
+    emit_result("glb_export", success=False, errors=["No mesh objects to export"], path=export_path)
+    raise Exception("No mesh objects to export")
+
+print("=" * 60)
+`;
+}
+
+/**
+ * Export the meshes produced by AI-generated code
+ * Reports a glb_export result; failed exports raise after reporting, so
+ * withSnapshot() puts the scene back.
+ */
+function generatedModelExportCode(exportPath) {
+  return `
+import bpy
+import os
+${PYTHON_RESULT_HELPER}
+print("\\n" + "=" * 60)
+print("AUTO-EXPORT AFTER AI GENERATION")
+print("=" * 60)
+
+if 'io_scene_gltf2' not in bpy.context.preferences.addons:
+    try:
+        bpy.ops.preferences.addon_enable(module='io_scene_gltf2')
+    except: pass
+
+export_path = r"${exportPath}"
+os.makedirs(os.path.dirname(export_path), exist_ok=True)
+
+# Verify materials have shader nodes
+for mat in bpy.data.materials:
+    if mat and not mat.use_nodes:
+        mat.use_nodes = True
+        bsdf = mat.node_tree.nodes.get('Principled BSDF')
+        if bsdf:
+            bsdf.inputs['Base Color'].default_value = mat.diffuse_color
+
+# Select mesh objects
+bpy.ops.object.select_all(action='DESELECT')
+mesh_objects = [obj for obj in bpy.data.objects if obj.type == 'MESH']
+
+for obj in mesh_objects:
+    obj.select_set(True)
+
+if mesh_objects:
+    try:
+        bpy.ops.export_scene.gltf(
+            filepath=export_path,
+            export_format='GLB',
+            use_selection=True,
+            export_apply=True,
+            export_materials='EXPORT',
+            export_texcoords=True,
+            export_normals=True,
+            export_tangents=True,
+            export_yup=True
+        )
+        if os.path.exists(export_path):
+            file_size = os.path.getsize(export_path)
+            print(f"✓ Exported: {file_size:,} bytes")
+            emit_result("glb_export", counts={"objects": len(mesh_objects)}, path=export_path, size=file_size)
+        else:
+            raise Exception("Export file not created")
+    except Exception as e:
+        print(f"✗ Export error: {e}")
+        emit_result("glb_export", success=False, errors=[str(e)], path=export_path)
+        raise
+else:
+    print("✗ No mesh objects to export")
+    emit_result("glb_export", success=False, errors=["No mesh objects to export"], path=export_path)
+    raise Exception("No mesh objects to export")
+
+print("=" * 60)
+`;
+}
+
+/**
+ * Chat messages asking for code: system prompt (with the scene summary),
+ * earlier conversation turns, then the prompt
+ */
+function codeMessages(promptProcessing, sceneText, history = []) {
+  const systemPrompt = sceneText
+    ? `${promptProcessing.systemPrompt}\n\n${promptSafety.buildSceneContextPrompt(sceneText)}`
+    : promptProcessing.systemPrompt;
+
+  return [
+    { role: 'system', content: systemPrompt },
+    ...history,
+    { role: 'user', content: promptProcessing.expandedPrompt }
+  ];
+}
+
+function sceneContextEnabled(context) {
+  if (context.sceneContext !== undefined) {
+    return context.sceneContext !== false;
+  }
+  return process.env.PROMPT_SCENE_CONTEXT !== 'false';
+}
+
+/**
+ * Summarize the scene on a worker for the LLM prompt, within PROMPT_SCENE_BUDGET characters
+ * Only reads the scene, so it shares the worker. Resolves with
+ * { text, workerId }, or null when the scene could not be read; a missing
+ * summary never fails the prompt.
+ */
+async function readSceneContext(context, options) {
+  const { logger, signal } = context;
+  logger.step('Reading the current scene', 0.02);
+
+  try {
+    return await options.workerPool.shared(async (client, ticket, worker) => {
+      const info = await client.getSceneInfo({ signal });
+      const script = await client.executeBlenderCode(sceneContext.generateSceneSummaryCode(), { signal });
+      const summary = sceneContext.parseSceneSummary(info, script);
+
+      if (!summary) {
+        logger.warning('Scene summary unavailable; generating without scene context');
+        return null;
+      }
+
+      const budget = parseInt(process.env.PROMPT_SCENE_BUDGET) || sceneContext.DEFAULT_BUDGET;
+      const formatted = sceneContext.formatSceneSummary(summary, budget);
+      logger.info('Scene context added', {
+        objects: summary.objectCount,
+        detailed: formatted.detailed,
+        named: formatted.named,
+        omitted: formatted.omitted,
+        chars: formatted.text.length
+      });
+
+      return { text: formatted.text, workerId: worker.id };
+    }, options.queueOptions);
+  } catch (error) {
+    if (signal && signal.aborted) {
+      throw error;
+    }
+    logger.warning('Could not read the scene; generating without scene context', { error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Ask the LLM for a Blender script and strip any markdown fences
+ */
+async function requestCode(messages, { logger, signal, llmProvider }, temperature = 0.3) {
+  const completion = await llm.complete({
+    messages,
+    temperature,
+    maxTokens: 800,
+    topP: 0.95
+  }, { provider: llmProvider, signal });
+
+  // Remove markdown code blocks if present
+  const code = completion.text.replace(/```python\n/g, '').replace(/```\n/g, '').replace(/```/g, '');
+
+  logger.info('AI code generated', {
+    codeLength: code.length,
+    provider: completion.provider,
+    model: completion.model,
+    usage: completion.usage
+  });
+
+  if (completion.truncated) {
+    logger.warning('LLM output hit the token limit; the code may be incomplete', { finishReason: completion.finishReason });
+  }
+
+  return code;
+}
+
+/**
+ * Validate the prompt and gather what the LLM is sent with it
+ * Resolves with { promptProcessing, sceneText, history }; throws PipelineError
+ * (400) when the prompt is rejected. Options as for generateCode().
+ */
+async function preparePrompt(prompt, context, options = {}) {
+  const { logger } = context;
+  logger.step('Processing prompt', 0, { prompt });
+
+  // Step 1: Process and validate prompt
+  const promptProcessing = promptSafety.processPrompt(prompt, policyOf(context));
+
+  if (!promptProcessing.valid) {
+    logger.error('Prompt validation failed', new Error(promptProcessing.error));
+    throw new PipelineError(promptProcessing.error, 400, { stage: promptProcessing.stage });
+  }
+
+  logger.info('Prompt validated', {
+    original: promptProcessing.originalPrompt,
+    cleaned: promptProcessing.cleanedPrompt,
+    expanded: promptProcessing.expandedPrompt
+  });
+
+  const sceneText = options.readScene ? await options.readScene() : null;
+
+  return { promptProcessing, sceneText, history: options.history || [] };
+}
+
+/**
+ * Prompt to safe code: validate the prompt, ask the LLM for code and check it
+ * Does not touch Blender, so callers run it before taking a worker.
+ * Options:
+ *   readScene - async function resolving with scene summary text (or null) for
+ *               the LLM, called once the prompt is valid
+ *   history   - earlier user/assistant messages of a conversation (optional)
+ * Throws PipelineError (400) when the prompt or the generated code is rejected.
+ */
+async function generateCode(prompt, context, options = {}) {
+  const { logger } = context;
+  const prepared = await preparePrompt(prompt, context, options);
+
+  // Step 2: Ask the LLM for code with the enhanced system prompt
+  logger.step('Generating code', 0.05);
+  const generatedCode = await requestCode(codeMessages(prepared.promptProcessing, prepared.sceneText, prepared.history), context);
+
+  // Step 3: Validate generated code for safety
+  const codeValidation = promptSafety.validateGeneratedCode(generatedCode, policyOf(context));
+
+  if (!codeValidation.safe) {
+    logger.error('Generated code validation failed', new Error('Unsafe operations detected'));
+    throw new PipelineError('Generated code contains unsafe operations', 400, {
+      policy: policyOf(context).name,
+      issues: codeValidation.issues,
+      generatedCode
+    });
+  }
+
+  if (codeValidation.warningCount > 0) {
+    logger.warning('Code has warnings', { warnings: codeValidation.issues });
+  }
+
+  // Step 4: Wrap in safe execution context
+  const safeCode = blenderSafety.wrapInSafeContext(generatedCode, 'AI Generated Code', wrapOptions(context));
+
+  return { ...prepared, generatedCode, codeValidation, safeCode };
+}
+
+function maxCandidates() {
+  return parseInt(process.env.PROMPT_MAX_CANDIDATES) || DEFAULT_MAX_CANDIDATES;
+}
+
+/**
+ * Like generateCode(), but ask the LLM for count independent scripts
+ * Resolves with { promptProcessing, sceneText, history, candidates }. Every
+ * candidate has its number and generatedCode; those that can run also have
+ * codeValidation and safeCode, the others an outcome of 'failed' (the LLM
+ * request failed) or 'rejected' (unsafe code).
+ * Throws when no candidate can run: the LLM error when every request failed,
+ * otherwise PipelineError (400).
+ */
+async function generateCandidates(prompt, count, context, options = {}) {
+  const { logger, signal } = context;
+  const prepared = await preparePrompt(prompt, context, options);
+
+  logger.step(`Generating ${count} code candidates`, 0.05);
+  const messages = codeMessages(prepared.promptProcessing, prepared.sceneText, prepared.history);
+  const completions = await Promise.allSettled(
+    Array.from({ length: count }, () => requestCode(messages, context, CANDIDATE_TEMPERATURE))
+  );
+
+  const llmErrors = completions.filter(completion => completion.status === 'rejected').map(completion => completion.reason);
+  if (signal && signal.aborted && llmErrors.length > 0) {
+    throw llmErrors[0];
+  }
+
+  const candidates = completions.map((completion, index) => {
+    const candidate = index + 1;
+
+    if (completion.status === 'rejected') {
+      logger.warning(`Candidate ${candidate} could not be generated`, { error: completion.reason.message });
+      return { candidate, generatedCode: null, outcome: 'failed', error: completion.reason.message };
+    }
+
+    const generatedCode = completion.value;
+    const codeValidation = promptSafety.validateGeneratedCode(generatedCode, policyOf(context));
+    if (!codeValidation.safe) {
+      logger.warning(`Candidate ${candidate} contains unsafe operations`, { issues: codeValidation.issues });
+      return { candidate, generatedCode, outcome: 'rejected', error: 'Generated code contains unsafe operations', issues: codeValidation.issues };
+    }
+
+    return {
+      candidate,
+      generatedCode,
+      codeValidation,
+      safeCode: blenderSafety.wrapInSafeContext(generatedCode, `AI Generated Code (candidate ${candidate})`, wrapOptions(context))
+    };
+  });
+
+  if (!candidates.some(candidate => candidate.safeCode)) {
+    if (llmErrors.length === count) {
+      throw llmErrors[0];
+    }
+    logger.error('Generated code validation failed', new Error('Unsafe operations detected in every candidate'));
+    throw new PipelineError('Generated code contains unsafe operations', 400, {
+      candidates: candidates.map(candidateSummary)
+    });
+  }
+
+  return { ...prepared, candidates };
+}
+
+/**
+ * Safety-check code supplied directly by a caller and wrap it for execution
+ * Throws PipelineError (400) listing the issues when unsafe operations are found.
+ */
+function prepareDirectCode(code, label, context) {
+  const { logger } = context;
+  const policy = policyOf(context);
+  const validation = promptSafety.validateGeneratedCode(code, policy);
+
+  if (!validation.safe) {
+    logger.error('Code validation failed', new Error('Unsafe code detected'));
+    throw new PipelineError('Code validation failed: Unsafe operations detected', 400, { policy: policy.name, issues: validation.issues });
+  }
+
+  return {
+    validation,
+    safeCode: blenderSafety.wrapInSafeContext(code, label, { limits: { maxObjects: policy.maxObjects } })
+  };
+}
+
+/**
+ * Throw PipelineError (422) when code wrapped by prepareDirectCode was stopped
+ * by an execution limit; returns the parsed outcome otherwise
+ */
+function checkExecutionLimits(result, context) {
+  const outcome = blenderSafety.parseSafeExecutionResult(result);
+
+  if (outcome.limitExceeded) {
+    context.logger.warning('Code stopped by an execution limit', outcome.limitExceeded);
+    throw new PipelineError(`Code stopped: ${outcome.error}`, 422, { limitExceeded: outcome.limitExceeded });
+  }
+
+  return outcome;
+}
+
+function repairAttempts() {
+  const attempts = parseInt(process.env.PROMPT_REPAIR_ATTEMPTS);
+  return Number.isNaN(attempts) ? DEFAULT_REPAIR_ATTEMPTS : Math.max(attempts, 0);
+}
+
+/**
+ * Run generated code; when Blender reports a failure, send the code and the
+ * traceback back to the LLM and run its fix, up to PROMPT_REPAIR_ATTEMPTS times
+ * Failed attempts roll back the objects they created before the next one runs.
+ * Code stopped by an execution limit is not repaired.
+ * Resolves with { result, code, attempts }; throws PipelineError (422) when
+ * every attempt failed or an attempt was stopped.
+ */
+async function executeWithRepair(client, generated, context) {
+  const { logger } = context;
+  const maxRepairs = repairAttempts();
+  const attempts = [];
+  let code = generated.generatedCode;
+  let safeCode = generated.safeCode;
+  let lastFailure = null;
+  let failedCode = null;
+
+  for (let attempt = 1; attempt <= maxRepairs + 1; attempt++) {
+    if (lastFailure) {
+      logger.step(`Repairing generated code (repair ${attempt - 1} of ${maxRepairs})`, 0.4, { error: lastFailure.error });
+      const repairedCode = await requestCode([
+        ...codeMessages(generated.promptProcessing, generated.sceneText, generated.history),
+        { role: 'assistant', content: failedCode },
+        { role: 'user', content: promptSafety.buildRepairPrompt(lastFailure) }
+      ], context);
+
+      const validation = promptSafety.validateGeneratedCode(repairedCode, policyOf(context));
+      if (!validation.safe) {
+        logger.warning('Repaired code contains unsafe operations', { attempt });
+        attempts.push({
+          attempt,
+          code: repairedCode,
+          outcome: 'rejected',
+          error: 'Repaired code contains unsafe operations',
+          issues: validation.issues
+        });
+        continue;
+      }
+
+      code = repairedCode;
+      safeCode = blenderSafety.wrapInSafeContext(code, 'AI Generated Code (repaired)', wrapOptions(context));
+    }
+
+    logger.step('Executing AI-generated code in Blender', 0.4, { attempt });
+    const result = await runCode(client, safeCode, context);
+    const outcome = blenderSafety.parseSafeExecutionResult(result);
+
+    if (outcome.success) {
+      attempts.push({ attempt, code, outcome: 'succeeded' });
+      return { result, code, attempts };
+    }
+
+    if (outcome.limitExceeded) {
+      logger.error('Generated code stopped by an execution limit', new Error(outcome.error));
+      attempts.push({ attempt, code, outcome: 'stopped', error: outcome.error, limitExceeded: outcome.limitExceeded });
+      throw new PipelineError(`Generated code stopped: ${outcome.error}`, 422, { limitExceeded: outcome.limitExceeded, attempts });
+    }
+
+    logger.warning('Generated code failed in Blender', { attempt, error: outcome.error });
+    attempts.push({ attempt, code, outcome: 'failed', error: outcome.error, traceback: outcome.traceback });
+    lastFailure = outcome;
+    failedCode = code;
+  }
+
+  logger.error('Generated code failed after all repair attempts', new Error(lastFailure.error));
+  throw new PipelineError(`Generated code failed in Blender after ${attempts.length} attempt(s)`, 422, { attempts });
+}
+
+/**
+ * Run generated code (repairing it if it fails), improve quality and export the result as GLB
+ * generated is the result of generateCode(). The steps modify the scene, so
+ * the caller must hold the worker exclusively.
+ */
+async function buildAndExport(client, generated, context) {
+  // Step 5: Execute in Blender, repairing failures
+  const { result, code, attempts } = await executeWithRepair(client, generated, context);
+  const finished = await improveAndExport(client, context);
+
+  return {
+    generatedCode: code,
+    attempts,
+    execution: {
+      result,
+      ...finished.execution
+    },
+    export: finished.export
+  };
+}
+
+/**
+ * Quality pipeline, texture baking and GLB export of the built scene
+ * Resolves with { execution: { quality, qualityScore, results }, export };
+ * results lists what each script reported (see utils/scriptResults).
+ * Throws PipelineError (500) when the exported GLB is not valid.
+ */
+async function improveAndExport(client, context) {
+  const { logger, baseUrl } = context;
+
+  // Step 6: Run quality improvements (preserve colors AND custom scales)
+  logger.step('Running quality improvements (preserving colors and scales)', 0.55);
+  const qualityCode = modelQuality.generateQualityPipelinePreserveColorsAndScale();
+  const qualityResult = await runCode(client, qualityCode, context);
+
+  // Step 7: Auto-export as GLB
+  const { filename, exportPath } = newExportPath('model');
+
+  // Step 7a: Bake procedural textures before export
+  logger.step('Baking procedural materials for export', 0.7);
+  const bakeCode = textureBaking.generateTextureBaking();
+  const bakeResult = await runCode(client, bakeCode, context);
+
+  // Step 7b: Export as GLB
+  logger.step('Exporting model', 0.85);
+  const exportResult = await runCode(client, generatedModelExportCode(exportPath), context);
+
+  // Step 8: Validate GLB
+  logger.step('Validating GLB', 0.95);
+  const glbValidation = await modelQuality.validateGLBOutput(exportPath);
+  const results = [qualityResult, bakeResult, exportResult].flatMap(parseResults);
+
+  if (!glbValidation.valid) {
+    logger.error('GLB validation failed', new Error(glbValidation.error));
+    throw new PipelineError('GLB export validation failed', 500, { validation: glbValidation, results });
+  }
+
+  return {
+    execution: {
+      quality: qualityResult,
+      qualityScore: modelQuality.parseQualityScore(qualityResult),
+      results
+    },
+    export: {
+      filename,
+      url: exportUrl(baseUrl, filename),
+      path: exportPath,
+      exists: glbValidation.valid,
+      validation: glbValidation
+    }
+  };
+}
+
+/**
+ * What a response reports about a candidate (without the runnable code or raw results)
+ */
+function candidateSummary(candidate) {
+  return {
+    candidate: candidate.candidate,
+    outcome: candidate.outcome,
+    score: candidate.score === undefined ? null : candidate.score,
+    quality: candidate.quality || null,
+    screenshot: candidate.screenshot || null,
+    generatedCode: candidate.code || candidate.generatedCode,
+    attempts: candidate.attempts,
+    error: candidate.error,
+    issues: candidate.issues
+  };
+}
+
+/**
+ * Viewport screenshot as { mimeType, data }, or null when Blender cannot take one
+ */
+async function captureScreenshot(client, { logger, signal }) {
+  try {
+    const result = await client.getViewportScreenshot(CANDIDATE_SCREENSHOT_SIZE, { signal });
+    const image = result && Array.isArray(result.content) && result.content.find(item => item.type === 'image');
+    return image && image.data ? { mimeType: image.mimeType || 'image/png', data: image.data } : null;
+  } catch (error) {
+    if (signal && signal.aborted) {
+      throw error;
+    }
+    logger.warning('Could not take a candidate screenshot', { error: error.message });
+    return null;
+  }
+}
+
+// Best first: highest quality score, then fewest attempts, then generation order
+function compareCandidates(a, b) {
+  const scoreA = a.score === null ? -1 : a.score;
+  const scoreB = b.score === null ? -1 : b.score;
+  return (scoreB - scoreA) || (a.attempts.length - b.attempts.length) || (a.candidate - b.candidate);
+}
+
+/**
+ * Build every candidate in its own scene, score and screenshot it, keep the
+ * best one in the original scene and export it
+ * generated is the result of generateCandidates(). The caller must hold the
+ * worker exclusively. Throws PipelineError (422) when no candidate ran.
+ */
+async function buildBestCandidate(client, generated, context) {
+  const { logger } = context;
+  const runnable = generated.candidates.filter(candidate => candidate.safeCode);
+  const runId = crypto.randomBytes(3).toString('hex');
+  const scenes = [];
+
+  // Candidate scenes are removed even when the client has gone away
+  const removeScenes = (winner) => runCode(client, candidateScenes.generateResolveCandidateScenes(scenes, winner), { logger });
+
+  try {
+    for (const [index, candidate] of runnable.entries()) {
+      const scene = `Candidate ${candidate.candidate} ${runId}`;
+      logger.step(`Building candidate ${candidate.candidate} of ${generated.candidates.length}`, 0.4 + 0.15 * index / runnable.length, {
+        candidate: candidate.candidate
+      });
+
+      await runCode(client, candidateScenes.generateEnterCandidateScene(scene), context);
+      scenes.push(scene);
+
+      try {
+        const { result, code, attempts } = await executeWithRepair(client, { ...generated, ...candidate }, context);
+        const quality = modelQuality.parseQualityScore(await runCode(client, modelQuality.generateQualityScore(), context));
+        const screenshot = await captureScreenshot(client, context);
+
+        Object.assign(candidate, { outcome: 'succeeded', scene, result, code, attempts, quality, score: quality ? quality.score : null, screenshot });
+        logger.info(`Candidate ${candidate.candidate} scored`, { score: candidate.score, attempts: attempts.length });
+      } catch (error) {
+        if (!(error instanceof PipelineError) || error.statusCode !== 422) {
+          throw error;
+        }
+        Object.assign(candidate, { outcome: 'failed', error: error.message, attempts: error.details.attempts });
+      } finally {
+        // A failed switch back must not replace the candidate's own error
+        await runCode(client, candidateScenes.generateLeaveCandidateScene(), { logger })
+          .catch(cleanupError => logger.warning('Could not leave the candidate scene', { error: cleanupError.message }));
+      }
+    }
+  } catch (error) {
+    await removeScenes(null).catch(cleanupError => logger.warning('Could not remove candidate scenes', { error: cleanupError.message }));
+    throw error;
+  }
+
+  const succeeded = runnable.filter(candidate => candidate.outcome === 'succeeded').sort(compareCandidates);
+
+  if (succeeded.length === 0) {
+    await removeScenes(null);
+    logger.error('No candidate ran in Blender', new Error('Every candidate failed'));
+    throw new PipelineError(`None of the ${generated.candidates.length} candidates ran in Blender`, 422, {
+      candidates: generated.candidates.map(candidateSummary)
+    });
+  }
+
+  const best = succeeded[0];
+  logger.step(`Keeping candidate ${best.candidate}`, 0.55, { candidate: best.candidate, score: best.score });
+  await removeScenes(best.scene);
+
+  const finished = await improveAndExport(client, context);
+
+  return {
+    generatedCode: best.code,
+    attempts: best.attempts,
+    selectedCandidate: best.candidate,
+    candidates: generated.candidates.map(candidateSummary),
+    execution: {
+      result: best.result,
+      ...finished.execution
+    },
+    export: finished.export
+  };
+}
+
+/**
+ * Prompt to GLB: generate code, then build and export it on a worker
+ * Only the Blender steps hold the worker, so the LLM call does not block other users.
+ * The scene is summarized for the LLM first, and the build then runs on the
+ * worker whose scene was described.
+ * Options:
+ *   workerPool   - pool to run the Blender steps on
+ *   queueOptions - options for the worker queue (id, label, signal, workerId)
+ *   onWorker     - called with the worker that runs the Blender steps
+ *   history      - earlier user/assistant messages of a conversation (optional)
+ *   candidates   - scripts to generate and compare, keeping the best by quality
+ *                  score (default 1, at most PROMPT_MAX_CANDIDATES)
+ */
+async function promptToGlb(prompt, context, options) {
+  let queueOptions = options.queueOptions;
+  const candidates = options.candidates || 1;
+
+  if (!Number.isInteger(candidates) || candidates < 1 || candidates > maxCandidates()) {
+    throw new PipelineError(`candidates must be a whole number from 1 to ${maxCandidates()}`, 400);
+  }
+
+  const generateOptions = {
+    readScene: sceneContextEnabled(context)
+      ? async () => {
+        const scene = await readSceneContext(context, options);
+        if (!scene) {
+          return null;
+        }
+        queueOptions = { ...queueOptions, workerId: scene.workerId };
+        return scene.text;
+      }
+      : null,
+    history: options.history
+  };
+  const generated = candidates > 1
+    ? await generateCandidates(prompt, candidates, context, generateOptions)
+    : await generateCode(prompt, context, generateOptions);
+  const { promptProcessing } = generated;
+
+  context.logger.step('Waiting for a Blender worker', 0.3);
+  const built = await options.workerPool.exclusive(async (client, ticket, worker) => {
+    if (options.onWorker) {
+      options.onWorker(worker);
+    }
+    return withSnapshot(client, context, () => candidates > 1
+      ? buildBestCandidate(client, generated, context)
+      : buildAndExport(client, generated, context));
+  }, queueOptions);
+
+  context.logger.success('Prompt execution completed successfully');
+
+  const { codeValidation } = candidates > 1
+    ? generated.candidates.find(candidate => candidate.candidate === built.selectedCandidate)
+    : generated;
+
+  return {
+    prompt: {
+      original: promptProcessing.originalPrompt,
+      cleaned: promptProcessing.cleanedPrompt,
+      expanded: promptProcessing.expandedPrompt,
+      sceneContext: generated.sceneText
+    },
+    codeValidation: {
+      policy: policyOf(context).name,
+      safe: codeValidation.safe,
+      warnings: codeValidation.warningCount,
+      issues: codeValidation.issues.filter(i => i.severity === 'warning')
+    },
+    ...built
+  };
+}
+
+/**
+ * Export the current scene as GLB after running the quality pipeline
+ * Resolves with { filename, url, path, validation, results }, results being
+ * what the quality, baking and export scripts reported.
+ * Throws PipelineError (500) when the exported file fails validation.
+ */
+async function exportScene(client, context) {
+  const { logger, baseUrl } = context;
+  logger.step('Starting GLB export', 0);
+
+  return withSnapshot(client, context, async () => {
+    // Run quality improvements before export
+    const qualityCode = modelQuality.generateQualityPipeline();
+    const qualityResult = await runCode(client, qualityCode, context);
+
+    // Bake procedural textures before export
+    logger.step('Baking procedural materials', 0.4);
+    const bakeCode = textureBaking.generateTextureBaking();
+    const bakeResult = await runCode(client, bakeCode, context);
+
+    logger.step('Exporting GLB', 0.7);
+    const { filename, exportPath } = newExportPath('model');
+    const exportResult = await runCode(client, sceneExportCode(exportPath), context);
+    const results = [qualityResult, bakeResult, exportResult].flatMap(parseResults);
+
+    // Validate GLB output
+    logger.step('Validating GLB', 0.9);
+    const glbValidation = await modelQuality.validateGLBOutput(exportPath);
+
+    if (!glbValidation.valid) {
+      logger.error('GLB validation failed', new Error(glbValidation.error));
+      throw new PipelineError('GLB export validation failed', 500, { validation: glbValidation, results });
+    }
+
+    logger.success('GLB export completed', glbValidation);
+
+    return {
+      filename,
+      url: exportUrl(baseUrl, filename),
+      path: exportPath,
+      validation: glbValidation,
+      results
+    };
+  });
+}
+
+/**
+ * SVG to GLB: validate and simplify an SVG file, import it and export the result
+ * file is { path, originalname, size }; the file is rewritten with the simplified SVG.
+ * Throws PipelineError (400) and removes the file when validation fails.
+ */
+async function svgToGlb(client, file, context) {
+  const { logger, baseUrl } = context;
+  const svgPath = file.path.replace(/\\/g, '/'); // Normalize path for Blender
+
+  // Step 1: Validate SVG
+  logger.step('Validating SVG', 0, { filename: file.originalname });
+  const validation = await svgValidator.validateSVG(svgPath);
+
+  if (!validation.valid) {
+    logger.error('SVG validation failed', new Error(validation.issues.join(', ')));
+
+    // Clean up uploaded file
+    if (fs.existsSync(svgPath)) {
+      fs.unlinkSync(svgPath);
+    }
+
+    throw new PipelineError('SVG validation failed', 400, { issues: validation.issues });
+  }
+
+  // Step 2: Calculate adaptive settings
+  const settings = svgValidator.calculateAdaptiveSettings(validation);
+  logger.info('Calculated adaptive settings', settings);
+
+  // Step 3: Preprocess and simplify SVG
+  logger.step('Preprocessing SVG', 0.2, {
+    hasWarnings: validation.warnings.length > 0,
+    svgType: validation.svgType
+  });
+
+  let processed = fs.readFileSync(svgPath, 'utf8');
+
+  // Apply technical preprocessing if needed
+  if (validation.svgType && validation.svgType.isTechnical) {
+    logger.info('Applying technical drawing preprocessing');
+    processed = svgValidator.preprocessTechnicalSVG(processed);
+  }
+
+  // Always simplify to remove unsupported elements
+  processed = svgValidator.simplifySVG(processed);
+  fs.writeFileSync(svgPath, processed, 'utf8');
+  logger.info('SVG preprocessed and simplified');
+
+  // Step 4: Generate optimized import code
+  const importCode = svgValidator.generateImportCode(svgPath, settings);
+
+  const { filename, exportPath } = newExportPath('svg-import');
+
+  const exportResult = await withSnapshot(client, context, async () => {
+    logger.step('Importing SVG into Blender', 0.4);
+    await runCode(client, importCode, context);
+
+    // Skip validation and quality improvements - go straight to export
+    logger.info('Import complete, proceeding to export...');
+
+    // Step 5: Auto-export as GLB
+    logger.step('Exporting GLB', 0.7);
+    return runCode(client, svgExportCode(exportPath), context);
+  });
+
+  // Just check if file exists - no strict validation
+  logger.step('Export complete, checking file...', 0.9);
+  logger.success('SVG import pipeline completed');
+
+  const exists = fs.existsSync(exportPath);
+
+  return {
+    file: {
+      name: file.originalname,
+      size: file.size,
+      path: svgPath
+    },
+    validation: {
+      stats: validation.stats,
+      warnings: validation.warnings
+    },
+    settings,
+    export: {
+      filename,
+      url: exportUrl(baseUrl, filename),
+      path: exportPath,
+      exists,
+      size: exists ? fs.statSync(exportPath).size : 0,
+      result: findResult(exportResult, 'glb_export')
+    }
+  };
+}
+
+/**
+ * Embed snippets (iframe, HTML page, link, markdown) for an exported model
+ */
+function embedCode(modelId, options = {}, baseUrl) {
+  const { width = '800', height = '600', autoRotate = 'false', controls = 'true', bg = '#1a1a1a' } = options;
+
+  const embedUrl = `${baseUrl}/embed/viewer?modelId=${modelId}&autoRotate=${autoRotate}&controls=${controls}&bg=${encodeURIComponent(bg)}`;
+
+  const iframeCode = `<iframe 
+  src="${embedUrl}" 
+  width="${width}" 
+  height="${height}" 
+  frameborder="0" 
+  allowfullscreen
+></iframe>`;
+
+  const htmlCode = `<!DOCTYPE html>
+<html>
+<head>
+    <title>3D Model Viewer</title>
+</head>
+<body>
+    ${iframeCode}
+</body>
+</html>`;
+
+  const directLinkCode = `<a href="${embedUrl}" target="_blank">View 3D Model</a>`;
+
+  return {
+    modelId,
+    embedUrl,
+    codes: {
+      iframe: iframeCode,
+      html: htmlCode,
+      directLink: directLinkCode,
+      markdown: `[View 3D Model](${embedUrl})`
+    },
+    customization: {
+      width: 'Iframe width (default: 800px)',
+      height: 'Iframe height (default: 600px)',
+      autoRotate: 'Auto-rotate model (true/false, default: false)',
+      controls: 'Show controls help (true/false, default: true)',
+      bg: 'Background color (hex, default: #1a1a1a)'
+    }
+  };
+}
+
+module.exports = {
+  EXPORTS_DIR,
+  generateCode,
+  prepareDirectCode,
+  checkExecutionLimits,
+  takeSnapshot,
+  restoreSnapshot,
+  buildAndExport,
+  promptToGlb,
+  exportScene,
+  svgToGlb,
+  embedCode
+};
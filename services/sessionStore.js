@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const pipelines = require('./pipelines');
+const { PipelineError } = require('../utils/errors');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_HISTORY_TURNS = 6;
+const MAX_TITLE_LENGTH = 80;
+const SAVE_ATTEMPTS = 3;
+const SAVE_RETRY_DELAY = 500;
+
+/**
+ * Session Store - Multi-turn modeling conversations
+ * Each session keeps its turns (prompt, generated code, export) in MongoDB.
+ * A new message is sent to the LLM together with the earlier completed
+ * turns, so follow-ups like "now add legs" build on the previous code, and
+ * every turn runs on the same worker so it builds on the same scene.
+ * Sessions expire after the retention period without new turns.
+ */
+class SessionStore {
+  /**
+   * Options:
+   *   workerPool    - BlenderWorkerPool the turns run on
+   *   retentionDays - days an idle session is kept (defaults to SESSION_RETENTION_DAYS or 30)
+   *   historyTurns  - earlier turns sent to the LLM with a message (defaults to SESSION_HISTORY_TURNS or 6)
+   */
+  constructor(options) {
+    this.workerPool = options.workerPool;
+    this.retentionDays = parseInt(options.retentionDays || process.env.SESSION_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS;
+    const historyTurns = parseInt(options.historyTurns || process.env.SESSION_HISTORY_TURNS);
+    this.historyTurns = Number.isNaN(historyTurns) ? DEFAULT_HISTORY_TURNS : Math.max(historyTurns, 0);
+  }
+
+  expiryDate() {
+    return new Date(Date.now() + this.retentionDays * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Start an empty session
+   * Options: title, provider - default LLM provider for its turns
+   */
+  async create(userId = null, { title, provider } = {}) {
+    return Session.create({
+      sessionId: crypto.randomUUID(),
+      userId,
+      title: title || null,
+      provider: provider || null,
+      expiresAt: this.expiryDate()
+    });
+  }
+
+  /**
+   * A session by id, or null
+   */
+  async get(sessionId) {
+    return Session.findOne({ sessionId });
+  }
+
+  /**
+   * A user's sessions, most recently used first (generated code omitted)
+   */
+  async listForUser(userId, { limit = 20 } = {}) {
+    return Session.find({ userId })
+      .sort({ updatedAt: -1 })
+      .limit(Math.min(Math.max(parseInt(limit) || 20, 1), 100))
+      .select('-turns.generatedCode -turns.expandedPrompt');
+  }
+
+  /**
+   * Chat messages for the session's last completed turns
+   * Failed turns are left out: their objects were rolled back, so the scene
+   * does not contain them.
+   */
+  history(session) {
+    if (this.historyTurns === 0) {
+      return [];
+    }
+
+    return session.turns
+      .filter(turn => turn.status === 'completed')
+      .slice(-this.historyTurns)
+      .flatMap(turn => [
+        { role: 'user', content: turn.expandedPrompt || turn.prompt },
+        { role: 'assistant', content: turn.generatedCode }
+      ]);
+  }
+
+  /**
+   * Add a turn: run the prompt with the session's history and record the outcome
+   * context is the pipeline context ({ logger, signal, baseUrl, llmProvider, sceneContext }).
+   * Options: queueOptions, onWorker - as for pipelines.promptToGlb
+   * Resolves with { turn, output }. Throws PipelineError (409) while another
+   * turn of the session is running; pipeline errors are recorded on the turn
+   * and rethrown with the turn number in their details. The outcome is saved
+   * with retries; if it still cannot be saved, that error is thrown instead.
+   */
+  async addTurn(session, prompt, context, options = {}) {
+    const number = session.turns.length + 1;
+    const provider = context.llmProvider || session.provider || null;
+
+    // Only one turn at a time, and only if no turn was added since session was read
+    const claimed = await Session.findOneAndUpdate(
+      { sessionId: session.sessionId, turns: { $size: session.turns.length }, 'turns.status': { $ne: 'running' } },
+      {
+        $push: { turns: { turn: number, prompt, provider, executionId: context.logger.id } },
+        $set: {
+          title: session.title || prompt.slice(0, MAX_TITLE_LENGTH),
+          updatedAt: new Date(),
+          expiresAt: this.expiryDate()
+        }
+      },
+      { new: true }
+    );
+
+    if (!claimed) {
+      throw new PipelineError('The session changed or already has a turn in progress; wait for it to finish and retry', 409, {
+        sessionId: session.sessionId
+      });
+    }
+
+    // Stay on the session's worker unless it has been removed from the pool
+    const workerId = session.workerId && this.workerPool.getWorker(session.workerId)
+      ? session.workerId
+      : (options.queueOptions || {}).workerId;
+    let usedWorker = null;
+
+    let update;
+    let output;
+    let failure;
+    try {
+      output = await pipelines.promptToGlb(prompt, { ...context, llmProvider: provider || undefined }, {
+        workerPool: this.workerPool,
+        queueOptions: { ...options.queueOptions, workerId },
+        history: this.history(session),
+        onWorker: worker => {
+          usedWorker = worker;
+          if (options.onWorker) {
+            options.onWorker(worker);
+          }
+        }
+      });
+
+      update = {
+        'turns.$.status': 'completed',
+        'turns.$.expandedPrompt': output.prompt.expanded,
+        'turns.$.generatedCode': output.generatedCode,
+        'turns.$.attempts': output.attempts.length,
+        'turns.$.export': { filename: output.export.filename, url: output.export.url }
+      };
+    } catch (error) {
+      failure = error;
+      update = {
+        'turns.$.status': 'failed',
+        'turns.$.error': { message: error.message, statusCode: error.statusCode || 500 }
+      };
+    }
+
+    const now = new Date();
+    let saved;
+    try {
+      saved = await this.saveTurn(session.sessionId, number, {
+        ...update,
+        'turns.$.finishedAt': now,
+        ...(usedWorker ? { workerId: usedWorker.id } : {}),
+        updatedAt: now,
+        expiresAt: this.expiryDate()
+      }, context.logger);
+    } catch (error) {
+      context.logger.error('Could not save the turn', error);
+      failure = failure || error;
+    }
+
+    if (failure) {
+      failure.details = { ...failure.details, sessionId: session.sessionId, turn: number };
+      throw failure;
+    }
+
+    return { turn: saved.turns.find(turn => turn.turn === number), output };
+  }
+
+  /**
+   * Set fields of a turn, retrying writes that fail
+   * A turn left running would keep the session from taking new messages
+   * until the server restarts.
+   */
+  async saveTurn(sessionId, number, fields, logger) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await Session.findOneAndUpdate({ sessionId, 'turns.turn': number }, { $set: fields }, { new: true });
+      } catch (error) {
+        if (attempt >= SAVE_ATTEMPTS) {
+          throw error;
+        }
+        logger.warning('Could not save the turn; retrying', { attempt, error: error.message });
+        await new Promise(resolve => setTimeout(resolve, SAVE_RETRY_DELAY * attempt));
+      }
+    }
+  }
+
+  /**
+   * Fail turns that were running when the server stopped
+   */
+  async recover() {
+    const result = await Session.updateMany(
+      { 'turns.status': 'running' },
+      {
+        $set: {
+          'turns.$[turn].status': 'failed',
+          'turns.$[turn].error': { message: 'Interrupted by server restart', statusCode: 500 },
+          'turns.$[turn].finishedAt': new Date()
+        }
+      },
+      { arrayFilters: [{ 'turn.status': 'running' }] }
+    );
+
+    if (result.modifiedCount > 0) {
+      console.log(`✓ Sessions recovered: ${result.modifiedCount} interrupted turn(s) marked failed`);
+    }
+  }
+}
+
+module.exports = SessionStore;
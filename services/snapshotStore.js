@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const sceneSnapshot = require('../utils/sceneSnapshot');
+
+const DEFAULT_LIMIT = 20;
+
+/**
+ * Snapshot Store - Scene snapshots taken for manual undo
+ * A snapshot belongs to the worker whose scene it recorded and can only be
+ * restored there. A snapshot taken by a signed-in user is only visible to that
+ * user. Snapshots are kept in memory; the oldest are dropped once more than
+ * SNAPSHOT_LIMIT are stored.
+ */
+class SnapshotStore {
+  /**
+   * Options:
+   *   limit - snapshots kept (defaults to SNAPSHOT_LIMIT or 20)
+   */
+  constructor(options = {}) {
+    this.limit = options.limit || parseInt(process.env.SNAPSHOT_LIMIT) || DEFAULT_LIMIT;
+    this.snapshots = new Map();
+  }
+
+  /**
+   * Store a scene state from sceneSnapshot.parseSnapshot()
+   * Returns the stored entry.
+   */
+  save(workerId, state, label = null, userId = null) {
+    const entry = {
+      id: crypto.randomUUID(),
+      workerId,
+      userId: userId ? String(userId) : null,
+      label,
+      createdAt: new Date(),
+      state
+    };
+
+    this.snapshots.set(entry.id, entry);
+    if (this.snapshots.size > this.limit) {
+      this.snapshots.delete(this.snapshots.keys().next().value);
+    }
+    return entry;
+  }
+
+  /**
+   * The snapshot stored under id, or null
+   * Another user's snapshot is reported as missing.
+   */
+  get(id, userId = null) {
+    const entry = this.snapshots.get(id);
+    if (!entry || (entry.userId && entry.userId !== String(userId))) {
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * Public description of a snapshot (for API responses)
+   */
+  describe(entry) {
+    return {
+      id: entry.id,
+      workerId: entry.workerId,
+      label: entry.label,
+      createdAt: entry.createdAt,
+      ...sceneSnapshot.summarizeSnapshot(entry.state)
+    };
+  }
+}
+
+module.exports = SnapshotStore;
@@ -0,0 +1,276 @@
+const net = require('net');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+const { BLENDER_TOOLS } = require('./blenderTools');
+
+/**
+ * Blender Socket Transport - Talks directly to the Blender MCP addon socket
+ * The addon speaks plain JSON commands ({ type, params }) over TCP, so this
+ * transport translates MCP JSON-RPC requests into addon commands and wraps the
+ * replies back into MCP responses. No Python/uv bridge process is needed.
+ *
+ * Events:
+ *   message - JSON-RPC response synthesized from the addon reply
+ *   close   - { code, error } when the socket closes
+ */
+
+const PROTOCOL_VERSION = '2024-11-05';
+
+/**
+ * Map an MCP tool call onto an addon command
+ */
+function toAddonCommand(name, args = {}) {
+  switch (name) {
+    case 'get_object_info':
+      return { type: 'get_object_info', params: { name: args.object_name } };
+    case 'execute_blender_code':
+      return { type: 'execute_code', params: { code: args.code } };
+    case 'search_sketchfab_models':
+      return {
+        type: 'search_sketchfab_models',
+        params: {
+          query: args.query,
+          categories: args.categories || null,
+          count: args.count || 20,
+          downloadable: args.downloadable !== false
+        }
+      };
+    case 'generate_hyper3d_model_via_text':
+      return {
+        type: 'create_rodin_job',
+        params: {
+          text_prompt: args.text_prompt,
+          images: null,
+          bbox_condition: args.bbox_condition || null
+        }
+      };
+    default:
+      return { type: name, params: args };
+  }
+}
+
+/**
+ * Wrap addon output in an MCP tool result
+ */
+function toToolResult(name, result) {
+  if (name === 'execute_blender_code') {
+    const output = result && typeof result === 'object' ? result.result : result;
+    return { content: [{ type: 'text', text: `Code executed successfully: ${output || ''}` }] };
+  }
+
+  const text = typeof result === 'string' ? result : JSON.stringify(result, null, 2);
+  return { content: [{ type: 'text', text }] };
+}
+
+class BlenderSocketTransport extends EventEmitter {
+  /**
+   * Options:
+   *   host, port - Blender addon address (defaults to BLENDER_HOST/BLENDER_PORT)
+   */
+  constructor(options = {}) {
+    super();
+    this.name = 'socket';
+    this.host = options.host || process.env.BLENDER_HOST || 'localhost';
+    this.port = parseInt(options.port || process.env.BLENDER_PORT || '9876');
+    this.socket = null;
+    this.buffer = '';
+    this.queue = [];
+    this.current = null;
+  }
+
+  get isOpen() {
+    return Boolean(this.socket && !this.socket.destroyed);
+  }
+
+  /**
+   * Open the TCP connection to the addon
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      console.log(`Connecting to Blender addon socket at ${this.host}:${this.port}...`);
+
+      let connected = false;
+      this.buffer = '';
+      this.socket = net.createConnection({ host: this.host, port: this.port });
+      this.socket.setEncoding('utf8');
+
+      this.socket.on('connect', () => {
+        connected = true;
+        resolve();
+      });
+
+      this.socket.on('data', (data) => {
+        this.handleData(data);
+      });
+
+      this.socket.on('error', (err) => {
+        console.error('Blender socket error:', err.message);
+        if (!connected) {
+          reject(new Error(`Cannot reach Blender addon at ${this.host}:${this.port}: ${err.message}`));
+        }
+      });
+
+      this.socket.on('close', () => {
+        this.socket = null;
+        const error = new Error(`Blender addon socket ${this.host}:${this.port} closed`);
+
+        // The client fails whatever was still waiting when it sees the close
+        this.current = null;
+        this.queue = [];
+
+        this.emit('close', { code: null, error });
+      });
+    });
+  }
+
+  /**
+   * Accumulate addon output until it forms a complete JSON document
+   */
+  handleData(data) {
+    this.buffer += data;
+
+    let reply;
+    try {
+      reply = JSON.parse(this.buffer);
+    } catch (error) {
+      return; // Incomplete response, wait for more data
+    }
+
+    this.buffer = '';
+    const entry = this.current;
+    this.current = null;
+
+    if (entry) {
+      entry.onReply(reply);
+    }
+    this.sendNext();
+  }
+
+  /**
+   * Handle an outgoing JSON-RPC message
+   */
+  send(message) {
+    if (!this.isOpen) {
+      throw new Error('Blender addon socket not connected');
+    }
+
+    // Notifications need no reply
+    if (message.id === undefined) {
+      return;
+    }
+
+    switch (message.method) {
+      case 'initialize':
+        this.respond(message, {
+          protocolVersion: PROTOCOL_VERSION,
+          capabilities: { tools: {} },
+          serverInfo: { name: 'blender-addon-socket', version: '1.0.0' }
+        });
+        return;
+
+      case 'tools/list':
+        this.respond(message, { tools: BLENDER_TOOLS });
+        return;
+
+      case 'tools/call':
+        this.callTool(message);
+        return;
+
+      default:
+        this.respondError(message, -32601, `Method not supported over socket transport: ${message.method}`);
+    }
+  }
+
+  /**
+   * Run a tool call through the addon
+   */
+  callTool(message) {
+    const { name, arguments: args = {} } = message.params || {};
+
+    if (name === 'get_viewport_screenshot') {
+      this.captureScreenshot(message, args);
+      return;
+    }
+
+    this.enqueue(message, toAddonCommand(name, args), (reply) => {
+      if (reply.status === 'error') {
+        this.respond(message, {
+          content: [{ type: 'text', text: `Error: ${reply.message}` }],
+          isError: true
+        });
+      } else {
+        this.respond(message, toToolResult(name, reply.result));
+      }
+    });
+  }
+
+  /**
+   * The addon writes screenshots to disk, so read the file back and inline it
+   */
+  captureScreenshot(message, args) {
+    const filepath = path.join(os.tmpdir(), `blender-screenshot-${Date.now()}-${message.id}.png`);
+    const command = {
+      type: 'get_viewport_screenshot',
+      params: { max_size: args.max_size || 800, filepath, format: 'png' }
+    };
+
+    // Runs from the socket's data handler, so file errors become tool errors instead of escaping it
+    this.enqueue(message, command, async (reply) => {
+      const fail = text => this.respond(message, { content: [{ type: 'text', text: `Error: ${text}` }], isError: true });
+
+      if (reply.status === 'error') {
+        fail(reply.message || 'Screenshot failed');
+        return;
+      }
+
+      try {
+        const data = (await fs.promises.readFile(filepath)).toString('base64');
+        this.respond(message, { content: [{ type: 'image', data, mimeType: 'image/png' }] });
+      } catch (error) {
+        fail(error.code === 'ENOENT' ? 'Screenshot file not created' : `Could not read the screenshot: ${error.message}`);
+      }
+      await fs.promises.unlink(filepath).catch(() => {});
+    });
+  }
+
+  /**
+   * The addon handles one command at a time per connection
+   */
+  enqueue(message, command, onReply) {
+    this.queue.push({ message, command, onReply });
+    if (!this.current) {
+      this.sendNext();
+    }
+  }
+
+  sendNext() {
+    if (this.current || this.queue.length === 0 || !this.isOpen) {
+      return;
+    }
+
+    this.current = this.queue.shift();
+    this.socket.write(JSON.stringify(this.current.command));
+  }
+
+  respond(message, result) {
+    this.emit('message', { jsonrpc: '2.0', id: message.id, result });
+  }
+
+  respondError(message, code, text) {
+    this.emit('message', { jsonrpc: '2.0', id: message.id, error: { code, message: text } });
+  }
+
+  /**
+   * Close the socket
+   */
+  close() {
+    if (this.socket) {
+      this.socket.destroy();
+      this.socket = null;
+    }
+  }
+}
+
+module.exports = BlenderSocketTransport;
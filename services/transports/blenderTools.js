@@ -0,0 +1,110 @@
+/**
+ * Blender Tool Definitions
+ * Shared by transports that stand in for the blender-mcp server
+ */
+
+// Tools published by the blender-mcp server, with their input schemas
+const BLENDER_TOOLS = [
+  {
+    name: 'get_scene_info',
+    description: 'Get detailed information about the current Blender scene',
+    inputSchema: { type: 'object', properties: {} }
+  },
+  {
+    name: 'get_object_info',
+    description: 'Get detailed information about a specific object in the Blender scene',
+    inputSchema: {
+      type: 'object',
+      properties: { object_name: { type: 'string' } },
+      required: ['object_name']
+    }
+  },
+  {
+    name: 'get_viewport_screenshot',
+    description: 'Capture a screenshot of the current Blender 3D viewport',
+    inputSchema: {
+      type: 'object',
+      properties: { max_size: { type: 'integer', default: 800 } }
+    }
+  },
+  {
+    name: 'execute_blender_code',
+    description: 'Execute arbitrary Python code in Blender',
+    inputSchema: {
+      type: 'object',
+      properties: { code: { type: 'string' } },
+      required: ['code']
+    }
+  },
+  {
+    name: 'set_texture',
+    description: 'Apply a previously downloaded Polyhaven texture to an object',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        object_name: { type: 'string' },
+        texture_id: { type: 'string' }
+      },
+      required: ['object_name', 'texture_id']
+    }
+  },
+  {
+    name: 'get_polyhaven_status',
+    description: 'Check if PolyHaven integration is enabled in Blender',
+    inputSchema: { type: 'object', properties: {} }
+  },
+  {
+    name: 'get_hyper3d_status',
+    description: 'Check if Hyper3D Rodin integration is enabled in Blender',
+    inputSchema: { type: 'object', properties: {} }
+  },
+  {
+    name: 'get_sketchfab_status',
+    description: 'Check if Sketchfab integration is enabled in Blender',
+    inputSchema: { type: 'object', properties: {} }
+  },
+  {
+    name: 'get_hunyuan3d_status',
+    description: 'Check if Hunyuan3D integration is enabled in Blender',
+    inputSchema: { type: 'object', properties: {} }
+  },
+  {
+    name: 'search_sketchfab_models',
+    description: 'Search for models on Sketchfab',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string' },
+        categories: { type: ['string', 'null'] },
+        count: { type: 'integer', default: 20 },
+        downloadable: { type: 'boolean', default: true }
+      },
+      required: ['query']
+    }
+  },
+  {
+    name: 'download_sketchfab_model',
+    description: 'Download and import a Sketchfab model by its UID',
+    inputSchema: {
+      type: 'object',
+      properties: { uid: { type: 'string' } },
+      required: ['uid']
+    }
+  },
+  {
+    name: 'generate_hyper3d_model_via_text',
+    description: 'Generate a 3D asset with Hyper3D from a text description',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        text_prompt: { type: 'string' },
+        bbox_condition: { type: ['array', 'null'], items: { type: 'number' } }
+      },
+      required: ['text_prompt']
+    }
+  }
+];
+
+module.exports = {
+  BLENDER_TOOLS
+};
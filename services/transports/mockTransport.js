@@ -0,0 +1,17 @@
+const path = require('path');
+const StdioTransport = require('./stdioTransport');
+
+const MOCK_SERVER_PATH = path.join(__dirname, '..', 'mockBlenderMcpServer.js');
+
+/**
+ * Mock Transport - Runs the bundled mock Blender MCP server over stdio
+ * Exercises the same JSON-RPC path as the real bridge without Blender or uvx.
+ */
+class MockTransport extends StdioTransport {
+  constructor(options = {}) {
+    super({ ...options, command: process.execPath, args: [MOCK_SERVER_PATH] });
+    this.name = 'mock';
+  }
+}
+
+module.exports = MockTransport;
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const EventEmitter = require('events');
+const cassette = require('../../utils/cassette');
+
+// One cassette per file for the whole process, so reconnects and
+// several workers append to the same recording instead of overwriting it.
+// Each holds the chain of pending writes, which keeps interactions in order.
+const cassettes = new Map();
+
+/**
+ * Recording Transport - Wraps another transport and records its traffic
+ * Every JSON-RPC request is paired with its response and appended to a
+ * cassette file (see utils/cassette), along with any GLB the call exported.
+ * Each interaction is appended as it completes, so the cassette is usable
+ * even if the server stops mid-run.
+ *
+ * Events are forwarded unchanged from the wrapped transport.
+ */
+class RecordingTransport extends EventEmitter {
+  /**
+   * Options:
+   *   transport - the transport being recorded
+   *   path      - cassette file to write
+   */
+  constructor(options) {
+    super();
+    this.inner = options.transport;
+    this.name = this.inner.name;
+    this.path = options.path;
+    if (!cassettes.has(this.path)) {
+      cassette.createCassette(this.path, this.inner.name);
+      cassettes.set(this.path, { writes: Promise.resolve() });
+    }
+    this.cassette = cassettes.get(this.path);
+    this.pending = new Map();
+
+    this.inner.on('message', (message) => {
+      this.record(message);
+      this.emit('message', message);
+    });
+    this.inner.on('stderr', message => this.emit('stderr', message));
+    this.inner.on('close', event => this.emit('close', event));
+  }
+
+  get isOpen() {
+    return this.inner.isOpen;
+  }
+
+  start() {
+    console.log(`⏺  Recording MCP traffic to ${this.path}`);
+    return this.inner.start();
+  }
+
+  send(message) {
+    if (message.id !== undefined && message.method) {
+      this.pending.set(message.id, { message, startedAt: Date.now() });
+    } else if (message.method === 'notifications/cancelled') {
+      this.pending.delete(message.params && message.params.requestId);
+    }
+
+    this.inner.send(message);
+  }
+
+  /**
+   * Pair a response with its request and save the interaction
+   */
+  record(response) {
+    const entry = this.pending.get(response.id);
+    if (!entry) {
+      return; // Server notification, or a request that was cancelled
+    }
+    this.pending.delete(response.id);
+
+    const { method, params } = entry.message;
+    const interaction = { method, params };
+    if (response.error) {
+      interaction.error = response.error;
+    } else {
+      interaction.result = response.result;
+    }
+    interaction.durationMs = Date.now() - entry.startedAt;
+
+    const exportPath = cassette.toolName(method, params) === 'execute_blender_code'
+      ? cassette.findExportPath(params.arguments && params.arguments.code)
+      : null;
+
+    this.cassette.writes = this.cassette.writes
+      .then(async () => {
+        if (exportPath) {
+          const data = await fs.promises.readFile(exportPath).catch(() => null);
+          if (data) {
+            interaction.artifacts = [{ kind: 'export', data: data.toString('base64') }];
+          }
+        }
+        await cassette.appendInteraction(this.path, interaction);
+      })
+      .catch(error => console.error('Failed to save MCP cassette:', error.message));
+  }
+
+  close() {
+    this.inner.close();
+  }
+}
+
+module.exports = RecordingTransport;
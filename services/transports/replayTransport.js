@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const cassette = require('../../utils/cassette');
+
+// Answers to these do not depend on scene state, so they may be replayed any number of times
+const REUSABLE_METHODS = ['initialize', 'ping', 'tools/list'];
+
+/**
+ * Replay Transport - Answers MCP requests from a recorded cassette
+ * Requests are matched on method and arguments. Tool calls whose arguments
+ * changed since recording (e.g. timestamped export paths) fall back to the
+ * next unused call of the same tool, so a recorded pipeline replays in order.
+ * Exported files stored in the cassette are written to the new export path.
+ *
+ * Events:
+ *   message - recorded JSON-RPC response
+ *   close   - { code, error } when closed
+ */
+class ReplayTransport extends EventEmitter {
+  /**
+   * Options:
+   *   path - cassette file to replay
+   */
+  constructor(options) {
+    super();
+    this.name = 'replay';
+    this.path = options.path;
+    this.interactions = [];
+    this.open = false;
+  }
+
+  get isOpen() {
+    return this.open;
+  }
+
+  async start() {
+    const loaded = cassette.loadCassette(this.path);
+    this.interactions = loaded.interactions.map(interaction => ({
+      ...interaction,
+      key: cassette.interactionKey(interaction.method, interaction.params),
+      used: false
+    }));
+    this.open = true;
+    console.log(`⏵  Replaying MCP traffic from ${this.path} (${this.interactions.length} interactions recorded from ${loaded.transport})`);
+  }
+
+  /**
+   * Find the recorded interaction for a request
+   */
+  match(method, params) {
+    const key = cassette.interactionKey(method, params);
+    const tool = cassette.toolName(method, params);
+
+    return this.interactions.find(i => !i.used && i.key === key)
+      || this.interactions.find(i => !i.used && i.method === method && cassette.toolName(i.method, i.params) === tool)
+      || (REUSABLE_METHODS.includes(method) ? this.interactions.find(i => i.key === key || i.method === method) : null);
+  }
+
+  send(message) {
+    if (!this.open) {
+      throw new Error('MCP replay transport not open');
+    }
+
+    if (message.id === undefined) {
+      return;
+    }
+
+    const interaction = this.match(message.method, message.params);
+    if (!interaction) {
+      const tool = cassette.toolName(message.method, message.params);
+      this.reply({
+        id: message.id,
+        error: { code: -32001, message: `No recorded interaction for ${message.method}${tool ? ` ${tool}` : ''} in ${this.path}` }
+      });
+      return;
+    }
+
+    interaction.used = true;
+    this.restoreArtifacts(interaction, message.params);
+    this.reply(interaction.error
+      ? { id: message.id, error: interaction.error }
+      : { id: message.id, result: interaction.result });
+  }
+
+  /**
+   * Recreate recorded exports at the path the current request asks for
+   */
+  restoreArtifacts(interaction, params) {
+    const exportPath = cassette.findExportPath(params && params.arguments && params.arguments.code);
+    const artifact = (interaction.artifacts || []).find(a => a.kind === 'export');
+
+    if (exportPath && artifact) {
+      fs.mkdirSync(path.dirname(exportPath), { recursive: true });
+      fs.writeFileSync(exportPath, Buffer.from(artifact.data, 'base64'));
+    }
+  }
+
+  reply(message) {
+    setImmediate(() => {
+      if (this.open) {
+        this.emit('message', { jsonrpc: '2.0', ...message });
+      }
+    });
+  }
+
+  close() {
+    if (this.open) {
+      this.open = false;
+      this.emit('close', { code: null, error: null });
+    }
+  }
+}
+
+module.exports = ReplayTransport;
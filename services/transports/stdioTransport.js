@@ -0,0 +1,151 @@
+const { spawn } = require('child_process');
+const EventEmitter = require('events');
+const mcpLauncher = require('../../utils/mcpLauncher');
+
+/**
+ * Stdio Transport - Runs the blender-mcp bridge as a child process
+ * Exchanges newline-delimited JSON-RPC messages over stdin/stdout
+ *
+ * Events:
+ *   message - parsed JSON-RPC message from the server
+ *   stderr  - raw stderr output from the process
+ *   close   - { code, error } when the process exits
+ */
+class StdioTransport extends EventEmitter {
+  /**
+   * Options:
+   *   command, args - launcher override (see utils/mcpLauncher)
+   *   host, port    - Blender addon address handed to the bridge
+   */
+  constructor(options = {}) {
+    super();
+    this.options = options;
+    this.name = 'stdio';
+    this.process = null;
+    this.buffer = '';
+  }
+
+  get isOpen() {
+    return Boolean(this.process && !this.process.killed);
+  }
+
+  /**
+   * Spawn the bridge process
+   * Resolves once the process is running, rejects with a clear error if it cannot start
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      const launch = mcpLauncher.resolveLaunchCommand(this.options);
+      console.log(`Starting MCP server process: ${mcpLauncher.describeLaunchCommand(launch)}`);
+
+      let stderrOutput = '';
+      let started = false;
+
+      this.buffer = '';
+      this.process = spawn(launch.command, launch.args, {
+        env: {
+          ...process.env,
+          BLENDER_HOST: String(this.options.host || process.env.BLENDER_HOST || 'localhost'),
+          BLENDER_PORT: String(this.options.port || process.env.BLENDER_PORT || '9876')
+        },
+        stdio: ['pipe', 'pipe', 'pipe']
+      });
+
+      this.process.on('spawn', () => {
+        started = true;
+        resolve();
+      });
+
+      // Handle stdout - MCP server responses
+      this.process.stdout.on('data', (data) => {
+        this.handleData(data);
+      });
+
+      // Handle stderr - logs and errors
+      this.process.stderr.on('data', (data) => {
+        const message = data.toString();
+        stderrOutput = (stderrOutput + message).slice(-4000);
+        this.emit('stderr', message);
+      });
+
+      // Handle process errors
+      this.process.on('error', (err) => {
+        console.error('MCP process error:', err.message);
+        if (!started) {
+          reject(this.describeFailure(launch, { error: err, stderr: stderrOutput }));
+        }
+      });
+
+      // Handle process close
+      this.process.on('close', (code) => {
+        this.process = null;
+        this.emit('close', {
+          code,
+          error: this.describeFailure(launch, { code, stderr: stderrOutput })
+        });
+      });
+    });
+  }
+
+  /**
+   * Turn a spawn error or early exit into a readable error
+   */
+  describeFailure(launch, details) {
+    if (mcpLauncher.isMissingExecutable(details)) {
+      return mcpLauncher.createMissingExecutableError(launch);
+    }
+
+    if (details.error) {
+      return details.error;
+    }
+
+    const lastLine = details.stderr.trim().split('\n').pop();
+    return new Error(
+      `MCP process exited with code ${details.code}` + (lastLine ? `: ${lastLine}` : '')
+    );
+  }
+
+  /**
+   * Handle incoming data from stdout
+   */
+  handleData(data) {
+    this.buffer += data.toString();
+
+    // Split by newlines to get complete JSON-RPC messages
+    const lines = this.buffer.split('\n');
+    this.buffer = lines.pop() || '';
+
+    for (const line of lines) {
+      if (line.trim()) {
+        try {
+          this.emit('message', JSON.parse(line));
+        } catch (error) {
+          console.error('Failed to parse JSON:', error.message);
+          console.error('Raw data:', line);
+        }
+      }
+    }
+  }
+
+  /**
+   * Write a JSON-RPC message to the process
+   */
+  send(message) {
+    if (!this.isOpen) {
+      throw new Error('MCP process not running');
+    }
+    this.process.stdin.write(JSON.stringify(message) + '\n');
+  }
+
+  /**
+   * Kill the process
+   */
+  close() {
+    if (this.process) {
+      this.process.kill();
+      this.process = null;
+    }
+  }
+}
+
+module.exports = StdioTransport;
@@ -0,0 +1,342 @@
+const EventEmitter = require('events');
+const MCPClient = require('../mcpClient');
+const BlenderQueue = require('./blenderQueue');
+
+const DEFAULT_HEALTH_INTERVAL = 30000;
+const HEALTH_CHECK_TIMEOUT = 10000;
+const MAX_FAILED_CHECKS = 2;
+
+/**
+ * Parse BLENDER_WORKERS ("host:port,host:port") into worker addresses
+ * Falls back to a single worker on BLENDER_HOST:BLENDER_PORT
+ */
+function parseWorkerAddresses(value) {
+  if (!value || !value.trim()) {
+    return [{
+      host: process.env.BLENDER_HOST || 'localhost',
+      port: parseInt(process.env.BLENDER_PORT || '9876')
+    }];
+  }
+
+  return value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const [host, port] = entry.split(':');
+    if (!host || !port || isNaN(parseInt(port))) {
+      throw new Error(`Invalid BLENDER_WORKERS entry '${entry}'. Expected host:port`);
+    }
+    return { host, port: parseInt(port) };
+  });
+}
+
+/**
+ * One Blender instance: its MCP connection plus the queue guarding its scene
+ */
+class BlenderWorker extends EventEmitter {
+  constructor(id, address, clientOptions = {}) {
+    super();
+    this.id = id;
+    this.host = address.host;
+    this.port = address.port;
+    this.clientOptions = clientOptions;
+    this.queue = new BlenderQueue();
+    this.client = this.createClient();
+    this.connecting = null;
+    this.failedChecks = 0;
+    this.stats = {
+      completed: 0,
+      failed: 0,
+      restarts: 0,
+      lastError: null,
+      lastHealthCheck: null,
+      lastHealthy: null
+    };
+  }
+
+  createClient() {
+    const client = new MCPClient({ ...this.clientOptions, host: this.host, port: this.port });
+    client.on('state', event => this.emit('state', { worker: this.id, ...event }));
+    return client;
+  }
+
+  get isConnected() {
+    return this.client.isConnected;
+  }
+
+  /**
+   * Queued plus running operations
+   */
+  get load() {
+    return this.queue.depth + this.queue.running.size;
+  }
+
+  /**
+   * Connect once, sharing the attempt between concurrent callers
+   */
+  async ensureConnected() {
+    if (this.client.isConnected) {
+      return;
+    }
+
+    if (!this.connecting) {
+      this.connecting = this.client.connect()
+        .catch((error) => {
+          this.stats.lastError = error.message;
+          throw error;
+        })
+        .finally(() => {
+          this.connecting = null;
+        });
+    }
+
+    await this.connecting;
+  }
+
+  /**
+   * Replace a broken MCP connection with a fresh one
+   */
+  async recycle(reason) {
+    console.log(`♻️  Recycling Blender worker ${this.id} (${this.host}:${this.port}): ${reason}`);
+    this.client.disconnect();
+    this.client = this.createClient();
+    this.failedChecks = 0;
+    this.stats.restarts++;
+    this.emit('recycled', { id: this.id, reason });
+    await this.ensureConnected();
+  }
+
+  /**
+   * Check the worker still answers; recycle it after repeated failures
+   */
+  async healthCheck() {
+    this.stats.lastHealthCheck = new Date().toISOString();
+
+    // Busy workers are proving they work, and checks would just wait in line
+    if (this.queue.isBusy) {
+      return;
+    }
+
+    // The circuit breaker already schedules the next attempt for known-down workers
+    if (this.client.breaker.state === 'open') {
+      return;
+    }
+
+    try {
+      await this.ensureConnected();
+      await this.queue.shared(
+        () => this.client.getSceneInfo({ timeout: HEALTH_CHECK_TIMEOUT }),
+        { label: 'health check' }
+      );
+      this.failedChecks = 0;
+      this.stats.lastHealthy = new Date().toISOString();
+    } catch (error) {
+      this.failedChecks++;
+      this.stats.lastError = error.message;
+      console.error(`Blender worker ${this.id} health check failed (${this.failedChecks}/${MAX_FAILED_CHECKS}):`, error.message);
+
+      if (this.failedChecks >= MAX_FAILED_CHECKS) {
+        await this.recycle(error.message).catch(() => {});
+      }
+    }
+  }
+
+  getStatus() {
+    let state = 'down';
+    if (this.client.isConnected) {
+      state = this.queue.isBusy ? 'busy' : 'idle';
+    } else if (this.connecting) {
+      state = 'connecting';
+    }
+
+    return {
+      id: this.id,
+      host: this.host,
+      port: this.port,
+      state,
+      failedChecks: this.failedChecks,
+      mcp: this.client.getServerDetails(),
+      queue: this.queue.getStatus(),
+      stats: { ...this.stats }
+    };
+  }
+}
+
+/**
+ * Blender Worker Pool - Schedules pipelines across several Blender instances
+ * Each worker owns its own MCP connection and scene queue, so a pipeline runs
+ * start to finish on one Blender while other pipelines use the idle ones.
+ *
+ * Events:
+ *   state - { worker, from, to, at, reason } when a worker's connection changes
+ */
+class BlenderWorkerPool extends EventEmitter {
+  /**
+   * Options:
+   *   workers        - [{ host, port }] (defaults to BLENDER_WORKERS)
+   *   clientOptions  - extra MCPClient options for every worker
+   *   healthInterval - ms between health checks (defaults to BLENDER_HEALTH_INTERVAL or 30s)
+   */
+  constructor(options = {}) {
+    super();
+    const addresses = options.workers || parseWorkerAddresses(process.env.BLENDER_WORKERS);
+
+    this.workers = addresses.map((address, index) => {
+      const worker = new BlenderWorker(`worker-${index + 1}`, address, options.clientOptions);
+      worker.on('state', event => this.emit('state', event));
+      return worker;
+    });
+    this.healthInterval = parseInt(options.healthInterval || process.env.BLENDER_HEALTH_INTERVAL) || DEFAULT_HEALTH_INTERVAL;
+    this.healthTimer = null;
+  }
+
+  get size() {
+    return this.workers.length;
+  }
+
+  getWorker(id) {
+    return this.workers.find(worker => worker.id === id) || null;
+  }
+
+  hasConnectedWorker() {
+    return this.workers.some(worker => worker.isConnected);
+  }
+
+  /**
+   * Shortest wait until some worker's circuit breaker allows a connect attempt
+   */
+  retryAfterMs() {
+    return Math.min(...this.workers.map(worker => worker.client.breaker.retryAfterMs));
+  }
+
+  /**
+   * Connect every worker, resolving with the ones that failed
+   */
+  async connectAll() {
+    const results = await Promise.allSettled(this.workers.map(worker => worker.ensureConnected()));
+
+    return results
+      .map((result, index) => ({ worker: this.workers[index], result }))
+      .filter(({ result }) => result.status === 'rejected')
+      .map(({ worker, result }) => ({ id: worker.id, error: result.reason.message }));
+  }
+
+  /**
+   * Pick the least loaded worker, preferring connected ones
+   */
+  selectWorker(preferredId) {
+    if (preferredId) {
+      const preferred = this.getWorker(preferredId);
+      if (!preferred) {
+        const error = new Error(`Unknown Blender worker: ${preferredId}`);
+        error.statusCode = 404;
+        throw error;
+      }
+      return preferred;
+    }
+
+    const candidates = this.workers.filter(worker => worker.isConnected);
+    const pool = candidates.length > 0 ? candidates : this.workers;
+
+    return pool.reduce((best, worker) => (worker.load < best.load ? worker : best));
+  }
+
+  /**
+   * Run fn(client, ticket, worker) on a worker through its queue
+   * Options are passed to the worker queue, plus:
+   *   workerId - pin the operation to a specific worker
+   */
+  async run(mode, fn, options = {}) {
+    const worker = this.selectWorker(options.workerId);
+
+    return worker.queue.run(mode, async (ticket) => {
+      await worker.ensureConnected();
+
+      try {
+        const result = await fn(worker.client, ticket, worker);
+        worker.stats.completed++;
+        return result;
+      } catch (error) {
+        worker.stats.failed++;
+        worker.stats.lastError = error.message;
+        throw error;
+      }
+    }, options);
+  }
+
+  exclusive(fn, options = {}) {
+    return this.run('exclusive', fn, options);
+  }
+
+  shared(fn, options = {}) {
+    return this.run('shared', fn, options);
+  }
+
+  /**
+   * Find a queued operation on any worker
+   */
+  findTicket(id) {
+    for (const worker of this.workers) {
+      const position = worker.queue.getPosition(id);
+      if (position !== null) {
+        return { workerId: worker.id, position, depth: worker.queue.depth };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Combined queue view across workers
+   */
+  getQueueStatus() {
+    const workers = this.workers.map(worker => ({ id: worker.id, ...worker.queue.getStatus() }));
+
+    return {
+      depth: workers.reduce((sum, worker) => sum + worker.depth, 0),
+      running: workers.reduce((sum, worker) => sum + worker.running.length, 0),
+      workers
+    };
+  }
+
+  getStatus() {
+    return this.workers.map(worker => worker.getStatus());
+  }
+
+  /**
+   * Server details from the first connected worker (for health output)
+   */
+  getServerDetails() {
+    const worker = this.workers.find(w => w.isConnected) || this.workers[0];
+    return worker.client.getServerDetails();
+  }
+
+  /**
+   * Start periodic health checks
+   */
+  startHealthChecks() {
+    if (this.healthTimer) {
+      return;
+    }
+
+    this.healthTimer = setInterval(() => {
+      for (const worker of this.workers) {
+        worker.healthCheck().catch(error => console.error(`Health check error on ${worker.id}:`, error.message));
+      }
+    }, this.healthInterval);
+    this.healthTimer.unref();
+  }
+
+  /**
+   * Stop health checks and disconnect every worker
+   */
+  shutdown() {
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+    }
+
+    for (const worker of this.workers) {
+      worker.client.disconnect();
+    }
+  }
+}
+
+module.exports = BlenderWorkerPool;
+module.exports.parseWorkerAddresses = parseWorkerAddresses;
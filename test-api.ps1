@@ -141,6 +141,46 @@ try {
     Write-Host "❌ Failed to capture screenshot: $($_.Exception.Message)" -ForegroundColor Red
 }
 
+# Test 9: Safety Probes - each script must be rejected with 400
+Write-Host "`n[9] Checking that unsafe code is rejected..." -ForegroundColor Yellow
+$probes = [ordered]@{
+    "import os" = "import os`nos.system('id')"
+    "text as_module" = "import bpy`nt = bpy.data.texts.new('x')`nt.write(""import os; os.system('id')"")`nt.as_module()"
+    "aliased texts" = "import bpy`nd = bpy.data`nt = d.texts.new('x')"
+    "save_render" = "import bpy`nbpy.data.images['x'].save_render('/etc/passwd')"
+    "filepath_raw + save" = "import bpy`nimg = bpy.data.images.new('i', 4, 4)`nimg.filepath_raw = '/tmp/x.png'`nimg.save()"
+    "setattr filepath" = "import bpy`nimg = bpy.data.images.new('i', 4, 4)`nsetattr(img, 'filepath', '/tmp/x.png')"
+    "computed getattr" = "import bpy`nd = [bpy.data][0]`nts = getattr(d, 'te' + 'xts')"
+    "wrapped context" = "import bpy`nc = [bpy.context][0]`nc.preferences.filepaths.use_scripts_auto_execute = True"
+    "finally return" = "def f():`n    try:`n        while True:`n            pass`n    finally:`n        return 1`nf()"
+    "match statement" = "x = 1`nmatch x:`n    case 1:`n        pass"
+}
+foreach ($probe in $probes.GetEnumerator()) {
+    $body = @{ code = $probe.Value } | ConvertTo-Json
+    try {
+        Invoke-RestMethod -Uri "$baseUrl/api/blender/execute" -Method Post -Body $body -ContentType "application/json" | Out-Null
+        Write-Host "❌ $($probe.Key): accepted" -ForegroundColor Red
+    } catch {
+        $status = $_.Exception.Response.StatusCode.value__
+        if ($status -eq 400) {
+            Write-Host "✓ $($probe.Key): rejected" -ForegroundColor Green
+        } else {
+            Write-Host "❌ $($probe.Key): HTTP $status" -ForegroundColor Red
+        }
+    }
+}
+
+# Test 10: Export GLB (also runs against the mock server, MCP_TRANSPORT=mock)
+Write-Host "`n[10] Exporting the scene as GLB..." -ForegroundColor Yellow
+try {
+    $export = Invoke-RestMethod -Uri "$baseUrl/api/blender/export-glb" -Method Post
+    Write-Host "✓ Exported $($export.filename)" -ForegroundColor Green
+    Write-Host "  Valid: $($export.validation.valid), Size: $($export.validation.size) bytes" -ForegroundColor Gray
+    Write-Host "  URL: $($export.url)" -ForegroundColor Gray
+} catch {
+    Write-Host "❌ Failed to export GLB: $($_.Exception.Message)" -ForegroundColor Red
+}
+
 Write-Host "`n╔═══════════════════════════════════════════╗" -ForegroundColor Green
 Write-Host "║           Test Suite Complete             ║" -ForegroundColor Green
 Write-Host "╚═══════════════════════════════════════════╝`n" -ForegroundColor Green
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { validate } = require('../utils/pythonValidator');
+const { PROFILES } = require('../utils/safetyPolicies');
+const { wrapInSafeContext, parseSafeExecutionResult } = require('../utils/blenderSafety');
+
+const hasPython = spawnSync('python3', ['--version']).status === 0;
+
+// Just enough of bpy for the wrapper to run outside Blender
+const FAKE_BPY = `
+class _Collection(list):
+    def remove(self, item, do_unlink=False):
+        list.remove(self, item)
+
+class _Data:
+    objects = _Collection()
+    meshes = _Collection()
+    images = _Collection()
+    materials = _Collection()
+
+data = _Data()
+`;
+
+/**
+ * Run code through wrapInSafeContext with python3 and read its outcome
+ */
+function runWrapped(code, limits) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'limits-test-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'bpy.py'), FAKE_BPY);
+    const script = path.join(dir, 'script.py');
+    fs.writeFileSync(script, wrapInSafeContext(code, 'test', { limits }));
+
+    const run = spawnSync('python3', [script], { cwd: dir, encoding: 'utf8', timeout: 10000 });
+    assert.equal(run.error, undefined, 'python3 did not finish');
+    return parseSafeExecutionResult({ content: [{ type: 'text', text: run.stdout }] });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+function criticalRules(code) {
+  return validate(code, PROFILES.strict).issues
+    .filter(issue => issue.severity === 'critical')
+    .map(issue => issue.rule);
+}
+
+test.describe('execution limits', () => {
+  // A finally clause that leaves its block discards the limit error, and
+  // Python has already turned the trace hook off by then
+  test('rejects return, break and continue in finally clauses', () => {
+    assert.deepEqual(criticalRules('def f():\n    try:\n        while True:\n            pass\n    finally:\n        return 1\nf()'), ['finally-exit']);
+    assert.deepEqual(criticalRules('while True:\n    try:\n        x = 1\n    finally:\n        continue'), ['finally-exit']);
+    assert.deepEqual(criticalRules('for i in range(3):\n    try:\n        x = 1\n    finally:\n        if i:\n            break'), ['finally-exit']);
+  });
+
+  test('accepts loops and functions nested in a finally clause', () => {
+    assert.deepEqual(criticalRules([
+      'try:',
+      '    x = 1',
+      'finally:',
+      '    for i in range(3):',
+      '        if i:',
+      '            break',
+      '        continue',
+      '    def g():',
+      '        return 2'
+    ].join('\n')), []);
+  });
+
+  test('rejects a break in the else clause of a loop inside finally', () => {
+    assert.deepEqual(criticalRules('while True:\n    try:\n        x = 1\n    finally:\n        for i in range(2):\n            pass\n        else:\n            break'), ['finally-exit']);
+  });
+
+  test('rejects handlers that could catch the limit error', () => {
+    assert.ok(criticalRules('try:\n    x = 1\nexcept:\n    pass').includes('broad-except'));
+    assert.ok(criticalRules('try:\n    x = 1\nexcept BaseException:\n    pass').includes('broad-except'));
+    assert.ok(criticalRules('try:\n    x = 1\nexcept ResourceLimitExceeded:\n    pass').includes('reserved-name'));
+  });
+
+  test('stops an endless loop at the time limit', { skip: !hasPython && 'python3 not installed' }, () => {
+    const outcome = runWrapped('while True:\n    pass', { timeLimit: 0.5 });
+
+    assert.equal(outcome.success, false);
+    assert.equal(outcome.limitExceeded.limit, 'time');
+  });
+
+  test('stops an endless loop inside try/finally at the time limit', { skip: !hasPython && 'python3 not installed' }, () => {
+    const outcome = runWrapped('def f():\n    try:\n        while True:\n            pass\n    finally:\n        x = 1\nf()', { timeLimit: 0.5 });
+
+    assert.equal(outcome.success, false);
+    assert.equal(outcome.limitExceeded.limit, 'time');
+  });
+
+  test('reports a normal run as successful', { skip: !hasPython && 'python3 not installed' }, () => {
+    const outcome = runWrapped('total = sum(range(1000))\nprint(total)', { timeLimit: 5 });
+
+    assert.equal(outcome.success, true);
+    assert.equal(outcome.limitExceeded, null);
+    assert.match(outcome.output, /499500/);
+  });
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildGlb, executeCode } = require('../services/mockBlenderMcpServer');
+
+test.describe('mockBlenderMcpServer', () => {
+  test('stops at a top-level raise', () => {
+    const { output, error } = executeCode('print("before")\nraise ValueError("broken")\nprint("after")');
+
+    assert.equal(output, 'before');
+    assert.deepEqual(error, { type: 'ValueError', message: 'broken', line: 2 });
+  });
+
+  test('raises inside try and finally bodies', () => {
+    const { error } = executeCode('try:\n    x = 1\nfinally:\n    raise RuntimeError()');
+
+    assert.deepEqual(error, { type: 'RuntimeError', message: '', line: 4 });
+  });
+
+  test('ignores raises in branches, loops and functions', () => {
+    const code = [
+      'if missing:',
+      '    raise ValueError("branch")',
+      'else:',
+      '    raise ValueError("other branch")',
+      'for i in range(0):',
+      '    raise ValueError("loop")',
+      'def f():',
+      '    raise ValueError("function")',
+      'print("done")'
+    ].join('\n');
+
+    assert.deepEqual(executeCode(code), { output: 'done', error: null });
+  });
+
+  test('skips except bodies', () => {
+    const code = 'try:\n    x = 1\nexcept Exception:\n    print("handled")\n    raise\nprint("done")';
+
+    assert.deepEqual(executeCode(code), { output: 'done', error: null });
+  });
+
+  test('builds a binary glTF with one node per object', () => {
+    const glb = buildGlb(['Cube', 'Sphere']);
+
+    assert.equal(glb.readUInt32LE(0), 0x46546C67);
+    assert.equal(glb.readUInt32LE(4), 2);
+    assert.equal(glb.readUInt32LE(8), glb.length);
+
+    const jsonLength = glb.readUInt32LE(12);
+    assert.equal(jsonLength % 4, 0);
+    const gltf = JSON.parse(glb.subarray(20, 20 + jsonLength).toString());
+    assert.deepEqual(gltf.nodes.map(node => node.name), ['Cube', 'Sphere']);
+  });
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validate } = require('../utils/pythonValidator');
+const { PROFILES } = require('../utils/safetyPolicies');
+
+const POLICIES = Object.values(PROFILES);
+
+function criticalRules(code, policy) {
+  return validate(code, policy).issues
+    .filter(issue => issue.severity === 'critical')
+    .map(issue => issue.rule);
+}
+
+function assertRejected(code, rule) {
+  for (const policy of POLICIES) {
+    const rules = criticalRules(code, policy);
+    assert.ok(rules.includes(rule), `${policy.name}: expected ${rule}, got [${rules.join(', ')}]`);
+  }
+}
+
+function assertAccepted(code) {
+  for (const policy of POLICIES) {
+    assert.deepEqual(criticalRules(code, policy), [], `${policy.name} rejected the code`);
+  }
+}
+
+test.describe('pythonValidator', () => {
+  test('accepts ordinary modeling code', () => {
+    assertAccepted([
+      'import bpy',
+      'import math',
+      'bpy.ops.mesh.primitive_cube_add(size=2, location=(0, 0, 1))',
+      'cube = bpy.context.active_object',
+      'mat = bpy.data.materials.new("Red")',
+      'mat.diffuse_color = (1, 0, 0, 1)',
+      'cube.data.materials.append(mat)',
+      'C = bpy.context',
+      'for obj in C.selected_objects:',
+      '    obj.rotation_euler.z = math.radians(45)'
+    ].join('\n'));
+  });
+
+  test('ignores blocked names in comments and strings', () => {
+    assertAccepted('import bpy\n# eval(open("x"))\nname = "exec and __import__"\n');
+  });
+
+  test('rejects the text data-block route to arbitrary code', () => {
+    assertRejected([
+      'import bpy',
+      't = bpy.data.texts.new("x")',
+      't.write("import os; os.system(\'id\')")',
+      't.as_module()'
+    ].join('\n'), 'blocked-attribute');
+  });
+
+  test('rejects computed getattr names on unknown targets', () => {
+    const code = [
+      'import bpy',
+      'd = [bpy.data][0]',
+      'ts = getattr(d, "te" + "xts")',
+      't = ts.new("x")',
+      'getattr(t, "wr" + "ite")("import os; os.system(\'id\')")',
+      'getattr(t, "as_mod" + "ule")()'
+    ].join('\n');
+
+    for (const policy of POLICIES) {
+      assert.equal(validate(code, policy).safe, false, policy.name);
+    }
+    assertRejected(code, 'dynamic-attribute');
+  });
+
+  test('rejects computed names for setattr, delattr and hasattr', () => {
+    assertRejected('import bpy\nobj = bpy.context.active_object\nsetattr(obj, "file" + "path", "/tmp/x")', 'dynamic-attribute');
+    assertRejected('import bpy\nobj = bpy.context.active_object\ndelattr(obj, "na" + "me")', 'dynamic-attribute');
+    assertRejected('import bpy\nobj = bpy.context.active_object\nhasattr(obj, "na" + "me")', 'dynamic-attribute');
+  });
+
+  test('accepts computed getattr names on plain math modules', () => {
+    assertAccepted('import math\nname = "sq" + "rt"\nf = getattr(math, name)\nprint(f(4))');
+  });
+
+  test('keeps bpy.data and bpy.context tracked through containers', () => {
+    assertRejected('import bpy\nd = [bpy.data][0]', 'module-reference');
+    assertRejected('import bpy\nc = (bpy.context,)[0]', 'module-reference');
+    assertRejected('import bpy\ndef f():\n    return bpy.data\nf()', 'module-reference');
+  });
+
+  test('rejects preferences that turn on auto-running scripts', () => {
+    assertRejected('import bpy\nc = [bpy.context][0]\nc.preferences.filepaths.use_scripts_auto_execute = True', 'blocked-attribute');
+    assertRejected('import bpy\nbpy.context.preferences.filepaths.use_scripts_auto_execute = True', 'blocked-path');
+  });
+
+  test('rejects file writes', () => {
+    assertRejected('import bpy\nbpy.data.images["x"].save_render("/tmp/a.png")', 'blocked-attribute');
+    assertRejected('import bpy\nimg = bpy.data.images.new("i", 4, 4)\nimg.filepath_raw = "/tmp/x.png"', 'blocked-attribute');
+    assertRejected('import bpy\nimg = bpy.data.images.new("i", 4, 4)\nsetattr(img, "filepath", "/tmp/x.png")', 'blocked-attribute');
+  });
+
+  test('follows aliases and literal getattr to operator namespaces', () => {
+    assertRejected('import bpy\nops = bpy.ops\nops.wm.quit_blender()', 'operator');
+    assertRejected('import bpy\ngetattr(bpy.ops, "wm").quit_blender()', 'operator');
+  });
+
+  test('rejects imports outside the policy', () => {
+    assertRejected('import os\nos.system("id")', 'import');
+    assertRejected('from subprocess import run', 'import');
+  });
+
+  test('reports match statements as unsupported syntax', () => {
+    const result = validate('x = 1\nmatch x:\n    case 1:\n        pass', PROFILES.standard);
+    assert.equal(result.safe, false);
+    assert.equal(result.issues[0].rule, 'unsupported-syntax');
+    assert.equal(result.issues[0].line, 2);
+  });
+
+  test('reports syntax errors with their position', () => {
+    const result = validate('import bpy\nx = (1,', PROFILES.standard);
+    assert.equal(result.safe, false);
+    assert.equal(result.issues[0].rule, 'syntax');
+  });
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RESULT_MARKER, resultText, parseResults, findResult } = require('../utils/scriptResults');
+
+function toolResult(...lines) {
+  return { content: [{ type: 'text', text: lines.join('\n') }] };
+}
+
+function resultLine(fields) {
+  return RESULT_MARKER + JSON.stringify(fields);
+}
+
+test.describe('scriptResults', () => {
+  test('joins the text content of a tool result', () => {
+    const result = { content: [{ type: 'text', text: 'a' }, { type: 'image', data: 'x' }, { type: 'text', text: 'b' }] };
+
+    assert.equal(resultText(result), 'a\nb');
+    assert.equal(resultText(null), '');
+    assert.equal(resultText({}), '');
+  });
+
+  test('reads result lines among printed banners', () => {
+    const results = parseResults(toolResult(
+      '='.repeat(60),
+      'EXPORTING CURRENT SCENE AS GLB',
+      resultLine({ script: 'texture_baking', success: true, counts: { baked: 2 }, warnings: [], errors: [] }),
+      '✓ done',
+      resultLine({ script: 'glb_export', success: true, counts: { objects: 3 }, warnings: [], errors: [], path: '/tmp/a.glb', size: 10 })
+    ));
+
+    assert.deepEqual(results.map(result => result.script), ['texture_baking', 'glb_export']);
+    assert.equal(results[1].path, '/tmp/a.glb');
+    assert.deepEqual(results[1].counts, { objects: 3 });
+  });
+
+  test('fills in missing fields', () => {
+    const [result] = parseResults(toolResult(resultLine({ script: 'uv_fix' })));
+
+    assert.deepEqual(result, { script: 'uv_fix', success: true, counts: {}, warnings: [], errors: [] });
+  });
+
+  test('only treats an explicit false as failure', () => {
+    const results = parseResults(toolResult(
+      resultLine({ script: 'a', success: false }),
+      resultLine({ script: 'b', success: null })
+    ));
+
+    assert.deepEqual(results.map(result => result.success), [false, true]);
+  });
+
+  test('finds the marker after a log prefix', () => {
+    const [result] = parseResults(toolResult(`[worker-1] ${resultLine({ script: 'uv_fix' })}`));
+
+    assert.equal(result.script, 'uv_fix');
+  });
+
+  test('skips invalid JSON and results without a script name', () => {
+    const results = parseResults(toolResult(
+      `${RESULT_MARKER}{not json`,
+      `${RESULT_MARKER}[1, 2]`,
+      `${RESULT_MARKER}null`,
+      resultLine({ success: true }),
+      resultLine({ script: 42 }),
+      resultLine({ script: 'quality_score', score: 87 })
+    ));
+
+    assert.deepEqual(results.map(result => result.script), ['quality_score']);
+  });
+
+  test('findResult returns the last result of a script', () => {
+    const result = toolResult(
+      resultLine({ script: 'safe_execution', success: true, error: 'printed by user code' }),
+      resultLine({ script: 'glb_export', success: true }),
+      resultLine({ script: 'safe_execution', success: false, error: 'real' })
+    );
+
+    assert.equal(findResult(result, 'safe_execution').error, 'real');
+    assert.equal(findResult(result, 'glb_export').success, true);
+    assert.equal(findResult(result, 'missing'), null);
+  });
+});
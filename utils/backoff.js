@@ -0,0 +1,22 @@
+/**
+ * Backoff Module
+ * Exponential backoff with jitter for reconnect loops
+ */
+
+/**
+ * Delay before retry number `attempt` (1-based)
+ * Uses "full jitter": a random delay between 0 and the exponential cap,
+ * so many clients reconnecting at once do not hit Blender in lockstep
+ */
+function computeBackoff(attempt, options = {}) {
+  const base = options.base || 1000;
+  const max = options.max || 30000;
+  const random = options.random || Math.random;
+
+  const cap = Math.min(max, base * Math.pow(2, Math.max(attempt - 1, 0)));
+  return Math.max(base / 2, Math.round(cap * random()));
+}
+
+module.exports = {
+  computeBackoff
+};
@@ -3,34 +3,157 @@
  * Safer code execution with error tracking and object lifecycle management
  */
 
+const EventEmitter = require('events');
+const { PYTHON_RESULT_HELPER, resultText, findResult } = require('./scriptResults');
+
+// 0 in the environment disables a limit
+function envLimit(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  return parseFloat(value) > 0 ? parseFloat(value) : null;
+}
+
+/**
+ * Resource limits for wrapped code: the env defaults with overrides applied
+ * Returns { timeLimit (s), maxObjects, maxVertices, maxImageMemory (MB) };
+ * null means unlimited. Overrides that are undefined keep the default.
+ */
+function executionLimits(overrides = {}) {
+  const limits = {
+    timeLimit: envLimit('EXECUTION_TIME_LIMIT', 60),
+    maxObjects: null, // Set per safety policy
+    maxVertices: envLimit('EXECUTION_MAX_VERTICES', 2000000),
+    maxImageMemory: envLimit('EXECUTION_MAX_IMAGE_MEMORY', 1024)
+  };
+  for (const [name, value] of Object.entries(overrides)) {
+    if (value !== undefined && name in limits) {
+      limits[name] = value;
+    }
+  }
+  return limits;
+}
+
+function pythonNumber(value) {
+  return value === null || value === undefined ? 'None' : String(Number(value));
+}
+
 /**
  * Wrap user code in safe execution context with error handling
+ * Options:
+ *   rollbackOnError - remove objects the code created if it fails, so a retry
+ *                     starts from the same scene
+ *   limits          - overrides for executionLimits()
+ *
+ * Limits are checked between Python lines by a trace function: the time on
+ * every line, objects, vertices and new image memory every quarter second
+ * and once more at the end. A single long operator call cannot be
+ * interrupted; it is caught when it returns. Going over a limit stops the
+ * code and removes what it created.
+ *
+ * The outcome is reported as a safe_execution result (see utils/scriptResults
+ * and parseSafeExecutionResult).
  */
-function wrapInSafeContext(code, operationName = 'operation') {
+function wrapInSafeContext(code, operationName = 'operation', options = {}) {
+  const limits = executionLimits(options.limits);
+
   return `
 import bpy
 import traceback
 import sys
+import time
+import json
 from io import StringIO
-
+${PYTHON_RESULT_HELPER}
 # Setup error capture
 error_occurred = False
 error_message = ""
+error_trace = None
+limit_exceeded = None
+created_names = []
+created_count = 0
+rolled_back = 0
 operation_name = "${operationName}"
 
 print("=" * 60)
 print(f"EXECUTING: {operation_name}")
 print("=" * 60)
 
+class ResourceLimitExceeded(BaseException):
+    # Not an Exception, so "except Exception" in the code cannot swallow it
+    LABELS = {"time": "seconds of execution", "objects": "objects created", "vertices": "vertices created", "image_memory": "MB of new images"}
+
+    def __init__(self, limit, used, maximum):
+        super().__init__(f"Resource limit exceeded: {used} {self.LABELS[limit]} (limit {maximum})")
+        self.details = {"limit": limit, "used": used, "max": maximum}
+
+def start_limits(limits, objects, meshes, images, interval=0.25, data=bpy.data, error=ResourceLimitExceeded,
+                 monotonic=time.monotonic, settrace=sys.settrace, gettrace=sys.gettrace, getframe=sys._getframe,
+                 set=set, len=len, sum=sum, round=round, Exception=Exception):
+    # Everything the checks use is bound here, so the code cannot disable them by rebinding names
+    started = monotonic()
+    state = {"next_check": started + interval, "exceeded": None}
+    previous = gettrace()
+    frame = getframe(1)
+
+    def exceed(limit, used, maximum):
+        state["exceeded"] = error(limit, used, maximum)
+        raise state["exceeded"]
+
+    def check():
+        try:
+            created = len(set(data.objects) - objects)
+            vertices = sum(len(mesh.vertices) for mesh in set(data.meshes) - meshes)
+            image_mb = sum(image.size[0] * image.size[1] * image.channels * (4 if image.is_float else 1) for image in set(data.images) - images) / 1048576
+        except Exception:
+            return  # Data is not readable in every context; check again later
+        if limits["objects"] is not None and created > limits["objects"]:
+            exceed("objects", created, limits["objects"])
+        if limits["vertices"] is not None and vertices > limits["vertices"]:
+            exceed("vertices", vertices, limits["vertices"])
+        if limits["image_memory"] is not None and image_mb > limits["image_memory"]:
+            exceed("image_memory", round(image_mb, 1), limits["image_memory"])
+
+    # Python turns tracing off once this raises, so nothing may swallow the error: it is not an
+    # Exception, and the validator rejects bare or computed except clauses and return, break or
+    # continue in a finally clause
+    def trace(frame, event, arg):
+        now = monotonic()
+        if limits["time"] is not None and now - started > limits["time"]:
+            exceed("time", round(now - started, 1), limits["time"])
+        if now >= state["next_check"]:
+            state["next_check"] = now + interval
+            check()
+        return trace
+
+    def stop():
+        settrace(previous)
+        frame.f_trace = None
+        if state["exceeded"]:
+            raise state["exceeded"]
+        check()
+
+    settrace(trace)
+    frame.f_trace = trace
+    return stop
+
 try:
     # Store initial state
     initial_objects = set(bpy.data.objects)
-    
-    # User code execution
-${code.split('\n').map(line => '    ' + line).join('\n')}
+    initial_meshes = set(bpy.data.meshes)
+    initial_images = set(bpy.data.images)
+    stop_limits = start_limits({"time": ${pythonNumber(limits.timeLimit)}, "objects": ${pythonNumber(limits.maxObjects)}, "vertices": ${pythonNumber(limits.maxVertices)}, "image_memory": ${pythonNumber(limits.maxImageMemory)}}, initial_objects, initial_meshes, initial_images)
+    try:
+        # User code execution
+${code.split('\n').map(line => '        ' + line).join('\n')}
+    finally:
+        stop_limits()
     
     # Report new objects
     new_objects = set(bpy.data.objects) - initial_objects
+    created_names = sorted(obj.name for obj in new_objects)
+    created_count = len(created_names)
     if new_objects:
         print(f"\\n✓ Created {len(new_objects)} new object(s):")
         for obj in new_objects:
@@ -38,6 +161,27 @@ ${code.split('\n').map(line => '    ' + line).join('\n')}
     
     print("\\n✓ Operation completed successfully")
     
+except ResourceLimitExceeded as e:
+    error_occurred = True
+    error_message = str(e)
+    limit_exceeded = e.details
+    
+    print("\\n" + "=" * 60)
+    print("✗ RESOURCE LIMIT EXCEEDED")
+    print("=" * 60)
+    print(f"Error: {error_message}")
+    
+    # Always remove what the code created, so the scene is usable again
+    for obj in set(bpy.data.objects) - initial_objects:
+        bpy.data.objects.remove(obj, do_unlink=True)
+        rolled_back += 1
+    for mesh in set(bpy.data.meshes) - initial_meshes:
+        if mesh.users == 0:
+            bpy.data.meshes.remove(mesh)
+    for image in set(bpy.data.images) - initial_images:
+        bpy.data.images.remove(image)
+    print("Rolled back the objects, meshes and images created by the code")
+    
 except Exception as e:
     error_occurred = True
     error_message = str(e)
@@ -50,25 +194,114 @@ except Exception as e:
     print(f"\\nFull traceback:")
     print(error_trace)
     print("=" * 60)
-    
+${options.rollbackOnError ? `
+    # Roll back objects created before the failure
+    created_objects = set(bpy.data.objects) - initial_objects
+    for obj in created_objects:
+        bpy.data.objects.remove(obj, do_unlink=True)
+    rolled_back = len(created_objects)
+    if created_objects:
+        print(f"Rolled back {len(created_objects)} object(s)")
+` : ''}
     # Don't raise - let the wrapper handle it
 finally:
     print(f"\\nOperation: {operation_name}")
     print(f"Status: {'FAILED' if error_occurred else 'SUCCESS'}")
     print("=" * 60)
+    emit_result(
+        "safe_execution",
+        success=not error_occurred,
+        counts={"created": created_count, "rolledBack": rolled_back},
+        errors=[error_message] if error_occurred else [],
+        operation=operation_name,
+        error=error_message if error_occurred else None,
+        traceback=error_trace,
+        limitExceeded=limit_exceeded,
+        created=created_names
+    )
 
 # Return status (for logging)
 {"success": not error_occurred, "error": error_message if error_occurred else None}
 `;
 }
 
+// Line of the wrapped script that holds the first line of user code
+const SAFE_CONTEXT_FIRST_LINE = wrapInSafeContext('__USER_CODE__').split('\n').indexOf('        __USER_CODE__') + 1;
+
+// Point "<string>, line N" references at the user's code instead of the wrapper
+function mapWrappedLines(text) {
+  return text.replace(/(<string>"?, line )(\d+)/g, (match, prefix, line) => {
+    const userLine = parseInt(line) - SAFE_CONTEXT_FIRST_LINE + 1;
+    return userLine >= 1 ? `${prefix}${userLine}` : match;
+  });
+}
+
+/**
+ * Read the outcome of code wrapped by wrapInSafeContext from an MCP tool result
+ * Returns { success, error, traceback, limitExceeded, created, rolledBack, output };
+ * line numbers in the error and traceback refer to the unwrapped code.
+ * limitExceeded is { limit, used, max } when an execution limit stopped the
+ * code, else null. created lists the new objects' names and rolledBack counts
+ * the objects removed after a failure; both are null when the script's
+ * safe_execution result is missing and only the printed status could be read.
+ */
+function parseSafeExecutionResult(result) {
+  const output = resultText(result);
+
+  // The script did not run at all (e.g. a syntax error)
+  if ((result && result.isError) || /^Error executing code:/.test(output.trim())) {
+    return {
+      success: false,
+      error: mapWrappedLines(output.trim().replace(/^Error executing code:\s*/, '')),
+      traceback: null,
+      limitExceeded: null,
+      created: null,
+      rolledBack: null,
+      output
+    };
+  }
+
+  const reported = findResult(result, 'safe_execution');
+  if (reported) {
+    return {
+      success: reported.success,
+      error: reported.error ? mapWrappedLines(reported.error) : null,
+      traceback: reported.traceback ? mapWrappedLines(reported.traceback.trim()) : null,
+      limitExceeded: reported.limitExceeded || null,
+      created: reported.created || [],
+      rolledBack: reported.counts.rolledBack || 0,
+      output
+    };
+  }
+
+  // No result line (a bridge that only echoes output): fall back to the status banner
+  if (!/Status: FAILED/.test(output)) {
+    return { success: true, error: null, traceback: null, limitExceeded: null, created: null, rolledBack: null, output };
+  }
+
+  const error = (output.match(/^Error: (.*)$/m) || [])[1] || 'Unknown error';
+  const traceback = (output.match(/Full traceback:\s*\n([\s\S]*?)(?:\n=+\n|\nOperation:|\nStatus:|$)/) || [])[1];
+
+  return {
+    success: false,
+    error: mapWrappedLines(error),
+    traceback: traceback ? mapWrappedLines(traceback.trim()) : null,
+    limitExceeded: null,
+    created: null,
+    rolledBack: null,
+    output
+  };
+}
+
 /**
  * Generate scene validation code
+ * Reports a scene_validation result with object, mesh, vertex, face and
+ * material counts and the object count per type.
  */
 function generateSceneValidation() {
   return `
 import bpy
-
+${PYTHON_RESULT_HELPER}
 print("\\n" + "=" * 60)
 print("SCENE VALIDATION")
 print("=" * 60)
@@ -87,6 +320,11 @@ for obj_type, count in sorted(object_counts.items()):
 mesh_objects = [obj for obj in bpy.data.objects if obj.type == 'MESH']
 print(f"\\nMesh objects: {len(mesh_objects)}")
 
+total_verts = 0
+total_faces = 0
+objects_with_materials = 0
+materials_with_nodes = 0
+
 if mesh_objects:
     total_verts = sum(len(obj.data.vertices) for obj in mesh_objects)
     total_faces = sum(len(obj.data.polygons) for obj in mesh_objects)
@@ -110,28 +348,53 @@ else:
     print("⚠ No mesh objects in scene")
 
 print("=" * 60)
+
+emit_result(
+    "scene_validation",
+    counts={
+        "objects": len(bpy.data.objects),
+        "meshes": len(mesh_objects),
+        "vertices": total_verts,
+        "faces": total_faces,
+        "objectsWithMaterials": objects_with_materials,
+        "materialsWithNodes": materials_with_nodes
+    },
+    warnings=[] if mesh_objects else ["No mesh objects in scene"],
+    types=object_counts
+)
 `;
 }
 
 /**
  * Generate object lifecycle tracking code
+ * Reports an object_tracking result listing every object with its transform
+ * and type-specific details.
  */
 function generateObjectTracking() {
   return `
 import bpy
-
+${PYTHON_RESULT_HELPER}
 print("\\n" + "=" * 60)
 print("OBJECT LIFECYCLE REPORT")
 print("=" * 60)
 
 # List all objects with details
+tracked = []
 for obj in bpy.data.objects:
+    entry = {
+        "name": obj.name,
+        "type": obj.type,
+        "location": [round(x, 3) for x in obj.location],
+        "rotation": [round(x, 3) for x in obj.rotation_euler],
+        "scale": [round(x, 3) for x in obj.scale]
+    }
     print(f"\\n{obj.name} ({obj.type})")
-    print(f"  Location: {[round(x, 3) for x in obj.location]}")
-    print(f"  Rotation: {[round(x, 3) for x in obj.rotation_euler]}")
-    print(f"  Scale: {[round(x, 3) for x in obj.scale]}")
+    print(f"  Location: {entry['location']}")
+    print(f"  Rotation: {entry['rotation']}")
+    print(f"  Scale: {entry['scale']}")
     
     if obj.type == 'MESH':
+        entry.update(vertices=len(obj.data.vertices), faces=len(obj.data.polygons), materials=len(obj.data.materials), uvLayers=len(obj.data.uv_layers))
         print(f"  Vertices: {len(obj.data.vertices):,}")
         print(f"  Faces: {len(obj.data.polygons):,}")
         print(f"  Materials: {len(obj.data.materials)}")
@@ -141,23 +404,30 @@ for obj in bpy.data.objects:
             print(f"  UV Layers: {len(obj.data.uv_layers)}")
     
     if obj.type == 'LIGHT':
+        entry.update(lightType=obj.data.type, energy=obj.data.energy)
         print(f"  Light type: {obj.data.type}")
         print(f"  Energy: {obj.data.energy}")
     
     if obj.type == 'CAMERA':
+        entry.update(focalLength=obj.data.lens)
         print(f"  Focal length: {obj.data.lens}mm")
+    
+    tracked.append(entry)
 
 print("\\n" + "=" * 60)
+
+emit_result("object_tracking", counts={"objects": len(tracked)}, objects=tracked)
 `;
 }
 
 /**
  * Error recovery code - attempts to restore scene to valid state
+ * Reports an error_recovery result with the names of what it removed.
  */
 function generateErrorRecovery() {
   return `
 import bpy
-
+${PYTHON_RESULT_HELPER}
 print("\\n" + "=" * 60)
 print("ERROR RECOVERY - SCENE CLEANUP")
 print("=" * 60)
@@ -196,16 +466,24 @@ if unused_meshes:
 
 print("\\n✓ Scene cleanup complete")
 print("=" * 60)
+
+emit_result(
+    "error_recovery",
+    counts={"orphanedObjects": len(orphaned), "unusedMaterials": len(unused_materials), "unusedMeshes": len(unused_meshes)},
+    removed={"objects": orphaned, "materials": unused_materials, "meshes": unused_meshes}
+)
 `;
 }
 
 /**
  * Generate pre-execution checks
+ * Reports a pre_execution_checks result with the Blender version, data-block
+ * counts, the active object and the selection size.
  */
 function generatePreExecutionChecks() {
   return `
 import bpy
-
+${PYTHON_RESULT_HELPER}
 print("\\n" + "=" * 60)
 print("PRE-EXECUTION CHECKS")
 print("=" * 60)
@@ -231,6 +509,19 @@ print(f"Selected objects: {selected_count}")
 
 print("✓ Pre-execution checks passed")
 print("=" * 60)
+
+emit_result(
+    "pre_execution_checks",
+    counts={
+        "objects": len(bpy.data.objects),
+        "materials": len(bpy.data.materials),
+        "meshes": len(bpy.data.meshes),
+        "images": len(bpy.data.images),
+        "selected": selected_count
+    },
+    blenderVersion=bpy.app.version_string,
+    active=bpy.context.active_object.name if bpy.context.active_object else None
+)
 `;
 }
 
@@ -249,19 +540,46 @@ function buildSafeExecutionPackage(userCode, operationName = 'User Operation') {
 
 /**
  * Execution error logger
+ * One per request or job; id is its correlation id.
+ * Emits 'log' for every entry, 'step' for pipeline step transitions and
+ * 'stdout' for each line Blender printed, so progress can be streamed live.
  */
-class ExecutionLogger {
-  constructor() {
+class ExecutionLogger extends EventEmitter {
+  constructor(id = null) {
+    super();
+    this.id = id;
     this.logs = [];
   }
   
   log(level, message, data = {}) {
-    this.logs.push({
+    const entry = {
       timestamp: new Date().toISOString(),
       level,
       message,
       data
-    });
+    };
+    this.logs.push(entry);
+    this.emit('log', entry);
+  }
+  
+  /**
+   * Log the start of a pipeline step
+   * progress is the fraction of the pipeline done when the step starts (0-1)
+   */
+  step(message, progress, data) {
+    this.info(message, data);
+    this.emit('step', { timestamp: new Date().toISOString(), name: message, progress });
+  }
+  
+  /**
+   * Pass the text of an MCP tool result on to listeners line by line
+   */
+  output(result) {
+    for (const line of resultText(result).split('\n')) {
+      if (line.trim()) {
+        this.emit('stdout', { timestamp: new Date().toISOString(), line });
+      }
+    }
   }
   
   error(message, error) {
@@ -295,6 +613,8 @@ class ExecutionLogger {
 
 module.exports = {
   wrapInSafeContext,
+  executionLimits,
+  parseSafeExecutionResult,
   generateSceneValidation,
   generateObjectTracking,
   generateErrorRecovery,
@@ -0,0 +1,113 @@
+/**
+ * Candidate Scenes Module
+ * Runs alternative versions of generated code side by side without them
+ * touching each other or the user's scene: each candidate is built in its own
+ * Blender scene, then the chosen one is moved into the original scene and
+ * the rest are deleted.
+ *
+ * Each script is a separate MCP call, so the code that runs after
+ * generateEnterCandidateScene() sees the candidate as bpy.context.scene.
+ */
+
+function pythonString(value) {
+  return JSON.stringify(String(value));
+}
+
+const WINDOW_LINE = 'window = bpy.context.window or bpy.context.window_manager.windows[0]';
+
+/**
+ * Create an empty scene named name and make it the active scene
+ * The scene remembers the scene it was entered from.
+ */
+function generateEnterCandidateScene(name) {
+  return `
+import bpy
+
+${WINDOW_LINE}
+origin = window.scene
+candidate = bpy.data.scenes.new(${pythonString(name)})
+candidate["candidate_origin"] = origin.name
+candidate.world = origin.world
+candidate.unit_settings.system = origin.unit_settings.system
+candidate.unit_settings.scale_length = origin.unit_settings.scale_length
+window.scene = candidate
+
+print(f"Entered candidate scene {candidate.name} (from {origin.name})")
+`;
+}
+
+/**
+ * Make the scene the active candidate scene was entered from active again
+ * The candidate scene is kept for generateResolveCandidateScenes().
+ */
+function generateLeaveCandidateScene() {
+  return `
+import bpy
+
+${WINDOW_LINE}
+origin = bpy.data.scenes.get(window.scene.get("candidate_origin", ""))
+if origin:
+    window.scene = origin
+    print(f"Returned to scene {origin.name}")
+`;
+}
+
+/**
+ * Delete the candidate scenes in names, moving the objects of winner (if any)
+ * into the scene it was entered from
+ * Names the winner's objects got because a losing candidate held them
+ * ("Table.001") are restored once the losers are gone.
+ */
+function generateResolveCandidateScenes(names, winner = null) {
+  return `
+import bpy
+import re
+
+${WINDOW_LINE}
+names = ${JSON.stringify(names)}
+winner = ${winner ? pythonString(winner) : 'None'}
+
+def origin_of(scene):
+    return bpy.data.scenes.get(scene.get("candidate_origin", ""))
+
+for name in names:
+    scene = bpy.data.scenes.get(name)
+    if not scene:
+        continue
+    origin = origin_of(scene)
+    if window.scene == scene and origin:
+        window.scene = origin
+    if name == winner:
+        continue
+
+    for obj in list(scene.objects):
+        if len(obj.users_scene) <= 1:
+            bpy.data.objects.remove(obj, do_unlink=True)
+    for collection in list(scene.collection.children_recursive):
+        if collection.users <= 1:
+            bpy.data.collections.remove(collection)
+    bpy.data.scenes.remove(scene)
+    print(f"Removed candidate scene {name}")
+
+scene = bpy.data.scenes.get(winner) if winner else None
+if scene:
+    origin = origin_of(scene) or window.scene
+    for obj in list(scene.collection.objects):
+        origin.collection.objects.link(obj)
+    for collection in list(scene.collection.children):
+        origin.collection.children.link(collection)
+    bpy.data.scenes.remove(scene)
+
+    for obj in origin.objects:
+        match = re.match(r"^(.*)\\.\\d{3}$", obj.name)
+        if match and match.group(1) not in bpy.data.objects:
+            obj.name = match.group(1)
+    print(f"Moved candidate {winner} into scene {origin.name}")
+`;
+}
+
+module.exports = {
+  generateEnterCandidateScene,
+  generateLeaveCandidateScene,
+  generateResolveCandidateScenes
+};
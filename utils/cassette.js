@@ -0,0 +1,131 @@
+/**
+ * Cassette Module
+ * Storage format for recorded MCP traffic (see the record/replay transports)
+ *
+ * A cassette is a JSON Lines file, so recording appends each interaction:
+ *   { version, recordedAt, transport }
+ *   { method, params, result|error, durationMs, artifacts }
+ *   ...
+ * Artifacts hold files the call wrote (e.g. GLB exports) so a replay can recreate them.
+ * Version 1 cassettes (one JSON document with an interactions array) still load.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CASSETTE_VERSION = 2;
+
+/**
+ * JSON.stringify with sorted object keys, so equal arguments give equal strings
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item === undefined ? null : item)).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Match key for a request: method plus its arguments
+ */
+function interactionKey(method, params) {
+  return `${method} ${stableStringify(params || {})}`;
+}
+
+/**
+ * Tool name of a tools/call request, if any
+ */
+function toolName(method, params) {
+  return method === 'tools/call' && params ? params.name : null;
+}
+
+/**
+ * Path a generated Blender script exports to (export_path = r"...")
+ */
+function findExportPath(code) {
+  const match = typeof code === 'string' && code.match(/export_path\s*=\s*r?["']([^"']+)["']/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Start a cassette file with its header line, replacing any earlier recording
+ */
+function createCassette(filePath, transport) {
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify({
+    version: CASSETTE_VERSION,
+    recordedAt: new Date().toISOString(),
+    transport
+  }) + '\n');
+}
+
+/**
+ * Append one interaction to a cassette started with createCassette()
+ */
+function appendInteraction(filePath, interaction) {
+  return fs.promises.appendFile(filePath, JSON.stringify(interaction) + '\n');
+}
+
+/**
+ * Read a cassette: { version, recordedAt, transport, interactions }
+ * A last line cut off by a crash while recording is skipped.
+ */
+function loadCassette(filePath) {
+  let cassette;
+  try {
+    const text = fs.readFileSync(filePath, 'utf8');
+    cassette = parseCassette(text);
+  } catch (error) {
+    throw new Error(`Cannot read MCP cassette ${filePath}: ${error.message}`);
+  }
+
+  if (!cassette || !Array.isArray(cassette.interactions)) {
+    throw new Error(`Invalid MCP cassette ${filePath}: missing interactions`);
+  }
+
+  return cassette;
+}
+
+function parseCassette(text) {
+  let document = null;
+  try {
+    document = JSON.parse(text);
+  } catch (error) {
+    // JSON Lines: several documents
+  }
+  if (document && Array.isArray(document.interactions)) {
+    return document; // Version 1
+  }
+
+  const lines = text.split('\n').filter(line => line.trim());
+  const interactions = [];
+  lines.slice(1).forEach((line, index) => {
+    try {
+      interactions.push(JSON.parse(line));
+    } catch (error) {
+      if (index < lines.length - 2) {
+        throw new Error(`line ${index + 2}: ${error.message}`);
+      }
+    }
+  });
+  return { ...JSON.parse(lines[0]), interactions };
+}
+
+module.exports = {
+  stableStringify,
+  interactionKey,
+  toolName,
+  findExportPath,
+  createCassette,
+  appendInteraction,
+  loadCassette
+};
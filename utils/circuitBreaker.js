@@ -0,0 +1,89 @@
+const EventEmitter = require('events');
+
+/**
+ * Circuit Breaker Module
+ * Stops hammering a dependency that is known to be down
+ *
+ * States:
+ *   closed    - calls go through, failures are counted
+ *   open      - calls fail fast until resetTimeout has passed
+ *   half-open - one trial call is allowed; success closes, failure reopens
+ *
+ * Events:
+ *   state - { from, to, at } on every transition
+ */
+class CircuitBreaker extends EventEmitter {
+  /**
+   * Options:
+   *   failureThreshold - consecutive failures before opening (default 3)
+   *   resetTimeout     - ms to stay open before a trial (default 30s)
+   */
+  constructor(options = {}) {
+    super();
+    this.failureThreshold = options.failureThreshold || 3;
+    this.resetTimeout = options.resetTimeout || 30000;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastFailure = null;
+  }
+
+  /**
+   * Whether a call may be attempted now (moves open to half-open when the timeout passed)
+   */
+  canAttempt() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeout) {
+      this.transition('half-open');
+    }
+    return this.state !== 'open';
+  }
+
+  /**
+   * Milliseconds until the next trial is allowed (0 when not open)
+   */
+  get retryAfterMs() {
+    if (this.state !== 'open') {
+      return 0;
+    }
+    return Math.max(this.resetTimeout - (Date.now() - this.openedAt), 0);
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.lastFailure = null;
+    if (this.state !== 'closed') {
+      this.transition('closed');
+    }
+  }
+
+  recordFailure(error) {
+    this.failures++;
+    this.lastFailure = error ? error.message : null;
+
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      this.transition('open');
+    }
+  }
+
+  transition(to) {
+    const from = this.state;
+    if (from === to) {
+      return;
+    }
+    this.state = to;
+    this.emit('state', { from, to, at: new Date().toISOString() });
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      failureThreshold: this.failureThreshold,
+      retryAfterMs: this.retryAfterMs,
+      lastFailure: this.lastFailure
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,117 @@
+/**
+ * Error Types Module
+ * Distinct error classes so routes can map failures to HTTP status codes
+ */
+
+/**
+ * An MCP request did not get a response within its timeout
+ */
+class MCPTimeoutError extends Error {
+  constructor(method, timeout) {
+    super(`Request timeout: ${method} did not respond within ${timeout}ms`);
+    this.name = 'MCPTimeoutError';
+    this.code = 'MCP_TIMEOUT';
+    this.statusCode = 504;
+    this.method = method;
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * An MCP request was cancelled before it completed (e.g. the HTTP client disconnected)
+ */
+class MCPCancelledError extends Error {
+  constructor(method, reason = 'Request cancelled') {
+    super(`${method} cancelled: ${reason}`);
+    this.name = 'MCPCancelledError';
+    this.code = 'MCP_CANCELLED';
+    this.statusCode = 499; // Client closed request
+    this.method = method;
+    this.reason = reason;
+  }
+}
+
+/**
+ * The MCP connection is down (transport closed or circuit breaker open)
+ */
+class MCPUnavailableError extends Error {
+  constructor(message, retryAfterMs = 0) {
+    super(message);
+    this.name = 'MCPUnavailableError';
+    this.code = 'MCP_UNAVAILABLE';
+    this.statusCode = 503;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * The MCP server did not advertise the capability a request needs
+ */
+class MCPUnsupportedError extends Error {
+  constructor(capability) {
+    super(`MCP server does not support ${capability}`);
+    this.name = 'MCPUnsupportedError';
+    this.code = 'MCP_UNSUPPORTED';
+    this.statusCode = 501;
+    this.capability = capability;
+  }
+}
+
+/**
+ * The Blender execution queue is full
+ */
+class QueueFullError extends Error {
+  constructor(maxDepth) {
+    super(`Blender is busy: ${maxDepth} operations already waiting, please try again later`);
+    this.name = 'QueueFullError';
+    this.code = 'QUEUE_FULL';
+    this.statusCode = 503;
+    this.maxDepth = maxDepth;
+  }
+}
+
+/**
+ * A pipeline step rejected its input or output (prompt, code, SVG or GLB validation)
+ * details holds the extra fields (issues, stage, validation) returned with the error
+ */
+class PipelineError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'PipelineError';
+    this.code = 'PIPELINE_REJECTED';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * An LLM provider request failed (not configured, unreachable, timed out or rejected)
+ * details holds the provider name and a reason returned with the error
+ */
+class LLMError extends Error {
+  constructor(message, statusCode = 502, details = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.code = 'LLM_ERROR';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Resolve the HTTP status for an error thrown while handling a request
+ */
+function statusForError(error, fallback = 500) {
+  return (error && error.statusCode) || fallback;
+}
+
+module.exports = {
+  MCPTimeoutError,
+  MCPCancelledError,
+  MCPUnavailableError,
+  MCPUnsupportedError,
+  QueueFullError,
+  PipelineError,
+  LLMError,
+  statusForError
+};
@@ -3,8 +3,9 @@ const jwt = require('jsonwebtoken');
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
 const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'your-refresh-secret-key';
 
-function generateAccessToken(userId) {
-  return jwt.sign({ userId }, JWT_SECRET, { expiresIn: '1h' });
+// The role selects the user's code safety policy (see utils/safetyPolicies)
+function generateAccessToken(userId, role = 'user') {
+  return jwt.sign({ userId, role }, JWT_SECRET, { expiresIn: '1h' });
 }
 
 function generateRefreshToken(userId) {
@@ -0,0 +1,120 @@
+/**
+ * MCP Launcher Module
+ * Resolves the command used to start the Blender MCP bridge on each platform
+ */
+
+const DEFAULT_PACKAGE = 'blender-mcp';
+const DEFAULT_RUNNER = 'uvx';
+
+// Exit codes shells use when a command cannot be found
+const NOT_FOUND_EXIT_CODES = [127, 9009];
+
+/**
+ * Parse an argument list from configuration
+ * Accepts a JSON array ('["--from", "blender-mcp==1.1.3", "blender-mcp"]')
+ * or a plain whitespace-separated string
+ */
+function parseArgs(value) {
+  if (Array.isArray(value)) {
+    return value.map(String);
+  }
+
+  if (!value || !value.trim()) {
+    return [];
+  }
+
+  const trimmed = value.trim();
+  if (trimmed.startsWith('[')) {
+    const parsed = JSON.parse(trimmed);
+    if (!Array.isArray(parsed)) {
+      throw new Error('MCP_ARGS must be a JSON array of strings');
+    }
+    return parsed.map(String);
+  }
+
+  return trimmed.split(/\s+/);
+}
+
+/**
+ * Resolve the launcher command for the current platform
+ * Options (fall back to environment variables):
+ *   command - executable to run (MCP_COMMAND), defaults to uvx
+ *   args    - argument list (MCP_ARGS), defaults to [MCP_PACKAGE || 'blender-mcp']
+ *   platform - override process.platform (for diagnostics)
+ */
+function resolveLaunchCommand(options = {}) {
+  const platform = options.platform || process.platform;
+  const command = options.command || process.env.MCP_COMMAND || DEFAULT_RUNNER;
+
+  let args;
+  if (options.args !== undefined) {
+    args = parseArgs(options.args);
+  } else if (process.env.MCP_ARGS) {
+    args = parseArgs(process.env.MCP_ARGS);
+  } else {
+    args = [process.env.MCP_PACKAGE || DEFAULT_PACKAGE];
+  }
+
+  // Windows needs cmd.exe to resolve .cmd/.bat shims such as uvx installed via pip
+  if (platform === 'win32' && !/\.exe$/i.test(command)) {
+    return {
+      command: 'cmd.exe',
+      args: ['/c', command, ...args],
+      executable: command,
+      platform
+    };
+  }
+
+  return {
+    command,
+    args,
+    executable: command,
+    platform
+  };
+}
+
+/**
+ * Format the launcher for log output
+ */
+function describeLaunchCommand(launch) {
+  return [launch.command, ...launch.args].join(' ');
+}
+
+/**
+ * Check whether a spawn error or early exit means the executable is missing
+ */
+function isMissingExecutable({ error, code, stderr = '' }) {
+  if (error && error.code === 'ENOENT') {
+    return true;
+  }
+
+  if (NOT_FOUND_EXIT_CODES.includes(code)) {
+    return true;
+  }
+
+  return /is not recognized as an internal or external command/i.test(stderr);
+}
+
+/**
+ * Build a clear startup error when the launcher cannot be run
+ */
+function createMissingExecutableError(launch) {
+  const hint = launch.executable === DEFAULT_RUNNER
+    ? 'Install uv (pip install uv) or set MCP_COMMAND/MCP_ARGS to a custom launcher'
+    : 'Check MCP_COMMAND/MCP_ARGS point to an installed executable';
+
+  const error = new Error(
+    `MCP launcher '${launch.executable}' was not found on ${launch.platform}. ${hint}`
+  );
+  error.code = 'MCP_LAUNCHER_NOT_FOUND';
+  error.launch = describeLaunchCommand(launch);
+  return error;
+}
+
+module.exports = {
+  parseArgs,
+  resolveLaunchCommand,
+  describeLaunchCommand,
+  isMissingExecutable,
+  createMissingExecutableError
+};
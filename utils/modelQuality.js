@@ -5,15 +5,18 @@
 
 const fs = require('fs');
 const path = require('path');
+const { PYTHON_RESULT_HELPER, findResult } = require('./scriptResults');
 
 /**
  * Generate advanced geometry cleanup code
+ * Reports a geometry_cleanup result with the active mesh's final counts; it
+ * is marked skipped when there is no active mesh.
  */
 function generateGeometryCleanup() {
   return `
 import bpy
 import bmesh
-
+${PYTHON_RESULT_HELPER}
 print("\\n" + "=" * 60)
 print("ADVANCED GEOMETRY CLEANUP")
 print("=" * 60)
@@ -95,6 +98,16 @@ else:
         print("\\n✓ No issues found - mesh is clean!")
 
 print("=" * 60)
+
+if not obj or obj.type != 'MESH':
+    emit_result("geometry_cleanup", warnings=["No active mesh object"], skipped=True)
+else:
+    emit_result(
+        "geometry_cleanup",
+        counts={"vertices": vertex_count, "edges": edge_count, "faces": face_count, "nonManifoldVertices": selected_count},
+        warnings=issues,
+        object=obj.name
+    )
 `;
 }
 
@@ -104,12 +117,13 @@ print("=" * 60)
 function generatePBRMaterialEnhancementPreserveColors() {
   return `
 import bpy
-
+${PYTHON_RESULT_HELPER}
 print("\\n" + "=" * 60)
 print("PBR MATERIAL ENHANCEMENT (PRESERVING COLORS)")
 print("=" * 60)
 
 enhanced_count = 0
+created_count = 0
 
 for obj in bpy.data.objects:
     if obj.type != 'MESH':
@@ -123,6 +137,7 @@ for obj in bpy.data.objects:
         mat = bpy.data.materials.new(name=f"{obj.name}_Material")
         mat.use_nodes = True
         obj.data.materials.append(mat)
+        created_count += 1
     
     # Process each material
     for i, mat in enumerate(obj.data.materials):
@@ -191,6 +206,8 @@ for obj in bpy.data.objects:
 
 print(f"\\n✓ Enhanced {enhanced_count} materials (colors preserved)")
 print("=" * 60)
+
+emit_result("pbr_materials", counts={"enhanced": enhanced_count, "created": created_count}, preserveColors=True)
 `;
 }
 
@@ -200,12 +217,13 @@ print("=" * 60)
 function generatePBRMaterialEnhancement() {
   return `
 import bpy
-
+${PYTHON_RESULT_HELPER}
 print("\\n" + "=" * 60)
 print("PBR MATERIAL ENHANCEMENT")
 print("=" * 60)
 
 enhanced_count = 0
+created_count = 0
 
 for obj in bpy.data.objects:
     if obj.type != 'MESH':
@@ -219,6 +237,7 @@ for obj in bpy.data.objects:
         mat = bpy.data.materials.new(name=f"{obj.name}_Material")
         mat.use_nodes = True
         obj.data.materials.append(mat)
+        created_count += 1
     
     # Process each material
     for i, mat in enumerate(obj.data.materials):
@@ -282,6 +301,8 @@ for obj in bpy.data.objects:
 
 print(f"\\n✓ Enhanced {enhanced_count} materials with PBR properties")
 print("=" * 60)
+
+emit_result("pbr_materials", counts={"enhanced": enhanced_count, "created": created_count}, preserveColors=False)
 `;
 }
 
@@ -291,18 +312,20 @@ print("=" * 60)
 function generateUVConsistencyFix() {
   return `
 import bpy
-
+${PYTHON_RESULT_HELPER}
 print("\\n" + "=" * 60)
 print("UV CONSISTENCY CHECK & FIX")
 print("=" * 60)
 
 fixed_count = 0
+checked_count = 0
 
 for obj in bpy.data.objects:
     if obj.type != 'MESH':
         continue
     
     print(f"\\nChecking: {obj.name}")
+    checked_count += 1
     
     # Check for UV layers
     if not obj.data.uv_layers:
@@ -325,6 +348,8 @@ for obj in bpy.data.objects:
 
 print(f"\\n✓ Fixed UV layers for {fixed_count} object(s)")
 print("=" * 60)
+
+emit_result("uv_fix", counts={"checked": checked_count, "created": fixed_count})
 `;
 }
 
@@ -334,16 +359,19 @@ print("=" * 60)
 function generateAutoScaleAndOriginFix() {
   return `
 import bpy
-
+${PYTHON_RESULT_HELPER}
 print("\\n" + "=" * 60)
 print("AUTO-SCALE & ORIGIN FIX")
 print("=" * 60)
 
 # Process all mesh objects
 mesh_objects = [obj for obj in bpy.data.objects if obj.type == 'MESH']
+scaled_count = 0
+scale_warnings = []
 
 if not mesh_objects:
     print("⚠ No mesh objects found")
+    scale_warnings.append("No mesh objects found")
 else:
     print(f"Processing {len(mesh_objects)} mesh object(s)...")
     
@@ -376,14 +404,18 @@ else:
             obj.scale = (scale_factor, scale_factor, scale_factor)
             bpy.ops.object.transform_apply(location=False, rotation=False, scale=True)
             print(f"  ✓ Scaled by {round(scale_factor, 4)} (now max={round(target_size, 3)})")
+            scaled_count += 1
         else:
             print("  ⚠ Object too small, skipping scale")
+            scale_warnings.append(f"{obj.name}: too small to scale")
         
         obj.select_set(False)
     
     print(f"\\n✓ Processed {len(mesh_objects)} object(s)")
 
 print("=" * 60)
+
+emit_result("auto_scale", counts={"objects": len(mesh_objects), "scaled": scaled_count}, warnings=scale_warnings)
 `;
 }
 
@@ -393,7 +425,7 @@ print("=" * 60)
 function generateOriginFixPreserveScale() {
   return `
 import bpy
-
+${PYTHON_RESULT_HELPER}
 print("\\n" + "=" * 60)
 print("ORIGIN FIX (PRESERVING CUSTOM SCALES)")
 print("=" * 60)
@@ -431,16 +463,20 @@ else:
     print(f"\\n✓ Processed {len(mesh_objects)} object(s) - custom sizes preserved")
 
 print("=" * 60)
+
+emit_result("origin_fix", counts={"objects": len(mesh_objects)}, warnings=[] if mesh_objects else ["No mesh objects found"])
 `;
 }
 
 /**
  * Quality scoring code
+ * Scores the meshes of the current scene and reports a quality_score result
+ * that parseQualityScore() reads.
  */
 function generateQualityScore() {
   return `
 import bpy
-
+${PYTHON_RESULT_HELPER}
 print("\\n" + "=" * 60)
 print("MODEL QUALITY ASSESSMENT")
 print("=" * 60)
@@ -448,8 +484,10 @@ print("=" * 60)
 score = 100
 issues = []
 warnings = []
+total_verts = 0
+total_faces = 0
 
-mesh_objects = [obj for obj in bpy.data.objects if obj.type == 'MESH']
+mesh_objects = [obj for obj in bpy.context.scene.objects if obj.type == 'MESH']
 
 if not mesh_objects:
     score = 0
@@ -457,8 +495,6 @@ if not mesh_objects:
 else:
     print(f"\\nAnalyzing {len(mesh_objects)} mesh object(s)...")
     
-    total_verts = 0
-    total_faces = 0
     objects_with_materials = 0
     objects_with_uvs = 0
     materials_with_nodes = 0
@@ -535,14 +571,19 @@ print(f"QUALITY SCORE: {score}/100")
 print(f"{'=' * 60}")
 
 if score >= 90:
+    rating = "Excellent"
     print("Rating: ⭐⭐⭐⭐⭐ Excellent")
 elif score >= 75:
+    rating = "Good"
     print("Rating: ⭐⭐⭐⭐ Good")
 elif score >= 60:
+    rating = "Fair"
     print("Rating: ⭐⭐⭐ Fair")
 elif score >= 40:
+    rating = "Poor"
     print("Rating: ⭐⭐ Poor")
 else:
+    rating = "Very Poor"
     print("Rating: ⭐ Very Poor")
 
 if issues:
@@ -559,9 +600,40 @@ if score == 100:
     print("\\n✓ Perfect model - no issues found!")
 
 print("=" * 60)
+
+emit_result(
+    "quality_score",
+    counts={"meshes": len(mesh_objects), "vertices": total_verts, "faces": total_faces},
+    warnings=warnings,
+    score=score,
+    rating=rating,
+    issues=issues
+)
 `;
 }
 
+/**
+ * Quality score from the output of generateQualityScore() (or a pipeline ending with it)
+ * Returns { score, rating, issues, warnings, meshes, vertices, faces }, or null
+ * when the output has no score.
+ */
+function parseQualityScore(result) {
+  const reported = findResult(result, 'quality_score');
+  if (!reported) {
+    return null;
+  }
+
+  return {
+    score: reported.score,
+    rating: reported.rating,
+    issues: reported.issues || [],
+    warnings: reported.warnings,
+    meshes: reported.counts.meshes,
+    vertices: reported.counts.vertices,
+    faces: reported.counts.faces
+  };
+}
+
 /**
  * Validate GLB output file
  */
@@ -700,6 +772,7 @@ module.exports = {
   generateAutoScaleAndOriginFix,
   generateOriginFixPreserveScale,
   generateQualityScore,
+  parseQualityScore,
   generateQualityPipeline,
   generateQualityPipelinePreserveColors,
   generateQualityPipelinePreserveColorsAndScale,
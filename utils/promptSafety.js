@@ -3,27 +3,8 @@
  * Filters malicious prompts and validates AI-generated code
  */
 
-// Dangerous patterns that could be malicious
-const DANGEROUS_PATTERNS = [
-  /os\.system/gi,
-  /subprocess\./gi,
-  /eval\s*\(/gi,
-  /exec\s*\(/gi,
-  /__import__/gi,
-  /open\s*\(/gi,
-  /file\s*\(/gi,
-  /import\s+os/gi,
-  /import\s+sys/gi,
-  /import\s+subprocess/gi,
-  /bpy\.ops\.wm\.quit/gi,
-  /bpy\.ops\.wm\.save/gi,
-  /bpy\.app\.quit/gi,
-  /\.unlink\(/gi,
-  /os\.remove\(/gi,  // Only block os.remove, not all .remove
-  /\.rmdir\(/gi,
-  /shutil\./gi,
-  /pathlib\./gi
-];
+const pythonValidator = require('./pythonValidator');
+const { executionLimits } = require('./blenderSafety');
 
 // Allowed Blender operations whitelist
 const ALLOWED_OPERATIONS = [
@@ -32,6 +13,8 @@ const ALLOWED_OPERATIONS = [
   'bpy.ops.transform.',
   'bpy.ops.material.',
   'bpy.ops.node.',
+  'bpy.ops.uv.',
+  'bpy.ops.curve.',
   'bpy.context.',
   'bpy.data.',
   'bpy.types.',
@@ -47,9 +30,24 @@ const ALLOWED_OPERATIONS = [
   'import bpy',
   'import math',
   'import mathutils',
+  'import bmesh',
+  'import random',
+  'import colorsys',
   'from mathutils import'
 ];
 
+// Validation policy derived from the whitelist: its imports and bpy.ops namespaces
+const CODE_POLICY = pythonValidator.createPolicy({
+  modules: [...new Set(ALLOWED_OPERATIONS
+    .map(operation => operation.match(/^(?:import|from)\s+([\w.]+)/))
+    .filter(Boolean)
+    .map(match => match[1]))],
+  operators: ALLOWED_OPERATIONS
+    .map(operation => operation.match(/^bpy\.ops\.(\w+)\.$/))
+    .filter(Boolean)
+    .map(match => match[1])
+});
+
 // Prompt injection patterns
 const INJECTION_PATTERNS = [
   /ignore\s+(previous|above|all)\s+instructions/gi,
@@ -85,53 +83,12 @@ function detectPromptInjection(prompt) {
 
 /**
  * Validate generated Python code for safety
+ * The code is parsed and checked against policy (see utils/pythonValidator;
+ * defaults to CODE_POLICY); issues report the line and column of each violation.
  */
-function validateGeneratedCode(code) {
-  const issues = [];
-  
-  // Check for dangerous patterns
-  for (const pattern of DANGEROUS_PATTERNS) {
-    if (pattern.test(code)) {
-      issues.push({
-        severity: 'critical',
-        message: `Dangerous operation detected: ${pattern.source}`,
-        pattern: pattern.source
-      });
-    }
-  }
-  
-  // Check if code uses only allowed operations
-  const lines = code.split('\n');
-  const codeLines = lines.filter(line => {
-    const trimmed = line.trim();
-    return trimmed && !trimmed.startsWith('#') && !trimmed.startsWith('"""');
-  });
-  
-  for (const line of codeLines) {
-    const trimmed = line.trim();
-    if (trimmed.startsWith('import ') || trimmed.startsWith('from ')) {
-      // Validate imports
-      if (!trimmed.match(/^(import|from)\s+(bpy|math|mathutils)/)) {
-        issues.push({
-          severity: 'warning',
-          message: `Suspicious import: ${trimmed}`,
-          line: trimmed
-        });
-      }
-    }
-  }
-  
-  // Check for balanced brackets
-  const openBrackets = (code.match(/\(/g) || []).length;
-  const closeBrackets = (code.match(/\)/g) || []).length;
-  
-  if (openBrackets !== closeBrackets) {
-    issues.push({
-      severity: 'error',
-      message: 'Unbalanced parentheses in generated code'
-    });
-  }
-  
+function validateGeneratedCode(code, policy = CODE_POLICY) {
+  const { issues } = pythonValidator.validate(code, policy);
+
   return {
     safe: issues.filter(i => i.severity === 'critical').length === 0,
     issues,
@@ -221,16 +178,28 @@ function expandDomainVocabulary(prompt) {
 
 /**
  * Build enhanced system prompt with safety constraints
+ * The allowed modules, operators and limits come from policy (see utils/safetyPolicies).
  */
-function buildEnhancedSystemPrompt() {
+function buildEnhancedSystemPrompt(policy = CODE_POLICY) {
+  const execution = executionLimits({ maxObjects: policy.maxObjects });
+  const limits = [
+    policy.maxCodeLength && `keep the script under ${policy.maxCodeLength} characters`,
+    execution.maxObjects && `create at most ${execution.maxObjects} objects`,
+    execution.maxVertices && `at most ${execution.maxVertices} new vertices`,
+    execution.timeLimit && `finish within ${execution.timeLimit} seconds`
+  ].filter(Boolean);
+
   return `You are a Blender Python code generator specialized in 3D modeling operations.
 
 CRITICAL SAFETY RULES:
 1. NEVER use: os, sys, subprocess, eval, exec, open, file operations
-2. NEVER quit Blender or save files
-3. ONLY use bpy (Blender Python API), math, and mathutils modules
-4. NEVER access filesystem or network
-5. Output ONLY executable Python code with NO explanations
+2. NEVER quit Blender, save files, set filepath or use text data-blocks (bpy.data.texts)
+3. ONLY import these modules: ${[...policy.modules].join(', ')}
+4. ONLY call bpy.ops operators from: ${[...policy.operators].map(name => `bpy.ops.${name}`).join(', ')}
+5. NEVER access filesystem or network
+6. NEVER use dunder attributes such as __class__ or __dict__, and never a bare except: (catch Exception)
+7. Output ONLY executable Python code with NO explanations${limits.length > 0 ? `
+8. Limits: ${limits.join(', ')}` : ''}
 
 CONTEXT AWARENESS:
 - If user says "keep", "preserve", "maintain" - DO NOT create new objects
@@ -318,10 +287,43 @@ OUTPUT FORMAT:
 - Complete, executable code`;
 }
 
+/**
+ * System prompt section describing the current scene (see utils/sceneContext)
+ */
+function buildSceneContextPrompt(sceneText) {
+  return `CURRENT SCENE:
+${sceneText}
+
+- Refer to existing objects by these exact names, e.g. bpy.data.objects.get("Chair")
+- Dimensions are world-space sizes in meters (x, y, z)
+- Objects listed only by name or not listed still exist; look them up before changing them`;
+}
+
+const MAX_REPAIR_TRACEBACK = 4000;
+
+/**
+ * Follow-up message asking the model to fix code that failed in Blender
+ * failure is { error, traceback } with line numbers relative to the failed code
+ */
+function buildRepairPrompt(failure) {
+  // Keep the end of long tracebacks, where the failing frame is
+  const traceback = failure.traceback && failure.traceback.length > MAX_REPAIR_TRACEBACK
+    ? `...${failure.traceback.slice(-MAX_REPAIR_TRACEBACK)}`
+    : failure.traceback;
+
+  return `The code you wrote failed when it ran in Blender.
+
+Error: ${failure.error}
+${traceback ? `\nTraceback (line numbers refer to your code):\n${traceback}\n` : ''}
+Fix the error and return the complete corrected script.
+Follow the same rules as before and output ONLY executable Python code.`;
+}
+
 /**
  * Comprehensive prompt validation and preprocessing
+ * policy selects the rules the system prompt lists (defaults to CODE_POLICY).
  */
-function processPrompt(userPrompt) {
+function processPrompt(userPrompt, policy = CODE_POLICY) {
   // Step 1: Detect injection
   const injectionCheck = detectPromptInjection(userPrompt);
   if (!injectionCheck.safe) {
@@ -339,7 +341,7 @@ function processPrompt(userPrompt) {
   const expanded = expandDomainVocabulary(cleaned);
   
   // Step 4: Build system prompt
-  const systemPrompt = buildEnhancedSystemPrompt();
+  const systemPrompt = buildEnhancedSystemPrompt(policy);
   
   return {
     valid: true,
@@ -356,7 +358,9 @@ module.exports = {
   preprocessPrompt,
   expandDomainVocabulary,
   buildEnhancedSystemPrompt,
+  buildSceneContextPrompt,
+  buildRepairPrompt,
   processPrompt,
   ALLOWED_OPERATIONS,
-  DANGEROUS_PATTERNS
+  CODE_POLICY
 };
@@ -0,0 +1,1471 @@
+/**
+ * Python Parser Module
+ * Tokenizer and recursive descent parser for the Python 3 syntax used in
+ * Blender scripts, so generated code can be checked on its syntax tree
+ * instead of with text patterns (see utils/pythonValidator).
+ *
+ * parse() returns a tree shaped like Python's ast module: every node has a
+ * type ('Call', 'Attribute', 'Import', ...) plus its line and column
+ * (both 1-based). Expressions inside f-strings are parsed as well.
+ * Not supported: match statements and type parameter syntax. A match
+ * statement raises a PythonSyntaxError with unsupported set, so callers can
+ * tell it apart from invalid code.
+ */
+
+const KEYWORDS = new Set([
+  'False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue',
+  'def', 'del', 'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import',
+  'in', 'is', 'lambda', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'try', 'while',
+  'with', 'yield'
+]);
+
+// Longest first, so '**=' wins over '**' and '*'
+const OPERATORS = [
+  '**=', '//=', '>>=', '<<=', '...', '!=', '->', ':=', '**', '//', '<<', '>>', '<=', '>=', '==',
+  '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '@=',
+  '+', '-', '*', '/', '%', '@', '&', '|', '^', '~', '<', '>', '(', ')', '[', ']', '{', '}',
+  ',', ':', ';', '.', '='
+];
+
+const AUGMENTED_ASSIGN = new Set(['+=', '-=', '*=', '/=', '//=', '%=', '@=', '&=', '|=', '^=', '>>=', '<<=', '**=']);
+const COMPARISON = new Set(['<', '>', '==', '>=', '<=', '!=']);
+
+const NUMBER_PATTERN = /^(?:0[xX][\da-fA-F_]+|0[oO][0-7_]+|0[bB][01_]+|(?:\d[\d_]*(?:\.[\d_]*)?|\.\d[\d_]*)(?:[eE][+-]?\d[\d_]*)?[jJ]?)/;
+const NAME_PATTERN = /^[A-Za-z_\u0080-￿][\w\u0080-￿]*/;
+const STRING_PREFIX = /^(?:[rRuUbBfF]|[rR][bBfF]|[bBfF][rR])$/;
+
+class PythonSyntaxError extends Error {
+  constructor(message, line, column, unsupported = false) {
+    super(`${message} (line ${line}, column ${column})`);
+    this.name = 'PythonSyntaxError';
+    this.reason = message;
+    this.line = line;
+    this.column = column;
+    this.unsupported = unsupported;
+  }
+}
+
+/**
+ * Split source into tokens: NAME, NUMBER, STRING, OP, NEWLINE, INDENT, DEDENT, END
+ * Tokens are { type, value, line, column }; strings also carry prefix and body.
+ */
+function tokenize(source) {
+  const text = source.replace(/\r\n?/g, '\n');
+  const tokens = [];
+  const indents = [0];
+  let pos = 0;
+  let line = 1;
+  let lineStart = 0;
+  let depth = 0;
+  let atLineStart = true;
+
+  const column = () => pos - lineStart + 1;
+  const push = (type, value, tokenLine, tokenColumn, extra) => tokens.push({ type, value, line: tokenLine, column: tokenColumn, ...extra });
+
+  while (pos < text.length) {
+    if (atLineStart && depth === 0) {
+      // Measure indentation; blank and comment-only lines do not count
+      let width = 0;
+      let scan = pos;
+      while (scan < text.length && (text[scan] === ' ' || text[scan] === '\t' || text[scan] === '\f')) {
+        width = text[scan] === '\t' ? (Math.floor(width / 8) + 1) * 8 : width + 1;
+        scan++;
+      }
+      if (scan >= text.length || text[scan] === '\n' || text[scan] === '#' || (text[scan] === '\\' && text[scan + 1] === '\n')) {
+        pos = scan;
+        atLineStart = false;
+        if (text[scan] === '#' || text[scan] === '\n') {
+          while (pos < text.length && text[pos] !== '\n') {
+            pos++;
+          }
+          if (pos < text.length) {
+            pos++;
+            line++;
+            lineStart = pos;
+          }
+          atLineStart = true;
+        }
+        continue;
+      }
+
+      pos = scan;
+      atLineStart = false;
+      const current = indents[indents.length - 1];
+      if (width > current) {
+        indents.push(width);
+        push('INDENT', '', line, 1);
+      } else if (width < current) {
+        while (width < indents[indents.length - 1]) {
+          indents.pop();
+          push('DEDENT', '', line, 1);
+        }
+        if (width !== indents[indents.length - 1]) {
+          throw new PythonSyntaxError('Unindent does not match any outer indentation level', line, column());
+        }
+      }
+      continue;
+    }
+
+    const char = text[pos];
+
+    if (char === '\n') {
+      if (depth === 0) {
+        push('NEWLINE', '\n', line, column());
+        atLineStart = true;
+      }
+      pos++;
+      line++;
+      lineStart = pos;
+      continue;
+    }
+
+    if (char === ' ' || char === '\t' || char === '\f') {
+      pos++;
+      continue;
+    }
+
+    if (char === '#') {
+      while (pos < text.length && text[pos] !== '\n') {
+        pos++;
+      }
+      continue;
+    }
+
+    if (char === '\\') {
+      if (text[pos + 1] !== '\n') {
+        throw new PythonSyntaxError('Unexpected character after line continuation', line, column());
+      }
+      pos += 2;
+      line++;
+      lineStart = pos;
+      continue;
+    }
+
+    const rest = text.slice(pos, pos + 200);
+    const name = rest.match(NAME_PATTERN);
+    const quoteAfterName = name && (text[pos + name[0].length] === '"' || text[pos + name[0].length] === "'");
+
+    if (char === '"' || char === "'" || (quoteAfterName && STRING_PREFIX.test(name[0]))) {
+      const prefix = char === '"' || char === "'" ? '' : name[0];
+      const startLine = line;
+      const startColumn = column();
+      pos += prefix.length;
+
+      const quote = text.startsWith(text[pos].repeat(3), pos) ? text[pos].repeat(3) : text[pos];
+      pos += quote.length;
+      const bodyStart = pos;
+
+      for (;;) {
+        if (pos >= text.length) {
+          throw new PythonSyntaxError('Unterminated string literal', startLine, startColumn);
+        }
+        if (text[pos] === '\\') {
+          if (text[pos + 1] === '\n') {
+            line++;
+            lineStart = pos + 2;
+          }
+          pos += 2;
+          continue;
+        }
+        if (text.startsWith(quote, pos)) {
+          break;
+        }
+        if (text[pos] === '\n') {
+          if (quote.length === 1) {
+            throw new PythonSyntaxError('Unterminated string literal', startLine, startColumn);
+          }
+          line++;
+          lineStart = pos + 1;
+        }
+        pos++;
+      }
+
+      const body = text.slice(bodyStart, pos);
+      pos += quote.length;
+      push('STRING', text.slice(bodyStart - quote.length - prefix.length, pos), startLine, startColumn, {
+        prefix: prefix.toLowerCase(),
+        body,
+        bodyLine: startLine,
+        bodyColumn: startColumn + prefix.length + quote.length
+      });
+      continue;
+    }
+
+    if (name) {
+      push('NAME', name[0], line, column());
+      pos += name[0].length;
+      continue;
+    }
+
+    const number = /[\d.]/.test(char) ? rest.match(NUMBER_PATTERN) : null;
+    if (number && number[0] !== '.') {
+      push('NUMBER', number[0], line, column());
+      pos += number[0].length;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => text.startsWith(op, pos));
+    if (operator) {
+      if ('([{'.includes(operator)) {
+        depth++;
+      } else if (')]}'.includes(operator)) {
+        depth = Math.max(depth - 1, 0);
+      }
+      push('OP', operator, line, column());
+      pos += operator.length;
+      continue;
+    }
+
+    throw new PythonSyntaxError(`Invalid character '${char}'`, line, column());
+  }
+
+  if (depth > 0) {
+    throw new PythonSyntaxError('Unexpected end of file: unclosed bracket', line, column());
+  }
+
+  if (tokens.length > 0 && tokens[tokens.length - 1].type !== 'NEWLINE' && tokens[tokens.length - 1].type !== 'DEDENT') {
+    push('NEWLINE', '', line, column());
+  }
+  while (indents.length > 1) {
+    indents.pop();
+    push('DEDENT', '', line, column());
+  }
+  push('END', '', line, column());
+
+  return tokens;
+}
+
+const SIMPLE_ESCAPES = { n: '\n', t: '\t', r: '\r', '\\': '\\', "'": "'", '"': '"', a: '\x07', b: '\b', f: '\f', v: '\v', 0: '\0' };
+
+/**
+ * Value of a non-raw string body with escape sequences applied
+ */
+function decodeEscapes(body) {
+  return body.replace(/\\(x[\da-fA-F]{2}|u[\da-fA-F]{4}|U[\da-fA-F]{8}|[0-7]{1,3}|N\{[^}]*\}|\n|.)/g, (match, escape) => {
+    if (escape === '\n') {
+      return '';
+    }
+    if (/^[xuU]/.test(escape)) {
+      return String.fromCodePoint(parseInt(escape.slice(1), 16));
+    }
+    if (/^[0-7]+$/.test(escape) && escape !== '0') {
+      return String.fromCharCode(parseInt(escape, 8));
+    }
+    if (escape.startsWith('N{')) {
+      return match;
+    }
+    return SIMPLE_ESCAPES[escape] !== undefined ? SIMPLE_ESCAPES[escape] : match;
+  });
+}
+
+/**
+ * Line and column of offset within a token body that starts at (line, column)
+ */
+function positionIn(body, offset, line, column) {
+  const before = body.slice(0, offset);
+  const newlines = before.split('\n');
+  return newlines.length === 1
+    ? { line, column: column + offset }
+    : { line: line + newlines.length - 1, column: newlines[newlines.length - 1].length + 1 };
+}
+
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.index = 0;
+  }
+
+  get token() {
+    return this.tokens[this.index];
+  }
+
+  peek(offset = 1) {
+    return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)];
+  }
+
+  node(type, token, fields) {
+    return { type, line: token.line, column: token.column, ...fields };
+  }
+
+  fail(message, token = this.token) {
+    throw new PythonSyntaxError(message, token.line, token.column);
+  }
+
+  isOp(value, token = this.token) {
+    return token.type === 'OP' && token.value === value;
+  }
+
+  isKeyword(value, token = this.token) {
+    return token.type === 'NAME' && token.value === value;
+  }
+
+  acceptOp(value) {
+    if (this.isOp(value)) {
+      return this.tokens[this.index++];
+    }
+    return null;
+  }
+
+  acceptKeyword(value) {
+    if (this.isKeyword(value)) {
+      return this.tokens[this.index++];
+    }
+    return null;
+  }
+
+  expectOp(value) {
+    return this.acceptOp(value) || this.fail(`Expected '${value}'`);
+  }
+
+  expectKeyword(value) {
+    return this.acceptKeyword(value) || this.fail(`Expected '${value}'`);
+  }
+
+  expect(type) {
+    if (this.token.type !== type) {
+      this.fail(`Expected ${type.toLowerCase()}`);
+    }
+    return this.tokens[this.index++];
+  }
+
+  expectName() {
+    if (this.token.type !== 'NAME' || KEYWORDS.has(this.token.value)) {
+      this.fail('Expected a name');
+    }
+    return this.tokens[this.index++];
+  }
+
+  // ----- Statements -----
+
+  parseModule() {
+    const body = [];
+    while (this.token.type !== 'END') {
+      if (this.token.type === 'NEWLINE') {
+        this.index++;
+        continue;
+      }
+      if (this.token.type === 'INDENT') {
+        this.fail('Unexpected indent');
+      }
+      body.push(...this.parseStatement());
+    }
+    return { type: 'Module', line: 1, column: 1, body };
+  }
+
+  parseStatement() {
+    const token = this.token;
+
+    if (token.type === 'OP' && token.value === '@') {
+      return [this.parseDecorated()];
+    }
+
+    if (token.type === 'NAME') {
+      switch (token.value) {
+        case 'if': return [this.parseIf()];
+        case 'while': return [this.parseWhile()];
+        case 'for': return [this.parseFor()];
+        case 'try': return [this.parseTry()];
+        case 'with': return [this.parseWith()];
+        case 'def': return [this.parseFunction([])];
+        case 'class': return [this.parseClass([])];
+        case 'match':
+          if (this.isMatchStatement()) {
+            throw new PythonSyntaxError('match statements are not supported; use if/elif instead', token.line, token.column, true);
+          }
+          break;
+        case 'async':
+          if (['def', 'for', 'with'].includes(this.peek().value)) {
+            this.index++;
+            const statement = this.parseStatement()[0];
+            statement.async = true;
+            return [statement];
+          }
+          break;
+        default:
+          break;
+      }
+    }
+
+    return this.parseSimpleStatements();
+  }
+
+  // match is a soft keyword: "match x:" followed by an indented "case" block, not a call or name
+  isMatchStatement() {
+    let end = this.index + 1;
+    while (this.tokens[end] && this.tokens[end].type !== 'NEWLINE' && this.tokens[end].type !== 'END') {
+      end++;
+    }
+    const last = this.tokens[end - 1];
+    const indent = this.tokens[end + 1];
+    const next = this.tokens[end + 2];
+    return end > this.index + 2 && last.type === 'OP' && last.value === ':' &&
+      indent && indent.type === 'INDENT' && next && next.type === 'NAME' && next.value === 'case';
+  }
+
+  parseSimpleStatements() {
+    const statements = [this.parseSmallStatement()];
+    while (this.acceptOp(';')) {
+      if (this.token.type === 'NEWLINE') {
+        break;
+      }
+      statements.push(this.parseSmallStatement());
+    }
+    this.expect('NEWLINE');
+    return statements;
+  }
+
+  parseSmallStatement() {
+    const token = this.token;
+
+    if (token.type === 'NAME') {
+      switch (token.value) {
+        case 'pass':
+        case 'break':
+        case 'continue':
+          this.index++;
+          return this.node(token.value[0].toUpperCase() + token.value.slice(1), token, {});
+        case 'return':
+          this.index++;
+          return this.node('Return', token, { value: this.atStatementEnd() ? null : this.parseTestListStar() });
+        case 'raise': {
+          this.index++;
+          if (this.atStatementEnd()) {
+            return this.node('Raise', token, { exc: null, cause: null });
+          }
+          const exc = this.parseTest();
+          const cause = this.acceptKeyword('from') ? this.parseTest() : null;
+          return this.node('Raise', token, { exc, cause });
+        }
+        case 'global':
+        case 'nonlocal': {
+          this.index++;
+          const names = [this.expectName().value];
+          while (this.acceptOp(',')) {
+            names.push(this.expectName().value);
+          }
+          return this.node(token.value === 'global' ? 'Global' : 'Nonlocal', token, { names });
+        }
+        case 'del': {
+          this.index++;
+          const targets = this.parseExpressionList(() => this.parseStarOr(() => this.parseExpr()));
+          return this.node('Delete', token, { targets: this.unpackTargets(targets, 'del') });
+        }
+        case 'assert': {
+          this.index++;
+          const test = this.parseTest();
+          const msg = this.acceptOp(',') ? this.parseTest() : null;
+          return this.node('Assert', token, { test, msg });
+        }
+        case 'import':
+          return this.parseImport();
+        case 'from':
+          return this.parseImportFrom();
+        default:
+          break;
+      }
+    }
+
+    return this.parseExpressionStatement();
+  }
+
+  atStatementEnd() {
+    return this.token.type === 'NEWLINE' || this.token.type === 'END' || this.isOp(';');
+  }
+
+  parseExpressionStatement() {
+    const token = this.token;
+    const first = this.isKeyword('yield') ? this.parseYield() : this.parseTestListStar();
+
+    if (this.token.type === 'OP' && AUGMENTED_ASSIGN.has(this.token.value)) {
+      const op = this.tokens[this.index++].value;
+      const value = this.isKeyword('yield') ? this.parseYield() : this.parseTestList();
+      this.setContext(first, 'store');
+      return this.node('AugAssign', token, { target: first, op, value });
+    }
+
+    if (this.isOp(':')) {
+      this.index++;
+      const annotation = this.parseTest();
+      const value = this.acceptOp('=') ? (this.isKeyword('yield') ? this.parseYield() : this.parseTestListStar()) : null;
+      this.setContext(first, 'store');
+      return this.node('AnnAssign', token, { target: first, annotation, value });
+    }
+
+    if (this.isOp('=')) {
+      const targets = [first];
+      let value = first;
+      while (this.acceptOp('=')) {
+        value = this.isKeyword('yield') ? this.parseYield() : this.parseTestListStar();
+        targets.push(value);
+      }
+      targets.pop();
+      targets.forEach(target => this.setContext(target, 'store'));
+      return this.node('Assign', token, { targets, value });
+    }
+
+    return this.node('Expr', token, { value: first });
+  }
+
+  parseImport() {
+    const token = this.expectKeyword('import');
+    const names = [];
+    do {
+      const aliasToken = this.token;
+      const name = this.parseDottedName();
+      const asname = this.acceptKeyword('as') ? this.expectName().value : null;
+      names.push(this.node('alias', aliasToken, { name, asname }));
+    } while (this.acceptOp(','));
+    return this.node('Import', token, { names });
+  }
+
+  parseImportFrom() {
+    const token = this.expectKeyword('from');
+    let level = 0;
+    while (this.isOp('.') || this.isOp('...')) {
+      level += this.tokens[this.index++].value.length;
+    }
+    const module = this.isKeyword('import') ? null : this.parseDottedName();
+    this.expectKeyword('import');
+
+    const names = [];
+    if (this.isOp('*')) {
+      names.push(this.node('alias', this.tokens[this.index++], { name: '*', asname: null }));
+    } else {
+      const parenthesized = this.acceptOp('(');
+      do {
+        if (parenthesized && this.isOp(')')) {
+          break;
+        }
+        const aliasToken = this.token;
+        const name = this.expectName().value;
+        const asname = this.acceptKeyword('as') ? this.expectName().value : null;
+        names.push(this.node('alias', aliasToken, { name, asname }));
+      } while (this.acceptOp(','));
+      if (parenthesized) {
+        this.expectOp(')');
+      }
+    }
+    return this.node('ImportFrom', token, { module, names, level });
+  }
+
+  parseDottedName() {
+    const parts = [this.expectName().value];
+    while (this.acceptOp('.')) {
+      parts.push(this.expectName().value);
+    }
+    return parts.join('.');
+  }
+
+  parseBlock() {
+    this.expectOp(':');
+    if (this.token.type !== 'NEWLINE') {
+      return this.parseSimpleStatements();
+    }
+    this.index++;
+    this.expect('INDENT');
+    const body = [];
+    while (this.token.type !== 'DEDENT' && this.token.type !== 'END') {
+      if (this.token.type === 'NEWLINE') {
+        this.index++;
+        continue;
+      }
+      body.push(...this.parseStatement());
+    }
+    this.expect('DEDENT');
+    return body;
+  }
+
+  parseIf() {
+    const token = this.tokens[this.index++];
+    const test = this.parseNamedExpression();
+    const body = this.parseBlock();
+    let orelse = [];
+    if (this.isKeyword('elif')) {
+      orelse = [this.parseIf()];
+    } else if (this.acceptKeyword('else')) {
+      orelse = this.parseBlock();
+    }
+    return this.node('If', token, { test, body, orelse });
+  }
+
+  parseWhile() {
+    const token = this.expectKeyword('while');
+    const test = this.parseNamedExpression();
+    const body = this.parseBlock();
+    const orelse = this.acceptKeyword('else') ? this.parseBlock() : [];
+    return this.node('While', token, { test, body, orelse });
+  }
+
+  parseFor() {
+    const token = this.expectKeyword('for');
+    const target = this.parseTargetList();
+    this.expectKeyword('in');
+    const iter = this.parseTestListStar();
+    const body = this.parseBlock();
+    const orelse = this.acceptKeyword('else') ? this.parseBlock() : [];
+    return this.node('For', token, { target, iter, body, orelse });
+  }
+
+  parseTargetList() {
+    const target = this.parseExpressionList(() => this.parseStarOr(() => this.parseExpr()));
+    this.setContext(target, 'store');
+    return target;
+  }
+
+  parseTry() {
+    const token = this.expectKeyword('try');
+    const body = this.parseBlock();
+    const handlers = [];
+
+    while (this.isKeyword('except')) {
+      const handlerToken = this.tokens[this.index++];
+      this.acceptOp('*');
+      let handlerType = null;
+      let name = null;
+      if (!this.isOp(':')) {
+        handlerType = this.parseTest();
+        if (this.acceptOp(',')) {
+          const elts = [handlerType];
+          do {
+            elts.push(this.parseTest());
+          } while (this.acceptOp(','));
+          handlerType = this.node('Tuple', handlerToken, { elts });
+        }
+        if (this.acceptKeyword('as')) {
+          name = this.expectName().value;
+        }
+      }
+      handlers.push(this.node('ExceptHandler', handlerToken, { handlerType, name, body: this.parseBlock() }));
+    }
+
+    const orelse = handlers.length > 0 && this.acceptKeyword('else') ? this.parseBlock() : [];
+    const finalbody = this.acceptKeyword('finally') ? this.parseBlock() : [];
+
+    if (handlers.length === 0 && finalbody.length === 0) {
+      this.fail("Expected 'except' or 'finally' block");
+    }
+    return this.node('Try', token, { body, handlers, orelse, finalbody });
+  }
+
+  parseWith() {
+    const token = this.expectKeyword('with');
+    let items = null;
+
+    // with (a as b, c as d): needs lookahead, since a parenthesized expression also starts with '('
+    if (this.isOp('(')) {
+      const start = this.index;
+      try {
+        this.index++;
+        items = [];
+        do {
+          if (this.isOp(')')) {
+            break;
+          }
+          items.push(this.parseWithItem());
+        } while (this.acceptOp(','));
+        this.expectOp(')');
+        if (!this.isOp(':')) {
+          throw new PythonSyntaxError('Not a parenthesized with statement', token.line, token.column);
+        }
+      } catch (error) {
+        this.index = start;
+        items = null;
+      }
+    }
+
+    if (!items) {
+      items = [this.parseWithItem()];
+      while (this.acceptOp(',')) {
+        items.push(this.parseWithItem());
+      }
+    }
+
+    return this.node('With', token, { items, body: this.parseBlock() });
+  }
+
+  parseWithItem() {
+    const contextExpr = this.parseTest();
+    let optionalVars = null;
+    if (this.acceptKeyword('as')) {
+      optionalVars = this.parseStarOr(() => this.parseExpr());
+      this.setContext(optionalVars, 'store');
+    }
+    return { type: 'withitem', line: contextExpr.line, column: contextExpr.column, contextExpr, optionalVars };
+  }
+
+  parseDecorated() {
+    const decorators = [];
+    while (this.acceptOp('@')) {
+      decorators.push(this.parseNamedExpression());
+      this.expect('NEWLINE');
+    }
+    if (this.isKeyword('def')) {
+      return this.parseFunction(decorators);
+    }
+    if (this.isKeyword('class')) {
+      return this.parseClass(decorators);
+    }
+    if (this.isKeyword('async') && this.isKeyword('def', this.peek())) {
+      this.index++;
+      const fn = this.parseFunction(decorators);
+      fn.async = true;
+      return fn;
+    }
+    return this.fail('Expected a function or class definition after decorator');
+  }
+
+  parseFunction(decorators) {
+    const token = this.expectKeyword('def');
+    const name = this.expectName().value;
+    this.expectOp('(');
+    const args = this.parseParameters(')', true);
+    this.expectOp(')');
+    const returns = this.acceptOp('->') ? this.parseTest() : null;
+    const body = this.parseBlock();
+    return this.node('FunctionDef', token, { name, args, returns, body, decorators });
+  }
+
+  parseClass(decorators) {
+    const token = this.expectKeyword('class');
+    const name = this.expectName().value;
+    let bases = [];
+    let keywords = [];
+    if (this.acceptOp('(')) {
+      ({ args: bases, keywords } = this.parseArguments());
+      this.expectOp(')');
+    }
+    const body = this.parseBlock();
+    return this.node('ClassDef', token, { name, bases, keywords, body, decorators });
+  }
+
+  /**
+   * Parameter list up to closing (')' for def, ':' for lambda)
+   */
+  parseParameters(closing, annotations) {
+    const args = [];
+    const defaults = [];
+    let vararg = null;
+    let kwarg = null;
+
+    const parseArg = () => {
+      const nameToken = this.expectName();
+      const annotation = annotations && this.acceptOp(':') ? this.parseTest() : null;
+      return this.node('arg', nameToken, { arg: nameToken.value, annotation });
+    };
+
+    while (!this.isOp(closing)) {
+      if (this.acceptOp('/')) {
+        // Positional-only marker
+      } else if (this.acceptOp('**')) {
+        kwarg = parseArg();
+      } else if (this.acceptOp('*')) {
+        if (!this.isOp(',') && !this.isOp(closing)) {
+          vararg = parseArg();
+        }
+      } else {
+        args.push(parseArg());
+        if (this.acceptOp('=')) {
+          defaults.push(this.parseTest());
+        }
+      }
+      if (!this.acceptOp(',')) {
+        break;
+      }
+    }
+
+    return { type: 'arguments', args, defaults, vararg, kwarg };
+  }
+
+  // ----- Expressions -----
+
+  parseExpressionList(parseItem) {
+    const token = this.token;
+    const first = parseItem();
+    if (!this.isOp(',')) {
+      return first;
+    }
+    const elts = [first];
+    while (this.acceptOp(',')) {
+      if (this.atExpressionListEnd()) {
+        break;
+      }
+      elts.push(parseItem());
+    }
+    return this.node('Tuple', token, { elts });
+  }
+
+  atExpressionListEnd() {
+    const token = this.token;
+    return token.type === 'NEWLINE' || token.type === 'END' ||
+      (token.type === 'OP' && ['=', ')', ']', '}', ':', ';'].concat([...AUGMENTED_ASSIGN]).includes(token.value)) ||
+      this.isKeyword('in');
+  }
+
+  parseTestList() {
+    return this.parseExpressionList(() => this.parseTest());
+  }
+
+  parseTestListStar() {
+    return this.parseExpressionList(() => this.parseStarOr(() => this.parseNamedExpression()));
+  }
+
+  parseStarOr(parseItem) {
+    const token = this.token;
+    if (this.acceptOp('*')) {
+      return this.node('Starred', token, { value: this.parseExpr() });
+    }
+    return parseItem();
+  }
+
+  parseYield() {
+    const token = this.expectKeyword('yield');
+    if (this.acceptKeyword('from')) {
+      return this.node('YieldFrom', token, { value: this.parseTest() });
+    }
+    const value = this.atStatementEnd() || this.isOp(')') || this.isOp('=') ? null : this.parseTestListStar();
+    return this.node('Yield', token, { value });
+  }
+
+  parseNamedExpression() {
+    const token = this.token;
+    const test = this.parseTest();
+    if (this.isOp(':=')) {
+      if (test.type !== 'Name') {
+        this.fail('Cannot use assignment expression with this target');
+      }
+      this.index++;
+      this.setContext(test, 'store');
+      return this.node('NamedExpr', token, { target: test, value: this.parseTest() });
+    }
+    return test;
+  }
+
+  parseTest() {
+    const token = this.token;
+    if (this.isKeyword('lambda')) {
+      return this.parseLambda();
+    }
+    const body = this.parseOr();
+    if (this.isKeyword('if') && !this.inComprehensionCondition) {
+      this.index++;
+      const test = this.parseOr();
+      this.expectKeyword('else');
+      const orelse = this.parseTest();
+      return this.node('IfExp', token, { test, body, orelse });
+    }
+    return body;
+  }
+
+  parseLambda() {
+    const token = this.expectKeyword('lambda');
+    const args = this.parseParameters(':', false);
+    this.expectOp(':');
+    return this.node('Lambda', token, { args, body: this.parseTest() });
+  }
+
+  parseOr() {
+    const token = this.token;
+    const first = this.parseAnd();
+    if (!this.isKeyword('or')) {
+      return first;
+    }
+    const values = [first];
+    while (this.acceptKeyword('or')) {
+      values.push(this.parseAnd());
+    }
+    return this.node('BoolOp', token, { op: 'or', values });
+  }
+
+  parseAnd() {
+    const token = this.token;
+    const first = this.parseNot();
+    if (!this.isKeyword('and')) {
+      return first;
+    }
+    const values = [first];
+    while (this.acceptKeyword('and')) {
+      values.push(this.parseNot());
+    }
+    return this.node('BoolOp', token, { op: 'and', values });
+  }
+
+  parseNot() {
+    const token = this.token;
+    if (this.acceptKeyword('not')) {
+      return this.node('UnaryOp', token, { op: 'not', operand: this.parseNot() });
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const token = this.token;
+    const left = this.parseExpr();
+    const ops = [];
+    const comparators = [];
+
+    for (;;) {
+      let op = null;
+      if (this.token.type === 'OP' && COMPARISON.has(this.token.value)) {
+        op = this.tokens[this.index++].value;
+      } else if (this.isKeyword('in')) {
+        this.index++;
+        op = 'in';
+      } else if (this.isKeyword('not') && this.isKeyword('in', this.peek())) {
+        this.index += 2;
+        op = 'not in';
+      } else if (this.isKeyword('is')) {
+        this.index++;
+        op = this.acceptKeyword('not') ? 'is not' : 'is';
+      }
+      if (!op) {
+        break;
+      }
+      ops.push(op);
+      comparators.push(this.parseExpr());
+    }
+
+    return ops.length === 0 ? left : this.node('Compare', token, { left, ops, comparators });
+  }
+
+  parseBinary(operators, parseOperand) {
+    const token = this.token;
+    let left = parseOperand();
+    while (this.token.type === 'OP' && operators.includes(this.token.value)) {
+      const op = this.tokens[this.index++].value;
+      left = this.node('BinOp', token, { left, op, right: parseOperand() });
+    }
+    return left;
+  }
+
+  parseExpr() {
+    return this.parseBinary(['|'], () =>
+      this.parseBinary(['^'], () =>
+        this.parseBinary(['&'], () =>
+          this.parseBinary(['<<', '>>'], () =>
+            this.parseBinary(['+', '-'], () =>
+              this.parseBinary(['*', '/', '//', '%', '@'], () => this.parseFactor()))))));
+  }
+
+  parseFactor() {
+    const token = this.token;
+    if (token.type === 'OP' && ['+', '-', '~'].includes(token.value)) {
+      this.index++;
+      return this.node('UnaryOp', token, { op: token.value, operand: this.parseFactor() });
+    }
+    return this.parsePower();
+  }
+
+  parsePower() {
+    const token = this.token;
+    let base;
+    if (this.acceptKeyword('await')) {
+      base = this.node('Await', token, { value: this.parsePrimary() });
+    } else {
+      base = this.parsePrimary();
+    }
+    if (this.acceptOp('**')) {
+      return this.node('BinOp', token, { left: base, op: '**', right: this.parseFactor() });
+    }
+    return base;
+  }
+
+  parsePrimary() {
+    let expression = this.parseAtom();
+
+    for (;;) {
+      const token = this.token;
+      if (this.acceptOp('.')) {
+        const attr = this.expectName().value;
+        expression = this.node('Attribute', token, { value: expression, attr, attrLine: token.line, attrColumn: token.column + 1 });
+      } else if (this.acceptOp('(')) {
+        const { args, keywords } = this.parseArguments();
+        this.expectOp(')');
+        expression = this.node('Call', token, { func: expression, args, keywords });
+      } else if (this.acceptOp('[')) {
+        const slice = this.parseSubscripts();
+        this.expectOp(']');
+        expression = this.node('Subscript', token, { value: expression, slice });
+      } else {
+        return expression;
+      }
+    }
+  }
+
+  parseArguments() {
+    const args = [];
+    const keywords = [];
+
+    while (!this.isOp(')')) {
+      const token = this.token;
+      if (this.acceptOp('**')) {
+        keywords.push(this.node('keyword', token, { arg: null, value: this.parseTest() }));
+      } else if (this.acceptOp('*')) {
+        args.push(this.node('Starred', token, { value: this.parseTest() }));
+      } else if (token.type === 'NAME' && !KEYWORDS.has(token.value) && this.isOp('=', this.peek())) {
+        this.index += 2;
+        keywords.push(this.node('keyword', token, { arg: token.value, value: this.parseTest() }));
+      } else {
+        const value = this.parseNamedExpression();
+        if (this.isKeyword('for') || (this.isKeyword('async') && this.isKeyword('for', this.peek()))) {
+          args.push(this.node('GeneratorExp', token, { elt: value, generators: this.parseComprehension() }));
+        } else {
+          args.push(value);
+        }
+      }
+      if (!this.acceptOp(',')) {
+        break;
+      }
+    }
+
+    return { args, keywords };
+  }
+
+  parseSubscripts() {
+    const token = this.token;
+    const items = [];
+    do {
+      if (this.isOp(']')) {
+        break;
+      }
+      items.push(this.parseSubscript());
+    } while (this.acceptOp(','));
+
+    if (items.length === 1 && !this.isOp(',', this.tokens[this.index - 1])) {
+      return items[0];
+    }
+    return this.node('Tuple', token, { elts: items });
+  }
+
+  parseSubscript() {
+    const token = this.token;
+    if (this.isOp('*')) {
+      return this.parseStarOr(() => null);
+    }
+    const lower = this.isOp(':') ? null : this.parseNamedExpression();
+    if (!this.acceptOp(':')) {
+      return lower;
+    }
+    const upper = this.isOp(':') || this.isOp(']') || this.isOp(',') ? null : this.parseTest();
+    let step = null;
+    if (this.acceptOp(':')) {
+      step = this.isOp(']') || this.isOp(',') ? null : this.parseTest();
+    }
+    return this.node('Slice', token, { lower, upper, step });
+  }
+
+  parseComprehension() {
+    const generators = [];
+    while (this.isKeyword('for') || (this.isKeyword('async') && this.isKeyword('for', this.peek()))) {
+      const token = this.token;
+      const isAsync = Boolean(this.acceptKeyword('async'));
+      this.expectKeyword('for');
+      const target = this.parseTargetList();
+      this.expectKeyword('in');
+      const iter = this.withComprehensionCondition(() => this.parseOr());
+      const ifs = [];
+      while (this.acceptKeyword('if')) {
+        ifs.push(this.withComprehensionCondition(() => this.parseTestNoCondition()));
+      }
+      generators.push(this.node('comprehension', token, { target, iter, ifs, async: isAsync }));
+    }
+    return generators;
+  }
+
+  parseTestNoCondition() {
+    return this.isKeyword('lambda') ? this.parseLambda() : this.parseOr();
+  }
+
+  withComprehensionCondition(parse) {
+    const previous = this.inComprehensionCondition;
+    this.inComprehensionCondition = false;
+    try {
+      return parse();
+    } finally {
+      this.inComprehensionCondition = previous;
+    }
+  }
+
+  parseAtom() {
+    const token = this.token;
+
+    if (token.type === 'NAME') {
+      if (token.value === 'None' || token.value === 'True' || token.value === 'False') {
+        this.index++;
+        return this.node('Constant', token, { value: token.value === 'None' ? null : token.value === 'True', kind: token.value === 'None' ? 'None' : 'bool' });
+      }
+      if (KEYWORDS.has(token.value)) {
+        this.fail(`Unexpected keyword '${token.value}'`);
+      }
+      this.index++;
+      return this.node('Name', token, { id: token.value, ctx: 'load' });
+    }
+
+    if (token.type === 'NUMBER') {
+      this.index++;
+      return this.node('Constant', token, { value: token.value, kind: 'number' });
+    }
+
+    if (token.type === 'STRING') {
+      return this.parseStrings();
+    }
+
+    if (token.type !== 'OP') {
+      return this.fail(token.type === 'NEWLINE' || token.type === 'END' ? 'Unexpected end of line' : `Unexpected ${token.type.toLowerCase()}`);
+    }
+
+    switch (token.value) {
+      case '...':
+        this.index++;
+        return this.node('Constant', token, { value: '...', kind: 'Ellipsis' });
+
+      case '(': {
+        this.index++;
+        if (this.acceptOp(')')) {
+          return this.node('Tuple', token, { elts: [] });
+        }
+        if (this.isKeyword('yield')) {
+          const value = this.parseYield();
+          this.expectOp(')');
+          return value;
+        }
+        const first = this.parseStarOr(() => this.parseNamedExpression());
+        if (this.isKeyword('for') || (this.isKeyword('async') && this.isKeyword('for', this.peek()))) {
+          const generators = this.parseComprehension();
+          this.expectOp(')');
+          return this.node('GeneratorExp', token, { elt: first, generators });
+        }
+        if (this.acceptOp(')')) {
+          return first;
+        }
+        const elts = [first];
+        while (this.acceptOp(',')) {
+          if (this.isOp(')')) {
+            break;
+          }
+          elts.push(this.parseStarOr(() => this.parseNamedExpression()));
+        }
+        this.expectOp(')');
+        return this.node('Tuple', token, { elts });
+      }
+
+      case '[': {
+        this.index++;
+        if (this.acceptOp(']')) {
+          return this.node('List', token, { elts: [] });
+        }
+        const first = this.parseStarOr(() => this.parseNamedExpression());
+        if (this.isKeyword('for') || (this.isKeyword('async') && this.isKeyword('for', this.peek()))) {
+          const generators = this.parseComprehension();
+          this.expectOp(']');
+          return this.node('ListComp', token, { elt: first, generators });
+        }
+        const elts = [first];
+        while (this.acceptOp(',')) {
+          if (this.isOp(']')) {
+            break;
+          }
+          elts.push(this.parseStarOr(() => this.parseNamedExpression()));
+        }
+        this.expectOp(']');
+        return this.node('List', token, { elts });
+      }
+
+      case '{':
+        return this.parseBraces();
+
+      default:
+        return this.fail(`Unexpected '${token.value}'`);
+    }
+  }
+
+  parseBraces() {
+    const token = this.expectOp('{');
+    if (this.acceptOp('}')) {
+      return this.node('Dict', token, { keys: [], values: [] });
+    }
+
+    const parseDictItem = () => {
+      if (this.acceptOp('**')) {
+        return { key: null, value: this.parseExpr() };
+      }
+      const key = this.parseTest();
+      this.expectOp(':');
+      return { key, value: this.parseTest() };
+    };
+
+    const isDict = this.isOp('**') || (() => {
+      // A dict if the first item is followed by ':'
+      const start = this.index;
+      try {
+        this.parseStarOr(() => this.parseTest());
+        return this.isOp(':');
+      } catch (error) {
+        return false;
+      } finally {
+        this.index = start;
+      }
+    })();
+
+    if (isDict) {
+      const first = parseDictItem();
+      if (first.key && this.isKeyword('for')) {
+        const generators = this.parseComprehension();
+        this.expectOp('}');
+        return this.node('DictComp', token, { key: first.key, value: first.value, generators });
+      }
+      const items = [first];
+      while (this.acceptOp(',')) {
+        if (this.isOp('}')) {
+          break;
+        }
+        items.push(parseDictItem());
+      }
+      this.expectOp('}');
+      return this.node('Dict', token, { keys: items.map(item => item.key), values: items.map(item => item.value) });
+    }
+
+    const first = this.parseStarOr(() => this.parseNamedExpression());
+    if (this.isKeyword('for') || (this.isKeyword('async') && this.isKeyword('for', this.peek()))) {
+      const generators = this.parseComprehension();
+      this.expectOp('}');
+      return this.node('SetComp', token, { elt: first, generators });
+    }
+    const elts = [first];
+    while (this.acceptOp(',')) {
+      if (this.isOp('}')) {
+        break;
+      }
+      elts.push(this.parseStarOr(() => this.parseNamedExpression()));
+    }
+    this.expectOp('}');
+    return this.node('Set', token, { elts });
+  }
+
+  /**
+   * Adjacent string literals, concatenated; f-strings become JoinedStr with parsed expressions
+   */
+  parseStrings() {
+    const first = this.token;
+    const parts = [];
+    while (this.token.type === 'STRING') {
+      parts.push(this.tokens[this.index++]);
+    }
+
+    const formatted = parts.some(part => part.prefix.includes('f'));
+    if (!formatted) {
+      const value = parts.map(part => (part.prefix.includes('r') ? part.body : decodeEscapes(part.body))).join('');
+      return this.node('Constant', first, { value, kind: parts[0].prefix.includes('b') ? 'bytes' : 'str' });
+    }
+
+    const values = [];
+    for (const part of parts) {
+      if (part.prefix.includes('f')) {
+        values.push(...parseFormattedString(part));
+      } else {
+        values.push(this.node('Constant', part, { value: part.prefix.includes('r') ? part.body : decodeEscapes(part.body), kind: 'str' }));
+      }
+    }
+    return this.node('JoinedStr', first, { values });
+  }
+
+  setContext(node, ctx) {
+    if (!node) {
+      return;
+    }
+    switch (node.type) {
+      case 'Name':
+        node.ctx = ctx;
+        break;
+      case 'Tuple':
+      case 'List':
+        node.elts.forEach(element => this.setContext(element, ctx));
+        break;
+      case 'Starred':
+        this.setContext(node.value, ctx);
+        break;
+      case 'Attribute':
+      case 'Subscript':
+        node.ctx = ctx;
+        break;
+      default:
+        this.fail(`Cannot assign to ${node.type === 'Constant' ? 'literal' : 'expression'}`, node);
+    }
+  }
+
+  unpackTargets(target, ctx) {
+    const targets = target.type === 'Tuple' ? target.elts : [target];
+    targets.forEach(item => this.setContext(item, ctx));
+    return targets;
+  }
+}
+
+/**
+ * Split an f-string into literal parts and parsed replacement fields
+ */
+function parseFormattedString(token) {
+  const body = token.body;
+  const raw = token.prefix.includes('r');
+  const values = [];
+  let literal = '';
+  let index = 0;
+
+  const flushLiteral = () => {
+    if (literal) {
+      values.push({ type: 'Constant', line: token.line, column: token.column, value: raw ? literal : decodeEscapes(literal), kind: 'str' });
+      literal = '';
+    }
+  };
+
+  const parseField = () => {
+    // index is just after '{'
+    const start = index;
+    let depth = 0;
+    let quote = null;
+
+    for (; index < body.length; index++) {
+      const char = body[index];
+      if (quote) {
+        if (char === '\\') {
+          index++;
+        } else if (body.startsWith(quote, index)) {
+          index += quote.length - 1;
+          quote = null;
+        }
+        continue;
+      }
+      if (char === '"' || char === "'") {
+        quote = body.startsWith(char.repeat(3), index) ? char.repeat(3) : char;
+        index += quote.length - 1;
+      } else if ('([{'.includes(char)) {
+        depth++;
+      } else if (')]}'.includes(char) && depth > 0) {
+        depth--;
+      } else if (depth === 0 && (char === '}' || char === ':' || (char === '!' && body[index + 1] !== '='))) {
+        break;
+      }
+    }
+
+    let source = body.slice(start, index);
+    // Self-documenting expressions: f"{value=}"
+    if (/[^=!<>]=\s*$/.test(source)) {
+      source = source.replace(/=\s*$/, '');
+    }
+    if (!source.trim()) {
+      const position = positionIn(body, start, token.bodyLine, token.bodyColumn);
+      throw new PythonSyntaxError('Empty expression in f-string', position.line, position.column);
+    }
+
+    const position = positionIn(body, start, token.bodyLine, token.bodyColumn);
+    values.push({ type: 'FormattedValue', line: position.line, column: position.column, value: parseExpressionSource(source, position) });
+
+    if (body[index] === '!') {
+      index += 2;
+    }
+    if (body[index] === ':') {
+      // Format spec, which may hold nested fields
+      index++;
+      while (index < body.length && body[index] !== '}') {
+        if (body[index] === '{') {
+          index++;
+          parseField();
+        }
+        index++;
+      }
+    }
+    if (body[index] !== '}') {
+      const end = positionIn(body, index, token.bodyLine, token.bodyColumn);
+      throw new PythonSyntaxError("f-string: expecting '}'", end.line, end.column);
+    }
+  };
+
+  for (; index < body.length; index++) {
+    const char = body[index];
+    if (char === '{' && body[index + 1] === '{') {
+      literal += '{';
+      index++;
+    } else if (char === '}' && body[index + 1] === '}') {
+      literal += '}';
+      index++;
+    } else if (char === '{') {
+      flushLiteral();
+      index++;
+      parseField();
+    } else {
+      literal += char;
+    }
+  }
+  flushLiteral();
+
+  return values;
+}
+
+/**
+ * Parse a standalone expression (an f-string field) positioned at start
+ */
+function parseExpressionSource(source, start) {
+  let tokens;
+  try {
+    tokens = tokenize(`(${source.replace(/\n/g, ' ')})`);
+  } catch (error) {
+    throw new PythonSyntaxError(`f-string: ${error.reason}`, start.line, start.column);
+  }
+
+  // Shift positions onto the enclosing source (the '(' added above is column 1)
+  for (const token of tokens) {
+    token.column = token.line === 1 ? start.column + token.column - 2 : token.column;
+    token.line = start.line + token.line - 1;
+  }
+
+  const parser = new Parser(tokens);
+  const expression = parser.parseTestListStar();
+  if (parser.token.type !== 'NEWLINE' && parser.token.type !== 'END') {
+    parser.fail('f-string: invalid expression');
+  }
+  return expression;
+}
+
+/**
+ * Parse Python source into a Module node
+ * Throws PythonSyntaxError with the line and column of the first error.
+ */
+function parse(source) {
+  return new Parser(tokenize(source)).parseModule();
+}
+
+/**
+ * Child nodes of a node, with the field each was found in
+ */
+function children(node) {
+  const result = [];
+  for (const [field, value] of Object.entries(node)) {
+    if (Array.isArray(value)) {
+      value.forEach(item => {
+        if (item && typeof item === 'object' && item.type) {
+          result.push({ field, node: item });
+        }
+      });
+    } else if (value && typeof value === 'object' && value.type) {
+      result.push({ field, node: value });
+    }
+  }
+  return result;
+}
+
+/**
+ * Visit every node depth-first: visitor(node, parent, field)
+ */
+function walk(node, visitor, parent = null, field = null) {
+  visitor(node, parent, field);
+  for (const child of children(node)) {
+    walk(child.node, visitor, node, child.field);
+  }
+}
+
+module.exports = {
+  tokenize,
+  parse,
+  walk,
+  children,
+  PythonSyntaxError,
+  KEYWORDS
+};
@@ -0,0 +1,449 @@
+/**
+ * Python Validator Module
+ * Checks Python code against an allowlist policy by walking its syntax tree
+ * (see utils/pythonParser), so comments and strings cannot trigger false
+ * alarms and aliases, getattr() or string-built names cannot hide calls.
+ *
+ * Names bound by imports and plain assignments (b = bpy, ops = b.ops) are
+ * followed, so every bpy.ops namespace, module and blocked path is checked
+ * however it is spelled. Issues carry the line and column they were found at.
+ */
+
+const { parse, walk, children, PythonSyntaxError } = require('./pythonParser');
+
+// Builtins that reach the interpreter, the filesystem or the user's terminal
+const BLOCKED_BUILTINS = ['eval', 'exec', 'compile', 'open', '__import__', 'globals', 'locals', 'vars', 'breakpoint'];
+
+// Blocked only when the script does not define a name of its own with this name
+const SHADOWABLE_BUILTINS = ['input', 'file', 'exit', 'quit', 'help', 'reload', 'execfile', 'memoryview'];
+
+const BLOCKED_PATHS = [
+  'bpy.utils.execfile',
+  'bpy.utils.load_scripts',
+  'bpy.utils.modules_from_path',
+  'bpy.utils.user_resource',
+  'bpy.app.handlers',
+  'bpy.app.timers',
+  'bpy.app.driver_namespace',
+  'bpy.context.preferences',
+  'bpy.data.texts.load',
+  'bpy.data.libraries.load',
+  'bpy.data.libraries.write',
+  'bpy.ops.uv.export_layout'
+];
+
+// Blocked whatever object they are reached through: text data-blocks can be
+// written and run as modules, these methods write files to any path, and the
+// preferences can turn on auto-running scripts in .blend files
+const BLOCKED_ATTRIBUTES = new Set([
+  'texts', 'as_module', 'from_string', 'write', 'save', 'save_render', 'save_as_mainfile', 'save_mainfile',
+  'preferences', 'use_scripts_auto_execute'
+]);
+
+// May be read but not assigned, since they choose where a data-block is written
+const READ_ONLY_ATTRIBUTES = new Set(['filepath', 'filepath_raw']);
+
+// Values that give access to arbitrary operators or interpreter hooks when passed around
+// (bpy.data and bpy.context lead to text data-blocks and the preferences)
+const RESTRICTED_VALUES = new Set(['bpy', 'bpy.ops', 'bpy.utils', 'bpy.app', 'bpy.data', 'bpy.context']);
+
+// Modules whose members getattr() may look up by a computed name
+const COMPUTED_ATTRIBUTE_MODULES = new Set(['math', 'mathutils', 'random', 'colorsys']);
+
+// Frame, code and generator internals that lead back to module globals
+const INTERNAL_ATTRIBUTES = new Set([
+  'f_globals', 'f_locals', 'f_builtins', 'f_back', 'f_code', 'tb_frame', 'tb_next',
+  'gi_frame', 'gi_code', 'cr_frame', 'cr_code', 'ag_frame', 'ag_code', 'co_code', 'func_globals', 'mro'
+]);
+
+// Globals of the blenderSafety execution wrapper; using them could switch off its limits or rollback,
+// or fake the result it reports
+const WRAPPER_NAMES = new Set([
+  'sys', 'traceback', 'start_limits', 'stop_limits', 'ResourceLimitExceeded',
+  'initial_objects', 'initial_meshes', 'initial_images', 'emit_result', '_result_json'
+]);
+
+const ALLOWED_DUNDERS = new Set(['__init__', '__name__', '__doc__']);
+const ATTRIBUTE_BUILTINS = new Set(['getattr', 'setattr', 'delattr', 'hasattr']);
+const FORMAT_DUNDER = /\{[^{}]*__\w+__[^{}]*\}/;
+
+/**
+ * Build a validation policy
+ * Options:
+ *   modules       - importable modules; submodules of a listed module are allowed
+ *   operators     - allowed bpy.ops namespaces ('mesh', 'object', ...)
+ *   blockedPaths  - dotted paths that may not be used (defaults to BLOCKED_PATHS)
+ *   builtins      - blocked builtin functions (defaults to BLOCKED_BUILTINS)
+ *   maxCodeLength - longest accepted code in characters (optional)
+ */
+function createPolicy(options = {}) {
+  return {
+    modules: new Set(options.modules || ['bpy', 'math', 'mathutils']),
+    operators: new Set(options.operators || []),
+    blockedPaths: options.blockedPaths || BLOCKED_PATHS,
+    builtins: new Set(options.builtins || BLOCKED_BUILTINS),
+    shadowableBuiltins: new Set(SHADOWABLE_BUILTINS),
+    maxCodeLength: options.maxCodeLength || null
+  };
+}
+
+function isDunder(name) {
+  return name.length > 4 && name.startsWith('__') && name.endsWith('__');
+}
+
+function stringConstant(node) {
+  return node && node.type === 'Constant' && node.kind === 'str' ? node.value : null;
+}
+
+/**
+ * Position where an expression chain (a.b.c(), x[0].y) starts
+ */
+function startOf(node) {
+  let current = node;
+  while (current.type === 'Attribute' || current.type === 'Subscript' || current.type === 'Call') {
+    current = current.type === 'Call' ? current.func : current.value;
+  }
+  return { line: current.line, column: current.column };
+}
+
+/**
+ * return, break and continue statements that leave a finally clause
+ * Loops and functions defined inside the clause are left out, since their
+ * break or return stays inside it.
+ */
+function finallyExits(node, inLoop = false, found = []) {
+  if (node.type === 'Return' || ((node.type === 'Break' || node.type === 'Continue') && !inLoop)) {
+    found.push(node);
+  } else if (node.type !== 'FunctionDef' && node.type !== 'ClassDef' && node.type !== 'Lambda') {
+    for (const child of children(node)) {
+      const loopBody = (node.type === 'While' || node.type === 'For') && child.field === 'body';
+      finallyExits(child.node, inLoop || loopBody, found);
+    }
+  }
+  return found;
+}
+
+/**
+ * Names the code binds itself (assignments, definitions, parameters, imports)
+ */
+function boundNames(tree) {
+  const names = new Set();
+  walk(tree, node => {
+    if (node.type === 'Name' && node.ctx === 'store') {
+      names.add(node.id);
+    } else if (node.type === 'FunctionDef' || node.type === 'ClassDef') {
+      names.add(node.name);
+    } else if (node.type === 'arg') {
+      names.add(node.arg);
+    } else if (node.type === 'ExceptHandler' && node.name) {
+      names.add(node.name);
+    } else if (node.type === 'alias') {
+      names.add(node.asname || node.name.split('.')[0]);
+    }
+  });
+  return names;
+}
+
+/**
+ * Validate Python code against policy (see createPolicy)
+ * Returns { safe, issues }; issues are { severity, rule, message, line, column, source }
+ * and the code is safe when none of them is critical. Code that does not
+ * parse is reported as a critical 'syntax' issue, since it cannot be checked.
+ */
+function validate(code, policy = createPolicy()) {
+  const lines = code.replace(/\r\n?/g, '\n').split('\n');
+  const issues = [];
+  const seen = new Set();
+
+  const report = (severity, rule, message, position) => {
+    const key = `${rule}:${position.line}:${position.column}:${message}`;
+    if (seen.has(key)) {
+      return;
+    }
+    seen.add(key);
+    issues.push({
+      severity,
+      rule,
+      message,
+      line: position.line,
+      column: position.column,
+      source: (lines[position.line - 1] || '').trim()
+    });
+  };
+
+  if (policy.maxCodeLength && code.length > policy.maxCodeLength) {
+    report('critical', 'code-length', `Code is ${code.length} characters; at most ${policy.maxCodeLength} are allowed`, { line: 1, column: 1 });
+    return { safe: false, issues };
+  }
+
+  let tree;
+  try {
+    tree = parse(code);
+  } catch (error) {
+    if (!(error instanceof PythonSyntaxError)) {
+      throw error;
+    }
+    if (error.unsupported) {
+      report('critical', 'unsupported-syntax', `Unsupported syntax: ${error.reason}`, error);
+    } else {
+      report('critical', 'syntax', `Syntax error: ${error.reason}`, error);
+    }
+    return { safe: false, issues };
+  }
+
+  const bound = boundNames(tree);
+  const aliases = new Map([['bpy', 'bpy']]);
+
+  const moduleAllowed = name => [...policy.modules].some(module => name === module || name.startsWith(`${module}.`));
+
+  // Dotted path an expression refers to (bpy.ops.mesh), following aliases and getattr(x, 'name')
+  const resolvePath = node => {
+    if (!node) {
+      return null;
+    }
+    if (node.type === 'Name') {
+      return aliases.get(node.id) || null;
+    }
+    if (node.type === 'Attribute') {
+      const base = resolvePath(node.value);
+      return base ? `${base}.${node.attr}` : null;
+    }
+    if (node.type === 'Call' && node.func.type === 'Name' && node.func.id === 'getattr' && node.args.length >= 2) {
+      const base = resolvePath(node.args[0]);
+      const name = stringConstant(node.args[1]);
+      return base && name !== null ? `${base}.${name}` : null;
+    }
+    return null;
+  };
+
+  const checkPath = (path, position) => {
+    const parts = path.split('.');
+    if (parts[0] === 'bpy' && parts[1] === 'ops' && parts.length > 2 && !policy.operators.has(parts[2])) {
+      report('critical', 'operator', `bpy.ops.${parts[2]} is not an allowed operator namespace`, position);
+    }
+    const blocked = policy.blockedPaths.find(item => path === item || path.startsWith(`${item}.`));
+    if (blocked) {
+      report('critical', 'blocked-path', `Use of ${blocked} is not allowed`, position);
+    }
+    const hidden = parts.slice(1).find(part => part.startsWith('_') && !isDunder(part));
+    if (hidden) {
+      report('critical', 'internals', `Access to private module member ${hidden} is not allowed`, position);
+    }
+  };
+
+  const checkAttributeName = (name, position) => {
+    if (isDunder(name) && !ALLOWED_DUNDERS.has(name)) {
+      report('critical', 'dunder', `Access to ${name} is not allowed`, position);
+    } else if (INTERNAL_ATTRIBUTES.has(name)) {
+      report('critical', 'internals', `Access to interpreter internals (${name}) is not allowed`, position);
+    } else if (BLOCKED_ATTRIBUTES.has(name)) {
+      report('critical', 'blocked-attribute', `Use of .${name} is not allowed`, position);
+    }
+  };
+
+  const checkAttributeStore = (name, position) => {
+    if (READ_ONLY_ATTRIBUTES.has(name)) {
+      report('critical', 'blocked-attribute', `Assigning .${name} is not allowed`, position);
+    }
+  };
+
+  const checkImport = (module, position) => {
+    if (!moduleAllowed(module)) {
+      report('critical', 'import', `Import of module '${module}' is not allowed`, position);
+      return false;
+    }
+    return true;
+  };
+
+  // First pass: aliases, in source order, so later uses resolve through them
+  walk(tree, node => {
+    if (node.type === 'Import') {
+      for (const alias of node.names) {
+        if (moduleAllowed(alias.name)) {
+          aliases.set(alias.asname || alias.name.split('.')[0], alias.asname ? alias.name : alias.name.split('.')[0]);
+        }
+      }
+    } else if (node.type === 'ImportFrom' && node.level === 0 && node.module && moduleAllowed(node.module)) {
+      for (const alias of node.names) {
+        if (alias.name !== '*') {
+          aliases.set(alias.asname || alias.name, `${node.module}.${alias.name}`);
+        }
+      }
+    } else if (node.type === 'Assign' && node.targets.length === 1 && node.targets[0].type === 'Name') {
+      const path = resolvePath(node.value);
+      if (path) {
+        aliases.set(node.targets[0].id, path);
+      }
+    }
+  });
+
+  walk(tree, (node, parent, field) => {
+    switch (node.type) {
+      case 'Import':
+        for (const alias of node.names) {
+          if (checkImport(alias.name, alias)) {
+            checkPath(alias.name, alias);
+          }
+        }
+        break;
+
+      case 'ImportFrom':
+        if (node.level > 0 || !node.module) {
+          report('critical', 'import', 'Relative imports are not allowed', node);
+          break;
+        }
+        if (!checkImport(node.module, node)) {
+          break;
+        }
+        for (const alias of node.names) {
+          if (alias.name === '*') {
+            if (node.module.split('.')[0] === 'bpy') {
+              report('critical', 'import', `Star import from ${node.module} is not allowed`, alias);
+            }
+            continue;
+          }
+          checkAttributeName(alias.name, alias);
+          checkPath(`${node.module}.${alias.name}`, alias);
+        }
+        break;
+
+      case 'Name':
+        if (isDunder(node.id) && !ALLOWED_DUNDERS.has(node.id)) {
+          report('critical', 'dunder', `Access to ${node.id} is not allowed`, node);
+        } else if (WRAPPER_NAMES.has(node.id)) {
+          report('critical', 'reserved-name', `${node.id} is reserved for the execution wrapper`, node);
+        } else if (node.id === 'BaseException') {
+          report('critical', 'broad-except', 'BaseException may not be used; catch Exception instead', node);
+        }
+        if (node.ctx !== 'load') {
+          break;
+        }
+        if (policy.builtins.has(node.id) || (policy.shadowableBuiltins.has(node.id) && !bound.has(node.id))) {
+          report('critical', 'builtin', `Use of ${node.id}() is not allowed`, node);
+        }
+        checkRestrictedValue(node, parent, field);
+        break;
+
+      case 'Attribute': {
+        checkAttributeName(node.attr, { line: node.attrLine, column: node.attrColumn });
+        if (node.ctx === 'store' || node.ctx === 'del') {
+          checkAttributeStore(node.attr, { line: node.attrLine, column: node.attrColumn });
+        }
+        // Check the whole chain once, at its outermost attribute
+        if (!(parent && parent.type === 'Attribute' && field === 'value')) {
+          const path = resolvePath(node);
+          if (path) {
+            checkPath(path, startOf(node));
+          }
+        }
+        checkRestrictedValue(node, parent, field);
+        break;
+      }
+
+      case 'FunctionDef':
+      case 'ClassDef':
+        // A method such as __exit__ or __del__ runs at times the code does not control
+        if (isDunder(node.name) && !ALLOWED_DUNDERS.has(node.name)) {
+          report('critical', 'dunder', `Defining ${node.name} is not allowed`, node);
+        } else if (WRAPPER_NAMES.has(node.name)) {
+          report('critical', 'reserved-name', `${node.name} is reserved for the execution wrapper`, node);
+        }
+        break;
+
+      case 'ExceptHandler':
+        // Execution limits raise an error that only a bare or computed handler could catch
+        if (!node.handlerType) {
+          report('critical', 'broad-except', 'Bare except: is not allowed; catch Exception instead', node);
+        } else if (!namedExceptionClasses(node.handlerType)) {
+          report('critical', 'broad-except', 'Exception handlers must name their exception classes', node.handlerType);
+        }
+        break;
+
+      case 'Try':
+        // Leaving a finally clause discards the error the execution limits raise,
+        // and Python has already turned tracing off for the frame by then
+        for (const statement of node.finalbody) {
+          for (const exit of finallyExits(statement)) {
+            report('critical', 'finally-exit', `${exit.type.toLowerCase()} in a finally clause is not allowed`, exit);
+          }
+        }
+        break;
+
+      case 'Call':
+        if (node.func.type === 'Name' && ATTRIBUTE_BUILTINS.has(node.func.id) && node.args.length >= 2) {
+          checkAttributeCall(node);
+        }
+        break;
+
+      case 'Constant': {
+        const value = stringConstant(node);
+        if (value && FORMAT_DUNDER.test(value)) {
+          report('critical', 'format-string', 'Format strings may not access dunder attributes', node);
+        }
+        break;
+      }
+
+      default:
+        break;
+    }
+  });
+
+  // except ValueError, except (KeyError, mathutils.Error): names only, no computed classes
+  function namedExceptionClasses(node) {
+    if (node.type === 'Tuple') {
+      return node.elts.every(namedExceptionClasses);
+    }
+    return node.type === 'Name' || (node.type === 'Attribute' && namedExceptionClasses(node.value));
+  }
+
+  // getattr(obj, name) and friends: literal names are checked like attributes.
+  // A computed name could spell any blocked attribute, so it is only accepted
+  // on modules that have nothing to hide.
+  function checkAttributeCall(node) {
+    const target = node.args[0];
+    const name = stringConstant(node.args[1]);
+    const targetPath = resolvePath(target);
+
+    if (name !== null) {
+      checkAttributeName(name, node.args[1]);
+      if (node.func.id === 'setattr' || node.func.id === 'delattr') {
+        checkAttributeStore(name, node.args[1]);
+      }
+      if (targetPath) {
+        checkPath(`${targetPath}.${name}`, startOf(node));
+      }
+    } else if (!targetPath || !COMPUTED_ATTRIBUTE_MODULES.has(targetPath.split('.')[0])) {
+      report('critical', 'dynamic-attribute', `${node.func.id}() needs a literal attribute name`, node.func);
+    }
+  }
+
+  // bpy, bpy.ops, ... may be used directly or aliased, but not passed around as values
+  function checkRestrictedValue(node, parent, field) {
+    const path = resolvePath(node);
+    if (!path || !RESTRICTED_VALUES.has(path) || !parent) {
+      return;
+    }
+    const allowed = (parent.type === 'Attribute' && field === 'value') ||
+      (parent.type === 'Call' && field === 'func') ||
+      (parent.type === 'Call' && parent.func.type === 'Name' && ATTRIBUTE_BUILTINS.has(parent.func.id) && parent.args[0] === node) ||
+      (parent.type === 'Assign' && field === 'value' && parent.targets.length === 1 && parent.targets[0].type === 'Name');
+    if (!allowed) {
+      report('critical', 'module-reference', `${path} may only be used directly, not passed as a value`, startOf(node));
+    }
+  }
+
+  issues.sort((a, b) => a.line - b.line || a.column - b.column);
+
+  return {
+    safe: !issues.some(issue => issue.severity === 'critical'),
+    issues
+  };
+}
+
+module.exports = {
+  createPolicy,
+  validate,
+  BLOCKED_BUILTINS,
+  BLOCKED_PATHS,
+  BLOCKED_ATTRIBUTES
+};
@@ -0,0 +1,118 @@
+/**
+ * Safety Policies Module
+ * Named profiles for the code safety rules, so trusted users (a studio's
+ * technical artists) can run more than anonymous web users
+ *
+ * A profile is a pythonValidator policy (allowed imports and bpy.ops
+ * namespaces, maximum code length) plus maxObjects, the most objects one
+ * script may create. Requests pick their profile by API key (X-API-Key),
+ * then by the signed-in user's role, then SAFETY_DEFAULT_POLICY.
+ */
+
+const { createPolicy } = require('./pythonValidator');
+const { CODE_POLICY } = require('./promptSafety');
+const { executionLimits } = require('./blenderSafety');
+
+const DEFAULT_ROLE_POLICIES = 'user=standard,artist=trusted,admin=trusted';
+
+function profile(name, description, options) {
+  return {
+    ...createPolicy(options),
+    name,
+    description,
+    maxObjects: options.maxObjects
+  };
+}
+
+const STANDARD_MODULES = [...CODE_POLICY.modules];
+const STANDARD_OPERATORS = [...CODE_POLICY.operators];
+
+const PROFILES = {
+  strict: profile('strict', 'Basic modeling: core modules and mesh/object operators only', {
+    modules: ['bpy', 'math', 'mathutils'],
+    operators: ['mesh', 'object', 'transform', 'material'],
+    maxCodeLength: 8000,
+    maxObjects: 50
+  }),
+  standard: profile('standard', 'Modeling, materials, UVs and curves', {
+    modules: STANDARD_MODULES,
+    operators: STANDARD_OPERATORS,
+    maxCodeLength: 20000,
+    maxObjects: 500
+  }),
+  trusted: profile('trusted', 'Standard plus rigging, animation, physics and scene operators', {
+    modules: [...STANDARD_MODULES, 'bpy_extras', 'json', 're', 'itertools', 'functools', 'collections'],
+    operators: [...STANDARD_OPERATORS, 'scene', 'collection', 'anim', 'armature', 'pose', 'constraint', 'rigidbody', 'particle', 'geometry'],
+    maxCodeLength: 100000,
+    maxObjects: 5000
+  })
+};
+
+/**
+ * Parse "name=profile,name2=profile" settings, skipping unknown profiles
+ */
+function parseAssignments(value, setting) {
+  const assignments = new Map();
+  for (const pair of (value || '').split(',')) {
+    const separator = pair.lastIndexOf('=');
+    const key = pair.slice(0, separator).trim();
+    const name = pair.slice(separator + 1).trim();
+    if (separator <= 0 || !key) {
+      continue;
+    }
+    if (!PROFILES[name]) {
+      console.log(`⚠️  ${setting}: unknown safety policy '${name}' ignored`);
+      continue;
+    }
+    assignments.set(key, name);
+  }
+  return assignments;
+}
+
+const apiKeyPolicies = parseAssignments(process.env.SAFETY_API_KEYS, 'SAFETY_API_KEYS');
+const rolePolicies = parseAssignments(process.env.SAFETY_ROLE_POLICIES || DEFAULT_ROLE_POLICIES, 'SAFETY_ROLE_POLICIES');
+
+/**
+ * A profile by name; the default profile (SAFETY_DEFAULT_POLICY or standard)
+ * when name is empty or unknown
+ */
+function getPolicy(name) {
+  if (name && PROFILES[name]) {
+    return PROFILES[name];
+  }
+  return PROFILES[process.env.SAFETY_DEFAULT_POLICY] || PROFILES.standard;
+}
+
+/**
+ * The profile for a request's caller
+ * An API key wins over the user's role. Returns null for an API key that is
+ * not configured, so callers can reject it.
+ */
+function resolvePolicy({ apiKey, role } = {}) {
+  if (apiKey) {
+    return apiKeyPolicies.has(apiKey) ? PROFILES[apiKeyPolicies.get(apiKey)] : null;
+  }
+  return getPolicy(role ? rolePolicies.get(role) : null);
+}
+
+/**
+ * Public description of a profile (for API responses)
+ */
+function describePolicy(policy) {
+  return {
+    name: policy.name,
+    description: policy.description,
+    modules: [...policy.modules],
+    operators: [...policy.operators],
+    maxCodeLength: policy.maxCodeLength,
+    maxObjects: policy.maxObjects,
+    executionLimits: executionLimits({ maxObjects: policy.maxObjects })
+  };
+}
+
+module.exports = {
+  PROFILES,
+  getPolicy,
+  resolvePolicy,
+  describePolicy
+};
@@ -0,0 +1,205 @@
+/**
+ * Scene Context Module
+ * Compact description of the current Blender scene for the LLM, so prompts
+ * such as "make the chair taller" can refer to objects by their real names
+ *
+ * The summary is built from get_scene_info plus a read-only script that adds
+ * dimensions, materials and selection, then fitted to a character budget:
+ * the active, selected and largest objects are described in full, further
+ * objects are listed by name, and whatever is left is only counted.
+ */
+
+const { PYTHON_RESULT_HELPER, resultText, findResult } = require('./scriptResults');
+
+const MAX_SCRIPT_OBJECTS = 500;
+const DEFAULT_BUDGET = 3000;
+const MAX_SELECTED_NAMES = 10;
+
+/**
+ * Read-only script that reports the scene as a scene_summary result
+ * Objects come sorted by relevance (active, selected, then largest) and are
+ * capped at limit so huge scenes do not flood the MCP response.
+ */
+function generateSceneSummaryCode(limit = MAX_SCRIPT_OBJECTS) {
+  return `
+import bpy
+${PYTHON_RESULT_HELPER}
+scene = bpy.context.scene
+active = bpy.context.view_layer.objects.active
+
+def volume(obj):
+    d = obj.dimensions
+    return d.x * d.y * d.z
+
+ordered = sorted(scene.objects, key=lambda obj: (obj != active, not obj.select_get(), -volume(obj)))
+
+type_counts = {}
+for obj in scene.objects:
+    type_counts[obj.type] = type_counts.get(obj.type, 0) + 1
+
+objects = []
+for obj in ordered[:${limit}]:
+    entry = {
+        "name": obj.name,
+        "type": obj.type,
+        "location": [round(v, 3) for v in obj.location],
+        "dimensions": [round(v, 3) for v in obj.dimensions],
+        "materials": [slot.material.name for slot in obj.material_slots if slot.material],
+        "selected": obj.select_get()
+    }
+    if obj.parent:
+        entry["parent"] = obj.parent.name
+    objects.append(entry)
+
+emit_result("scene_summary", counts={"objects": len(scene.objects), "listed": len(objects)}, summary={
+    "name": scene.name,
+    "active": active.name if active else None,
+    "object_count": len(scene.objects),
+    "type_counts": type_counts,
+    "objects": objects,
+    "materials": [mat.name for mat in bpy.data.materials]
+})
+`;
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Merge the get_scene_info result and the summary script result
+ * Either may be missing or unparseable; returns null when neither has objects.
+ */
+function parseSceneSummary(sceneInfoResult, scriptResult) {
+  const info = parseJson(resultText(sceneInfoResult)) || {};
+  const reported = findResult(scriptResult, 'scene_summary');
+  const detail = reported && reported.summary;
+
+  const objects = (detail && detail.objects) || info.objects;
+  if (!Array.isArray(objects)) {
+    return null;
+  }
+
+  return {
+    name: (detail && detail.name) || info.name || 'Scene',
+    active: (detail && detail.active) || null,
+    objectCount: (detail && detail.object_count) || info.object_count || objects.length,
+    materialCount: detail && detail.materials ? detail.materials.length : (info.materials_count || 0),
+    typeCounts: (detail && detail.type_counts) || null,
+    objects: objects.map(object => ({
+      name: object.name,
+      type: object.type,
+      location: object.location,
+      dimensions: object.dimensions,
+      materials: object.materials,
+      selected: Boolean(object.selected),
+      parent: object.parent
+    }))
+  };
+}
+
+function formatVector(values, separator = ', ') {
+  return values.map(value => Number(value).toFixed(2).replace(/\.?0+$/, '') || '0').join(separator);
+}
+
+function describeObject(object) {
+  const parts = [object.name, object.type];
+  if (Array.isArray(object.dimensions)) {
+    parts.push(`${formatVector(object.dimensions, ' x ')} m`);
+  }
+  if (Array.isArray(object.location)) {
+    parts.push(`at (${formatVector(object.location)})`);
+  }
+  if (object.materials && object.materials.length > 0) {
+    parts.push(`materials: ${object.materials.join(', ')}`);
+  }
+  if (object.parent) {
+    parts.push(`parent: ${object.parent}`);
+  }
+  return `- ${parts.join(' | ')}`;
+}
+
+/**
+ * Render a scene summary as text within budget characters
+ * Returns { text, detailed, named, omitted }: how many objects were described
+ * in full, listed by name only, or left out of the text.
+ */
+function formatSceneSummary(summary, budget = DEFAULT_BUDGET) {
+  let typeCounts = summary.typeCounts;
+  if (!typeCounts) {
+    typeCounts = {};
+    for (const object of summary.objects) {
+      typeCounts[object.type] = (typeCounts[object.type] || 0) + 1;
+    }
+  }
+  const types = Object.entries(typeCounts).map(([type, count]) => `${type} ${count}`).join(', ');
+
+  const selected = summary.objects.filter(object => object.selected).map(object => object.name);
+  const selectedText = selected.length > MAX_SELECTED_NAMES
+    ? `${selected.slice(0, MAX_SELECTED_NAMES).join(', ')} and ${selected.length - MAX_SELECTED_NAMES} more`
+    : selected.join(', ');
+
+  const header = [
+    `Scene "${summary.name}": ${summary.objectCount} object(s)${types ? ` (${types})` : ''}, ${summary.materialCount} material(s)`,
+    `Active object: ${summary.active || 'none'}`,
+    `Selected: ${selectedText || 'none'}`
+  ];
+  const detailHeading = 'Objects (name | type | dimensions | location | materials):';
+
+  if (summary.objects.length === 0) {
+    return { text: header.join('\n'), detailed: 0, named: 0, omitted: 0 };
+  }
+
+  // Leave room for the closing "... and N more" line
+  const reserve = 60;
+  let used = header.join('\n').length + detailHeading.length + 1 + reserve;
+  const detailLines = [];
+  let index = 0;
+
+  for (; index < summary.objects.length; index++) {
+    const line = describeObject(summary.objects[index]);
+    if (used + line.length + 1 > budget) {
+      break;
+    }
+    detailLines.push(line);
+    used += line.length + 1;
+  }
+
+  const names = [];
+  const namesPrefix = 'Other objects: ';
+  used += namesPrefix.length;
+  for (let i = index; i < summary.objects.length; i++) {
+    const name = summary.objects[i].name;
+    if (used + name.length + 2 > budget) {
+      break;
+    }
+    names.push(name);
+    used += name.length + 2;
+  }
+
+  const lines = [...header];
+  if (detailLines.length > 0) {
+    lines.push(detailHeading, ...detailLines);
+  }
+  if (names.length > 0) {
+    lines.push(`${namesPrefix}${names.join(', ')}`);
+  }
+
+  const omitted = summary.objectCount - detailLines.length - names.length;
+  if (omitted > 0) {
+    lines.push(`... and ${omitted} more object(s) not listed`);
+  }
+
+  return { text: lines.join('\n'), detailed: detailLines.length, named: names.length, omitted };
+}
+
+module.exports = {
+  generateSceneSummaryCode,
+  parseSceneSummary,
+  formatSceneSummary,
+  DEFAULT_BUDGET
+};
@@ -0,0 +1,239 @@
+/**
+ * Scene Snapshot Module
+ * Records the state of the Blender scene so it can be put back after a
+ * failed operation: which objects and data-blocks exist, and each object's
+ * transform, parent, data, collections, materials and visibility.
+ *
+ * The snapshot is reported as a scene_snapshot result and kept by the caller;
+ * restoring sends it back inside the restore script. Restoring removes everything
+ * created since the snapshot and resets the recorded properties of the
+ * objects that still exist. Objects deleted since the snapshot cannot be
+ * brought back, and edited geometry is not reverted; both are reported.
+ */
+
+const { PYTHON_RESULT_HELPER, findResult } = require('./scriptResults');
+
+// bpy.data collections whose new members are removed on restore (objects are handled separately)
+const DATA_COLLECTIONS = [
+  'collections', 'meshes', 'curves', 'lights', 'cameras', 'materials',
+  'node_groups', 'textures', 'images', 'actions'
+];
+
+// Stable keys for data-blocks: session_uid survives renames; older Blender versions fall back to the name
+const KEY_HELPERS = `
+DATA_COLLECTIONS = ${JSON.stringify(DATA_COLLECTIONS)}
+
+def key(block):
+    uid = getattr(block, "session_uid", None)
+    return str(uid) if uid is not None else f"{type(block).__name__}:{block.name}"
+
+def ref(block):
+    return key(block) if block is not None else None
+`;
+
+/**
+ * Read-only script that reports the scene state as a scene_snapshot result
+ */
+function generateSnapshotCode() {
+  return `
+import bpy
+${PYTHON_RESULT_HELPER}${KEY_HELPERS}
+scene = bpy.context.scene
+view_layer = bpy.context.view_layer
+
+def selected(obj):
+    try:
+        return obj.select_get(view_layer=view_layer)
+    except RuntimeError:
+        return False  # Not in this view layer
+
+objects = []
+for obj in bpy.data.objects:
+    objects.append({
+        "key": key(obj),
+        "name": obj.name,
+        "data": ref(obj.data),
+        "parent": ref(obj.parent),
+        "parent_inverse": [list(row) for row in obj.matrix_parent_inverse],
+        "location": list(obj.location),
+        "rotation_mode": obj.rotation_mode,
+        "rotation_euler": list(obj.rotation_euler),
+        "rotation_quaternion": list(obj.rotation_quaternion),
+        "scale": list(obj.scale),
+        "hide_viewport": obj.hide_viewport,
+        "hide_render": obj.hide_render,
+        "scene_collection": obj.name in scene.collection.objects,
+        "collections": [key(c) for c in obj.users_collection if c != scene.collection],
+        "materials": [ref(slot.material) for slot in obj.material_slots],
+        "selected": selected(obj)
+    })
+
+data = {}
+for collection in DATA_COLLECTIONS:
+    data[collection] = {key(block): block.name for block in getattr(bpy.data, collection)}
+
+emit_result("scene_snapshot", counts={"objects": len(objects)}, snapshot={
+    "scene": scene.name,
+    "active": ref(view_layer.objects.active),
+    "objects": objects,
+    "data": data,
+    "geometry": {key(mesh): [len(mesh.vertices), len(mesh.polygons)] for mesh in bpy.data.meshes}
+})
+`;
+}
+
+/**
+ * The scene state reported by generateSnapshotCode(), or null when it is
+ * missing or unreadable
+ */
+function parseSnapshot(result) {
+  const reported = findResult(result, 'scene_snapshot');
+  const state = reported && reported.snapshot;
+  return state && Array.isArray(state.objects) && state.data ? state : null;
+}
+
+/**
+ * Script that puts the scene back into the state parseSnapshot() returned
+ * Reports a snapshot_restore result read by parseRestoreResult().
+ */
+function generateRestoreCode(state) {
+  return `
+import bpy
+import json
+from mathutils import Matrix
+${PYTHON_RESULT_HELPER}${KEY_HELPERS}
+state = json.loads(${JSON.stringify(JSON.stringify(state))})
+scene = bpy.data.scenes.get(state["scene"]) or bpy.context.scene
+view_layer = bpy.context.view_layer
+removed = {}
+missing = []
+restored = 0
+
+def lookup():
+    blocks = {key(obj): obj for obj in bpy.data.objects}
+    for collection in DATA_COLLECTIONS:
+        for block in getattr(bpy.data, collection):
+            blocks[key(block)] = block
+    return blocks
+
+# Objects created since the snapshot
+known = {entry["key"] for entry in state["objects"]}
+new_objects = [obj for obj in bpy.data.objects if key(obj) not in known]
+for obj in new_objects:
+    bpy.data.objects.remove(obj, do_unlink=True)
+removed["objects"] = len(new_objects)
+
+# Objects that still exist get their recorded properties back
+blocks = lookup()
+for entry in state["objects"]:
+    obj = blocks.get(entry["key"])
+    if obj is None:
+        missing.append(entry["name"])
+        continue
+    try:
+        if obj.name != entry["name"]:
+            obj.name = entry["name"]
+        if entry["data"] and ref(obj.data) != entry["data"] and entry["data"] in blocks:
+            obj.data = blocks[entry["data"]]
+        obj.parent = blocks.get(entry["parent"]) if entry["parent"] else None
+        obj.matrix_parent_inverse = Matrix(entry["parent_inverse"])
+        obj.rotation_mode = entry["rotation_mode"]
+        obj.location = entry["location"]
+        obj.rotation_euler = entry["rotation_euler"]
+        obj.rotation_quaternion = entry["rotation_quaternion"]
+        obj.scale = entry["scale"]
+        obj.hide_viewport = entry["hide_viewport"]
+        obj.hide_render = entry["hide_render"]
+
+        wanted = set(entry["collections"])
+        for collection in list(obj.users_collection):
+            if collection != scene.collection and key(collection) not in wanted:
+                collection.objects.unlink(obj)
+        for collection_key in wanted:
+            collection = blocks.get(collection_key)
+            if collection is not None and obj.name not in collection.objects:
+                collection.objects.link(obj)
+        if entry["scene_collection"] and obj.name not in scene.collection.objects:
+            scene.collection.objects.link(obj)
+        elif not entry["scene_collection"] and obj.name in scene.collection.objects:
+            scene.collection.objects.unlink(obj)
+
+        for slot, material in zip(obj.material_slots, entry["materials"]):
+            slot.material = blocks.get(material) if material else None
+        try:
+            obj.select_set(entry["selected"], view_layer=view_layer)
+        except RuntimeError:
+            pass  # Not in this view layer
+        restored += 1
+    except Exception as e:
+        print(f"Could not restore {entry['name']}: {e}")
+
+# Data-blocks created since the snapshot, once no restored object points at them
+for collection in DATA_COLLECTIONS:
+    blocks_of_type = getattr(bpy.data, collection)
+    recorded = state["data"].get(collection, {})
+    new_blocks = [block for block in blocks_of_type if key(block) not in recorded]
+    for block in new_blocks:
+        blocks_of_type.remove(block)
+    removed[collection] = len(new_blocks)
+
+blocks = lookup()
+if state["active"] in blocks:
+    view_layer.objects.active = blocks[state["active"]]
+
+changed = [blocks[mesh_key].name for mesh_key, counts in state["geometry"].items()
+           if mesh_key in blocks and [len(blocks[mesh_key].vertices), len(blocks[mesh_key].polygons)] != counts]
+
+print(f"Restored {restored} object(s), removed {sum(removed.values())} new data-block(s)")
+emit_result(
+    "snapshot_restore",
+    counts={"restored": restored, "removed": sum(removed.values())},
+    warnings=[f"{name} was deleted and cannot be restored" for name in missing] +
+             [f"{name} geometry was edited and is not reverted" for name in changed],
+    restored=restored,
+    removed={name: count for name, count in removed.items() if count},
+    missing=missing,
+    changedGeometry=changed
+)
+`;
+}
+
+/**
+ * What the restore script did: { restored, removed, missing, changedGeometry },
+ * or null when its summary is missing
+ * removed counts the deleted objects and data-blocks by bpy.data collection;
+ * missing lists objects deleted since the snapshot, changedGeometry meshes
+ * whose vertex or face count differs from the snapshot.
+ */
+function parseRestoreResult(result) {
+  const reported = findResult(result, 'snapshot_restore');
+  if (!reported) {
+    return null;
+  }
+
+  return {
+    restored: reported.restored,
+    removed: reported.removed || {},
+    missing: reported.missing || [],
+    changedGeometry: reported.changedGeometry || []
+  };
+}
+
+/**
+ * Counts for API responses (the full state stays on the server)
+ */
+function summarizeSnapshot(state) {
+  return {
+    scene: state.scene,
+    objects: state.objects.length,
+    dataBlocks: Object.values(state.data).reduce((total, blocks) => total + Object.keys(blocks).length, 0)
+  };
+}
+
+module.exports = {
+  generateSnapshotCode,
+  parseSnapshot,
+  generateRestoreCode,
+  parseRestoreResult,
+  summarizeSnapshot
+};
@@ -0,0 +1,176 @@
+/**
+ * Schema Validator Module
+ * Checks tool arguments against the JSON Schema an MCP server publishes in tools/list
+ *
+ * Covers the subset MCP servers generate (e.g. FastMCP/pydantic): type, required,
+ * properties, additionalProperties, items, enum, const, anyOf/oneOf/allOf,
+ * string/number/array bounds and local $ref into $defs/definitions.
+ * Unknown keywords are ignored, so an unusual schema never blocks a valid call.
+ */
+
+/**
+ * JSON Schema type name for a value
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Follow a local reference such as "#/$defs/Color"
+ */
+function resolveRef(ref, root) {
+  if (typeof ref !== 'string' || !ref.startsWith('#/')) {
+    return null;
+  }
+
+  return ref.slice(2).split('/').reduce((node, key) => {
+    return node && node[key.replace(/~1/g, '/').replace(/~0/g, '~')];
+  }, root) || null;
+}
+
+function violation(path, keyword, message) {
+  return { path, keyword, message };
+}
+
+/**
+ * Collect schema violations for value at path
+ */
+function check(value, schema, path, root, errors) {
+  if (!schema || typeof schema !== 'object') {
+    return;
+  }
+
+  if (schema.$ref) {
+    const target = resolveRef(schema.$ref, root);
+    if (target) {
+      check(value, target, path, root, errors);
+    }
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(violation(path, 'type', `must be ${types.join(' or ')}, got ${typeOf(value)}`));
+      return; // Further checks would only repeat the type mismatch
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(violation(path, 'enum', `must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`));
+  }
+
+  if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push(violation(path, 'const', `must be ${JSON.stringify(schema.const)}`));
+  }
+
+  if (schema.anyOf || schema.oneOf) {
+    const options = schema.anyOf || schema.oneOf;
+    const matching = options.filter((option) => {
+      const optionErrors = [];
+      check(value, option, path, root, optionErrors);
+      return optionErrors.length === 0;
+    }).length;
+
+    if (matching === 0) {
+      errors.push(violation(path, schema.anyOf ? 'anyOf' : 'oneOf', 'does not match any allowed schema'));
+    } else if (schema.oneOf && matching > 1) {
+      errors.push(violation(path, 'oneOf', 'matches more than one schema'));
+    }
+  }
+
+  if (schema.allOf) {
+    for (const option of schema.allOf) {
+      check(value, option, path, root, errors);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(violation(path, 'minLength', `must be at least ${schema.minLength} characters`));
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(violation(path, 'maxLength', `must be at most ${schema.maxLength} characters`));
+    }
+    if (schema.pattern) {
+      let pattern = null;
+      try {
+        pattern = new RegExp(schema.pattern, 'u');
+      } catch (error) {
+        // Server-side regex dialects (e.g. Python) may not compile in JS; skip the check
+      }
+      if (pattern && !pattern.test(value)) {
+        errors.push(violation(path, 'pattern', `must match ${schema.pattern}`));
+      }
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(violation(path, 'minimum', `must be >= ${schema.minimum}`));
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(violation(path, 'maximum', `must be <= ${schema.maximum}`));
+    }
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+      errors.push(violation(path, 'exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`));
+    }
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+      errors.push(violation(path, 'exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`));
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(violation(path, 'minItems', `must have at least ${schema.minItems} items`));
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(violation(path, 'maxItems', `must have at most ${schema.maxItems} items`));
+    }
+    if (schema.items && typeof schema.items === 'object' && !Array.isArray(schema.items)) {
+      value.forEach((item, index) => check(item, schema.items, `${path}[${index}]`, root, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(violation(`${path}.${key}`, 'required', 'is required'));
+      }
+    }
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (properties[key]) {
+        check(propertyValue, properties[key], `${path}.${key}`, root, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(violation(`${path}.${key}`, 'additionalProperties', 'is not an allowed property'));
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        check(propertyValue, schema.additionalProperties, `${path}.${key}`, root, errors);
+      }
+    }
+  }
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * Returns a list of { path, keyword, message } violations (empty when valid)
+ */
+function validate(value, schema, path = 'args') {
+  const errors = [];
+  check(value, schema, path, schema, errors);
+  return errors;
+}
+
+module.exports = {
+  validate
+};
@@ -0,0 +1,86 @@
+/**
+ * Script Results Module
+ * Machine-readable results from the Python scripts sent to Blender
+ *
+ * Generated scripts keep printing banners for the execution log, and also
+ * report each step as one JSON line through emit_result() (see
+ * PYTHON_RESULT_HELPER):
+ *   BLENDER_RESULT_JSON:{"script": "uv_fix", "success": true, "counts": {...}, "warnings": [], "errors": [], ...}
+ * Besides script, success, counts, warnings and errors, a result carries the
+ * fields of its script (score, limitExceeded, ...). parseResults() reads the
+ * lines back from an MCP tool result, so callers never scrape the banners.
+ */
+
+const RESULT_MARKER = 'BLENDER_RESULT_JSON:';
+
+// print and json.dumps are bound when the helper is defined, so later code cannot silence it
+const PYTHON_RESULT_HELPER = `
+import json as _result_json
+
+def emit_result(script, success=True, counts=None, warnings=None, errors=None, _print=print, _dumps=_result_json.dumps, **fields):
+    _print("${RESULT_MARKER}" + _dumps(dict(fields, script=script, success=success, counts=counts or {}, warnings=warnings or [], errors=errors or []), default=str))
+`;
+
+/**
+ * Text content of an MCP tool result
+ */
+function resultText(result) {
+  return ((result && result.content) || [])
+    .filter(item => item.type === 'text')
+    .map(item => item.text)
+    .join('\n');
+}
+
+/**
+ * Every result line in an MCP tool result, in the order they were printed
+ * Returns [{ script, success, counts, warnings, errors, ...fields }]; lines
+ * that are not valid JSON are skipped.
+ */
+function parseResults(result) {
+  const results = [];
+
+  for (const line of resultText(result).split('\n')) {
+    const index = line.indexOf(RESULT_MARKER);
+    if (index === -1) {
+      continue;
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(line.slice(index + RESULT_MARKER.length));
+    } catch (error) {
+      continue;
+    }
+    if (!parsed || typeof parsed.script !== 'string') {
+      continue;
+    }
+
+    results.push({
+      ...parsed,
+      success: parsed.success !== false,
+      counts: parsed.counts || {},
+      warnings: parsed.warnings || [],
+      errors: parsed.errors || []
+    });
+  }
+
+  return results;
+}
+
+/**
+ * The last result of script in an MCP tool result, or null
+ * The last one wins, so a line printed earlier (by user code, say) cannot
+ * stand in for the real one.
+ */
+function findResult(result, script) {
+  const matching = parseResults(result).filter(item => item.script === script);
+  return matching.length > 0 ? matching[matching.length - 1] : null;
+}
+
+module.exports = {
+  RESULT_MARKER,
+  PYTHON_RESULT_HELPER,
+  resultText,
+  parseResults,
+  findResult
+};
@@ -3,20 +3,25 @@
  * Bakes procedural materials to image textures for GLB export
  */
 
+const { PYTHON_RESULT_HELPER } = require('./scriptResults');
+
 /**
  * Generate Python code to bake procedural textures to images
  * This ensures procedural materials (gradients, noise, etc.) export correctly to GLB
+ * Reports a texture_baking result; materials that fail to bake are listed in
+ * its errors and left procedural.
  */
 function generateTextureBaking() {
   return `
 import bpy
-
+${PYTHON_RESULT_HELPER}
 print("\\n" + "=" * 60)
 print("BAKING PROCEDURAL MATERIALS")
 print("=" * 60)
 
 baked_count = 0
 skipped_count = 0
+bake_errors = []
 
 for obj in bpy.data.objects:
     if obj.type != 'MESH':
@@ -127,6 +132,7 @@ for obj in bpy.data.objects:
             
         except Exception as e:
             print(f"  ⚠ Failed to bake {mat.name}: {str(e)}")
+            bake_errors.append(f"{mat.name} on {obj.name}: {e}")
             import traceback
             traceback.print_exc()
 
@@ -138,6 +144,13 @@ if skipped_count > 0:
 if baked_count == 0 and skipped_count == 0:
     print("⊘ No materials to process")
 print(f"{'=' * 60}")
+
+emit_result(
+    "texture_baking",
+    success=not bake_errors,
+    counts={"baked": baked_count, "skipped": skipped_count, "failed": len(bake_errors)},
+    errors=bake_errors
+)
 `;
 }
 